@@ -0,0 +1,187 @@
+// analytics.js
+const { Click, ClickDaily } = require('./models');
+const { parseBoolean } = require('./utils');
+
+const INTERVALS = new Set(['hour', 'day', 'week']);
+const MAX_TOP = 50;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Coarse browser family derived from the raw user agent; order matters (Edge/Opera also claim Chrome, Chrome claims Safari)
+const BROWSER_BRANCHES = [
+  ['Edge', 'Edg/'],
+  ['Opera', 'OPR/|Opera'],
+  ['Samsung Internet', 'SamsungBrowser'],
+  ['Chrome', 'Chrome/|CriOS'],
+  ['Firefox', 'Firefox/|FxiOS'],
+  ['Safari', 'Safari/'],
+  ['curl', '^curl/']
+].map(([name, regex]) => ({
+  case: { $regexMatch: { input: { $ifNull: ['$userAgent', ''] }, regex } },
+  then: name
+}));
+
+/**
+ * Parse and validate analytics query params.
+ * Throws { status, message } on bad input; defaults to the last 7 days bucketed by day.
+ */
+function parseAnalyticsQuery(query = {}) {
+  const interval = query.interval ? String(query.interval).toLowerCase() : 'day';
+  if (!INTERVALS.has(interval)) throw { status: 400, message: 'interval must be one of hour, day, week' };
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 7 * 24 * 3600 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw { status: 400, message: 'from/to must be valid dates' };
+  if (from > to) throw { status: 400, message: 'from must be before to' };
+
+  const top = query.top ? Number(query.top) : 10;
+  if (!Number.isInteger(top) || top <= 0 || top > MAX_TOP) throw { status: 400, message: `top must be an integer between 1 and ${MAX_TOP}` };
+
+  const includeBots = parseBoolean(query.includeBots);
+
+  return { from, to, interval, top, includeBots };
+}
+
+// Bucket of a rolled-up day, as $dateTrunc would place it (UTC, weeks start on Monday);
+// an hourly series gets the whole day in its midnight bucket
+function dayBucket(day, interval) {
+  if (interval !== 'week') return day;
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// Add the { key: count } maps of rolled-up days to a facet's [{ _id, count }] rows, largest first
+function mergeCounts(rows, maps, idOf = key => key) {
+  const merged = new Map(rows.map(r => [r._id, { ...r }]));
+  for (const map of maps) {
+    for (const [key, count] of Object.entries(map || {})) {
+      const id = idOf(key);
+      const row = merged.get(id) || { _id: id, count: 0 };
+      row.count += count;
+      merged.set(id, row);
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+// the rollup stores missing values under 'unknown'
+const unknownToNull = key => (key === 'unknown' ? null : key);
+
+/**
+ * Daily totals of one link whose day starts within [from, to] (all of them without a range),
+ * oldest first. These replace the raw clicks the rollup job removed (see jobs.rollupClicks).
+ */
+function rolledUpDays(shortcode, domain = null, { from, to } = {}) {
+  const filter = { shortcode, domain };
+  if (from || to) filter.day = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  return ClickDaily.find(filter).sort({ day: 1 }).lean();
+}
+
+/**
+ * Aggregate clicks for one shortcode over [from, to] in a single $facet pass:
+ * time-bucketed counts, top referrers, top user agents, browser families, geo breakdowns,
+ * click sources (link vs QR scan) and unique visitors (distinct IPs).
+ * Days already rolled up count towards the totals, the timeseries, countries, device types and
+ * sources; referrers, user agents, browsers, operating systems, regions, cities and unique
+ * visitors only exist for raw clicks. `rolledUpDays` says how many days came from the rollup.
+ */
+async function clickAnalytics(shortcode, { from, to, interval, top, includeBots = false }, domain = null) {
+  const match = { shortcode, domain, clickedAt: { $gte: from, $lte: to } };
+  if (!includeBots) match.isBot = { $ne: true };
+
+  const [facets] = await Click.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        unique: [{ $group: { _id: '$ip' } }, { $count: 'count' }],
+        timeseries: [
+          { $group: { _id: { $dateTrunc: { date: '$clickedAt', unit: interval, startOfWeek: 'monday' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        referrers: [
+          { $group: { _id: { $ifNull: ['$referrer', null] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ],
+        userAgents: [
+          { $group: { _id: { $ifNull: ['$userAgent', null] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ],
+        browsers: [
+          // parsed ua.browser when recorded, regex fallback for clicks stored before UA parsing
+          { $group: { _id: { $ifNull: ['$ua.browser', { $switch: { branches: BROWSER_BRANCHES, default: 'Other' } }] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ],
+        operatingSystems: [
+          { $group: { _id: { $ifNull: ['$ua.os', null] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ],
+        deviceTypes: [
+          { $group: { _id: { $ifNull: ['$ua.deviceType', null] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        bots: [{ $match: { isBot: true } }, { $count: 'count' }],
+        sources: [
+          { $group: { _id: { $ifNull: ['$source', 'link'] }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        // not cut to `top` here: rolled-up counts are added before the list is cut
+        countries: [
+          { $group: { _id: { $ifNull: ['$geo.country', null] }, name: { $first: '$geo.countryName' }, count: { $sum: 1 } } }
+        ],
+        regions: [
+          { $match: { 'geo.region': { $ne: null } } },
+          { $group: { _id: { country: '$geo.country', region: '$geo.region' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ],
+        cities: [
+          { $match: { 'geo.city': { $ne: null } } },
+          { $group: { _id: { country: '$geo.country', city: '$geo.city' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: top }
+        ]
+      }
+    }
+  ]);
+
+  const days = await rolledUpDays(shortcode, domain, { from, to });
+  // rolled-up breakdowns count human clicks only; bot clicks are kept as a daily total
+  const rolledUp = d => d.clicks + (includeBots ? d.botClicks : 0);
+  const buckets = new Map(facets.timeseries.map(b => [b._id.getTime(), b.count]));
+  for (const d of days) {
+    const bucket = dayBucket(d.day, interval).getTime();
+    buckets.set(bucket, (buckets.get(bucket) || 0) + rolledUp(d));
+  }
+  const timeseries = [...buckets].sort(([a], [b]) => a - b).map(([bucket, count]) => ({ bucket: new Date(bucket), count }));
+  const deviceTypes = mergeCounts(facets.deviceTypes, days.map(d => d.deviceTypes), unknownToNull);
+  const sources = mergeCounts(facets.sources, days.map(d => d.sources));
+  const countries = mergeCounts(facets.countries, days.map(d => d.countries), unknownToNull).slice(0, top);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    totalClicks: (facets.total[0]?.count || 0) + days.reduce((sum, d) => sum + rolledUp(d), 0),
+    uniqueVisitors: facets.unique[0]?.count || 0,
+    timeseries,
+    topReferrers: facets.referrers.map(r => ({ referrer: r._id, count: r.count })),
+    topUserAgents: facets.userAgents.map(u => ({ userAgent: u._id, count: u.count })),
+    topBrowsers: facets.browsers.map(b => ({ browser: b._id, count: b.count })),
+    topOperatingSystems: facets.operatingSystems.map(o => ({ os: o._id, count: o.count })),
+    deviceTypes: deviceTypes.map(d => ({ deviceType: d._id, count: d.count })),
+    includeBots,
+    botClicks: (facets.bots[0]?.count || 0) + (includeBots ? days.reduce((sum, d) => sum + d.botClicks, 0) : 0),
+    sources: sources.map(s => ({ source: s._id, count: s.count })),
+    rolledUpDays: days.length,
+    geo: {
+      countries: countries.map(c => ({ country: c._id, name: c.name || null, count: c.count })),
+      regions: facets.regions.map(r => ({ country: r._id.country, region: r._id.region, count: r.count })),
+      cities: facets.cities.map(c => ({ country: c._id.country, city: c._id.city, count: c.count }))
+    }
+  };
+}
+
+module.exports = { parseAnalyticsQuery, clickAnalytics, rolledUpDays, mergeCounts };
@@ -0,0 +1,100 @@
+// analytics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Click, ClickDaily } = require('./models');
+const { parseAnalyticsQuery, clickAnalytics } = require('./analytics');
+
+const rawFacets = {
+  total: [{ count: 3 }],
+  unique: [{ count: 2 }],
+  referrers: [],
+  userAgents: [],
+  browsers: [],
+  operatingSystems: [],
+  deviceTypes: [{ _id: 'desktop', count: 3 }],
+  bots: [],
+  sources: [{ _id: 'link', count: 3 }],
+  countries: [{ _id: 'DE', name: 'Germany', count: 3 }],
+  regions: [],
+  cities: []
+};
+const rolledUp = [{
+  shortcode: 'abc',
+  domain: null,
+  day: new Date('2026-03-02T00:00:00Z'),
+  clicks: 5,
+  botClicks: 4,
+  countries: { FR: 4, unknown: 1 },
+  deviceTypes: { desktop: 5 },
+  variants: { default: 5 },
+  sources: { link: 2, qr: 3 }
+}];
+
+// `timeseries` is what Mongo returns for the raw clicks at the query's interval
+function mockStores(t, timeseries) {
+  t.mock.method(Click, 'aggregate', async () => [{ ...rawFacets, timeseries }]);
+  t.mock.method(ClickDaily, 'find', () => ({ sort: () => ({ lean: async () => rolledUp }) }));
+}
+
+test('rolled-up days count towards totals, the timeseries and breakdowns', async t => {
+  mockStores(t, [{ _id: new Date('2026-03-02T00:00:00Z'), count: 3 }]);
+  const query = parseAnalyticsQuery({ from: '2026-03-01T00:00:00Z', to: '2026-03-08T00:00:00Z', interval: 'week', top: '1' });
+  const a = await clickAnalytics('abc', query);
+  assert.equal(a.totalClicks, 8);
+  assert.equal(a.botClicks, 0);
+  assert.equal(a.rolledUpDays, 1);
+  // the rolled-up Monday and the raw clicks of that Wednesday share one weekly bucket
+  assert.deepEqual(a.timeseries, [{ bucket: new Date('2026-03-02T00:00:00Z'), count: 8 }]);
+  assert.deepEqual(a.deviceTypes, [{ deviceType: 'desktop', count: 8 }]);
+  assert.deepEqual(a.sources, [{ source: 'link', count: 5 }, { source: 'qr', count: 3 }]);
+  assert.deepEqual(a.geo.countries, [{ country: 'FR', name: null, count: 4 }]);
+});
+
+test('rolled-up bot clicks are added only with includeBots', async t => {
+  mockStores(t, [{ _id: new Date('2026-03-04T00:00:00Z'), count: 3 }]);
+  const a = await clickAnalytics('abc', parseAnalyticsQuery({ to: '2026-03-08T00:00:00Z', includeBots: 'true' }));
+  assert.equal(a.totalClicks, 12);
+  assert.equal(a.botClicks, 4);
+  assert.deepEqual(a.timeseries.map(b => b.count), [9, 3]);
+});
+
+test('parseAnalyticsQuery defaults to the last 7 days by day and rejects bad input', () => {
+  const q = parseAnalyticsQuery({ to: '2026-03-08T00:00:00Z' });
+  assert.deepEqual(q, {
+    from: new Date('2026-03-01T00:00:00Z'),
+    to: new Date('2026-03-08T00:00:00Z'),
+    interval: 'day',
+    top: 10,
+    includeBots: false
+  });
+  assert.equal(parseAnalyticsQuery({ interval: 'HOUR' }).interval, 'hour');
+  for (const bad of [
+    { interval: 'month' },
+    { from: 'yesterday' },
+    { from: '2026-03-08T00:00:00Z', to: '2026-03-01T00:00:00Z' },
+    { top: '0' },
+    { top: '51' },
+    { top: '2.5' }
+  ]) {
+    assert.throws(() => parseAnalyticsQuery(bad), { status: 400 }, JSON.stringify(bad));
+  }
+});
+
+test('clickAnalytics leaves bots out of the match unless asked and shapes the facets', async t => {
+  mockStores(t, []);
+  const query = parseAnalyticsQuery({ from: '2026-03-01T00:00:00Z', to: '2026-03-02T00:00:00Z', interval: 'hour' });
+  const a = await clickAnalytics('abc', query, 'go.example.com');
+  const [{ $match: match }] = Click.aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match, {
+    shortcode: 'abc',
+    domain: 'go.example.com',
+    clickedAt: { $gte: query.from, $lte: query.to },
+    isBot: { $ne: true }
+  });
+  assert.equal(a.interval, 'hour');
+  assert.equal(a.from, '2026-03-01T00:00:00.000Z');
+  assert.equal(a.uniqueVisitors, 2);
+
+  await clickAnalytics('abc', { ...query, includeBots: true });
+  assert.equal(Click.aggregate.mock.calls[1].arguments[0][0].$match.isBot, undefined);
+});
@@ -0,0 +1,84 @@
+// auth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { User, ApiKey } = require('./models');
+const { logger } = require('./logging');
+
+const scrypt = promisify(crypto.scrypt);
+const API_KEY_PREFIX = 'sk_';
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `${salt}:${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored || typeof stored !== 'string' || !stored.includes(':')) return false;
+  const [salt, hex] = stored.split(':');
+  const expected = Buffer.from(hex, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Issue a new API key for a user. The plain key is only returned here;
+ * afterwards only its hash and display prefix are stored.
+ */
+async function issueApiKey(userId, label = null) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const doc = await new ApiKey({
+    user: userId,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    label
+  }).save();
+  return { key, id: doc._id, prefix: doc.prefix, label: doc.label, createdAt: doc.createdAt };
+}
+
+// Key is read from X-API-Key, or from an `Authorization: Bearer <key>` header
+function extractApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const authz = req.get('Authorization') || '';
+  const m = /^Bearer\s+(.+)$/i.exec(authz);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Middleware: resolve the caller from their API key and attach `req.user` / `req.apiKey`.
+ * Requests without a key pass through unauthenticated; use `requireAuth` to enforce.
+ */
+async function authenticate(req, res, next) {
+  const key = extractApiKey(req);
+  if (!key) return next();
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).lean();
+    if (!apiKey) {
+      logger.warn('auth_invalid_api_key', { package: 'auth', path: req.originalUrl });
+      return res.status(401).json({ error: 'invalid api key' });
+    }
+    const user = await User.findById(apiKey.user).lean();
+    if (!user) return res.status(401).json({ error: 'invalid api key' });
+
+    req.user = user;
+    req.apiKey = apiKey;
+    // best-effort usage tracking; does not block the request
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    return next();
+  } catch (err) {
+    logger.error('auth error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'authentication required — send an API key in the X-API-Key header' });
+  return next();
+}
+
+module.exports = { hashPassword, verifyPassword, issueApiKey, authenticate, requireAuth };
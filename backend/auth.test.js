@@ -0,0 +1,69 @@
+// auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ApiKey, User } = require('./models');
+const { hashPassword, verifyPassword, authenticate, requireAuth } = require('./auth');
+
+test('hashPassword salts every hash and verifyPassword checks against it', async () => {
+  const a = await hashPassword('correct horse');
+  const b = await hashPassword('correct horse');
+  assert.notEqual(a, b);
+  assert.equal(await verifyPassword('correct horse', a), true);
+  assert.equal(await verifyPassword('correct horse', b), true);
+  assert.equal(await verifyPassword('wrong horse', a), false);
+  assert.equal(await verifyPassword('correct horse', null), false);
+  assert.equal(await verifyPassword('correct horse', 'not-a-hash'), false);
+});
+
+function fakeReq(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { originalUrl: '/shorturls', get: name => lower[name.toLowerCase()] };
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('authenticate looks keys up by their SHA-256 hash and attaches the owner', async t => {
+  const user = { _id: 'u1', email: 'a@example.com' };
+  const findOne = t.mock.method(ApiKey, 'findOne', () => ({ lean: async () => ({ _id: 'k1', user: 'u1' }) }));
+  t.mock.method(User, 'findById', () => ({ lean: async () => user }));
+  t.mock.method(ApiKey, 'updateOne', async () => ({}));
+
+  for (const headers of [{ 'X-API-Key': 'sk_abc' }, { Authorization: 'Bearer sk_abc' }]) {
+    const req = fakeReq(headers);
+    const { passed } = await run(authenticate, req);
+    assert.equal(passed, true);
+    assert.equal(req.user, user);
+    assert.equal(req.apiKey._id, 'k1');
+  }
+  const hash = crypto.createHash('sha256').update('sk_abc').digest('hex');
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { keyHash: hash, revokedAt: null });
+});
+
+test('authenticate rejects unknown or revoked keys and lets keyless requests through', async t => {
+  t.mock.method(ApiKey, 'findOne', () => ({ lean: async () => null }));
+  const bad = await run(authenticate, fakeReq({ 'X-API-Key': 'sk_revoked' }));
+  assert.equal(bad.passed, false);
+  assert.equal(bad.res.statusCode, 401);
+
+  const anonymous = fakeReq();
+  assert.equal((await run(authenticate, anonymous)).passed, true);
+  assert.equal(anonymous.user, undefined);
+  const required = await run(requireAuth, anonymous);
+  assert.equal(required.passed, false);
+  assert.equal(required.res.statusCode, 401);
+});
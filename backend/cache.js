@@ -0,0 +1,146 @@
+// cache.js
+const { logger } = require('./logging');
+const { getRedisClient, closeRedisClient } = require('./redisClient');
+
+const CACHE_ADAPTER = (process.env.CACHE_ADAPTER || 'memory').toLowerCase();
+const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 300;
+const MEMORY_CACHE_MAX_ENTRIES = Number(process.env.MEMORY_CACHE_MAX_ENTRIES) || 10000;
+const KEY_PREFIX = 'shorturl:';
+
+/**
+ * In-process adapter. Map insertion order doubles as LRU order (entries are re-inserted on read).
+ * Not shared between instances: edits made on one instance are seen by others only after the TTL.
+ */
+function createMemoryAdapter({ maxEntries = MEMORY_CACHE_MAX_ENTRIES } = {}) {
+  const store = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      store.delete(key);
+      store.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      store.delete(key);
+      store.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (store.size > maxEntries) store.delete(store.keys().next().value);
+    },
+    async del(key) {
+      store.delete(key);
+    },
+    async quit() {
+      store.clear();
+    }
+  };
+}
+
+function createRedisAdapter() {
+  const client = getRedisClient();
+  return {
+    name: 'redis',
+    async get(key) {
+      if (!client.isReady) return null;
+      const raw = await client.get(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlSeconds) {
+      if (!client.isReady) return;
+      await client.set(key, JSON.stringify(value), { EX: ttlSeconds });
+    },
+    async del(key) {
+      if (!client.isReady) return;
+      await client.del(key);
+    },
+    async quit() {
+      await closeRedisClient();
+    }
+  };
+}
+
+function createCache(adapter = CACHE_ADAPTER) {
+  if (adapter === 'redis') return createRedisAdapter();
+  if (adapter !== 'memory') {
+    logger.warn(`Unknown CACHE_ADAPTER '${adapter}', falling back to memory`, { package: 'cache' });
+  }
+  return createMemoryAdapter();
+}
+
+const cache = createCache();
+
+// Only the fields the redirect route needs are cached
+function toCachedLink(doc) {
+  return {
+    shortcode: doc.shortcode,
+    domain: doc.domain || null,
+    // webhook events from the redirect are routed to the owner's subscriptions
+    owner: doc.owner ? String(doc.owner) : null,
+    originalUrl: doc.originalUrl,
+    expiryAt: new Date(doc.expiryAt).toISOString(),
+    status: doc.status || 'active',
+    // the hash itself stays in Mongo; unlock attempts read it from there
+    passwordProtected: !!doc.passwordHash,
+    maxClicks: doc.maxClicks || null,
+    notBefore: doc.notBefore ? new Date(doc.notBefore).toISOString() : null,
+    rules: doc.rules || [],
+    queryMode: doc.queryMode || 'none',
+    utm: doc.utm || null,
+    redirectStatus: doc.redirectStatus || 302,
+    // the link-rot monitor's verdict; the redirect serves fallbackUrl while the destination is down
+    fallbackUrl: doc.fallbackUrl || null,
+    destinationDown: doc.health?.status === 'down'
+  };
+}
+
+// links are namespaced by domain ('' = default short domain)
+function cacheKey(shortcode, domain) {
+  return `${KEY_PREFIX}${domain || ''}/${shortcode}`;
+}
+
+// cached values are JSON; turn date strings back into Dates
+function revive(cached) {
+  return { ...cached, expiryAt: new Date(cached.expiryAt), notBefore: cached.notBefore ? new Date(cached.notBefore) : null };
+}
+
+/**
+ * Read-through lookup for the redirect hot path. Entries never outlive the link's expiry,
+ * so an expired link falls back to Mongo and gets its 410 from the authoritative document.
+ * Cache failures degrade to a direct `load()`.
+ */
+async function getLink(shortcode, domain, load) {
+  const key = cacheKey(shortcode, domain);
+  try {
+    const hit = await cache.get(key);
+    if (hit) return revive(hit);
+  } catch (err) {
+    logger.warn('cache read failed', { package: 'cache', shortcode, error: err?.message || String(err) });
+  }
+
+  const doc = await load();
+  if (!doc) return null;
+  const cached = toCachedLink(doc);
+
+  const secondsLeft = Math.floor((new Date(doc.expiryAt).getTime() - Date.now()) / 1000);
+  const ttl = Math.min(CACHE_TTL_SECONDS, secondsLeft);
+  if (ttl > 0) {
+    cache.set(key, cached, ttl).catch(err =>
+      logger.warn('cache write failed', { package: 'cache', shortcode, error: err?.message || String(err) })
+    );
+  }
+  return revive(cached);
+}
+
+async function invalidateLink(shortcode, domain = null) {
+  try {
+    await cache.del(cacheKey(shortcode, domain));
+  } catch (err) {
+    logger.warn('cache invalidation failed', { package: 'cache', shortcode, error: err?.message || String(err) });
+  }
+}
+
+module.exports = { cache, createCache, createMemoryAdapter, getLink, invalidateLink };
@@ -0,0 +1,124 @@
+// clickQueue.js
+const mongoose = require('mongoose');
+const { ShortUrl, Click } = require('./models');
+const { logger } = require('./logging');
+
+const CLICK_BATCH_SIZE = Number(process.env.CLICK_BATCH_SIZE) || 200;
+const CLICK_FLUSH_INTERVAL_MS = Number(process.env.CLICK_FLUSH_INTERVAL_MS) || 1000;
+// hard cap on buffered clicks; beyond this the oldest are dropped (and logged) rather than growing memory
+const MAX_BUFFERED_CLICKS = Number(process.env.MAX_BUFFERED_CLICKS) || 10000;
+const DUPLICATE_KEY = 11000;
+
+let buffer = [];
+let flushing = null;
+let timer = null;
+
+/**
+ * Queue a click for asynchronous persistence. Never throws and never waits on Mongo,
+ * so the redirect can respond before the click is stored.
+ */
+function enqueueClick(click) {
+  // the _id is fixed here so a retried insert can't store the same click twice
+  buffer.push({ _id: new mongoose.Types.ObjectId(), clickedAt: new Date(), ...click });
+  if (buffer.length > MAX_BUFFERED_CLICKS) {
+    const dropped = buffer.length - MAX_BUFFERED_CLICKS;
+    buffer.splice(0, dropped);
+    logger.warn('click buffer full, dropping oldest clicks', { package: 'service', dropped });
+  }
+  if (buffer.length >= CLICK_BATCH_SIZE) flushClicks();
+}
+
+// Group counter increments per link (domain + shortcode) so one updateOne covers many clicks
+function buildCounterOps(clicks) {
+  const incs = new Map();
+  for (const c of clicks) {
+    const key = `${c.domain || ''}/${c.shortcode}`;
+    const entry = incs.get(key) || { filter: { domain: c.domain || null, shortcode: c.shortcode }, inc: { clicksCount: 0, botClicksCount: 0 } };
+    if (c.isBot) entry.inc.botClicksCount++;
+    else entry.inc.clicksCount++;
+    incs.set(key, entry);
+  }
+  return [...incs.values()].map(({ filter, inc }) => ({
+    updateOne: { filter, update: { $inc: inc } }
+  }));
+}
+
+/**
+ * Split a batch after a failed unordered insertMany into the clicks that are stored and the ones to
+ * retry. A duplicate key means an earlier attempt stored the click without us seeing it succeed,
+ * so it counts as stored. Without per-document errors nothing is known and everything is retried.
+ */
+function partitionInsertFailure(batch, err) {
+  const writeErrors = err?.writeErrors;
+  if (!Array.isArray(writeErrors) || writeErrors.length === 0) return { stored: [], retry: batch };
+  // mongoose maps each error's index back to the position in `batch`; the code sits on the driver's `err`
+  const failed = new Map(writeErrors.map(w => [w.index, w.err?.code ?? w.code]));
+  const stored = [];
+  const retry = [];
+  batch.forEach((click, i) => {
+    if (failed.has(i) && failed.get(i) !== DUPLICATE_KEY) retry.push(click);
+    else stored.push(click);
+  });
+  return { stored, retry };
+}
+
+async function writeBatch(batch) {
+  let stored = batch;
+  let retry = [];
+  try {
+    await Click.insertMany(batch, { ordered: false });
+  } catch (err) {
+    ({ stored, retry } = partitionInsertFailure(batch, err));
+    // put the failed clicks back at the front; enqueueClick's cap bounds memory if Mongo stays down
+    buffer = retry.concat(buffer).slice(-MAX_BUFFERED_CLICKS);
+    logger.error('click batch insert failed, requeued', { package: 'db', size: batch.length, requeued: retry.length, error: err?.message || String(err) });
+  }
+  if (stored.length > 0) {
+    try {
+      // only clicks stored by this call are counted; requeued ones are counted once their insert lands
+      await ShortUrl.bulkWrite(buildCounterOps(stored), { ordered: false });
+    } catch (err) {
+      // clicks are stored; counters can be rebuilt from the Click collection, so don't retry (would double count)
+      logger.error('click counter update failed', { package: 'db', size: stored.length, error: err?.message || String(err) });
+    }
+  }
+  return retry.length === 0;
+}
+
+/**
+ * Persist everything currently buffered. Concurrent callers share the in-flight flush.
+ */
+function flushClicks() {
+  if (flushing) return flushing;
+  if (buffer.length === 0) return Promise.resolve();
+  flushing = (async () => {
+    try {
+      while (buffer.length > 0) {
+        const batch = buffer.splice(0, CLICK_BATCH_SIZE);
+        // stop if the batch was requeued; the timer will retry later
+        if (!(await writeBatch(batch))) break;
+      }
+    } finally {
+      flushing = null;
+    }
+  })();
+  return flushing;
+}
+
+function startClickQueue() {
+  if (timer) return;
+  timer = setInterval(() => { flushClicks(); }, CLICK_FLUSH_INTERVAL_MS);
+  timer.unref();
+}
+
+async function stopClickQueue() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  await flushClicks();
+}
+
+function pendingClicks() {
+  return buffer.length;
+}
+
+module.exports = { enqueueClick, flushClicks, startClickQueue, stopClickQueue, pendingClicks, partitionInsertFailure };
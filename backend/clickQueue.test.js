@@ -0,0 +1,43 @@
+// clickQueue.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShortUrl, Click } = require('./models');
+const { enqueueClick, flushClicks, pendingClicks, partitionInsertFailure } = require('./clickQueue');
+
+const clicks = ['a', 'b', 'c', 'd'].map(shortcode => ({ shortcode }));
+
+test('partitionInsertFailure retries failed clicks and treats duplicates as stored', () => {
+  const err = { writeErrors: [{ index: 1, err: { code: 11000 } }, { index: 2, err: { code: 121 } }] };
+  const { stored, retry } = partitionInsertFailure(clicks, err);
+  assert.deepEqual(stored.map(c => c.shortcode), ['a', 'b', 'd']);
+  assert.deepEqual(retry.map(c => c.shortcode), ['c']);
+});
+
+test('partitionInsertFailure retries everything without per-document errors', () => {
+  const { stored, retry } = partitionInsertFailure(clicks, new Error('connection reset'));
+  assert.deepEqual(stored, []);
+  assert.equal(retry, clicks);
+});
+
+test('a partial insert failure requeues and counts each click once', async t => {
+  const counted = [];
+  t.mock.method(ShortUrl, 'bulkWrite', async ops => {
+    for (const op of ops) counted.push([op.updateOne.filter.shortcode, op.updateOne.update.$inc.clicksCount]);
+  });
+  let attempt = 0;
+  const insertMany = t.mock.method(Click, 'insertMany', async () => {
+    if (attempt++ === 0) throw Object.assign(new Error('write failed'), { writeErrors: [{ index: 1, err: { code: 91 } }] });
+  });
+
+  enqueueClick({ shortcode: 'x' });
+  enqueueClick({ shortcode: 'y' });
+  await flushClicks();
+  assert.equal(pendingClicks(), 1);
+  await flushClicks();
+  assert.equal(pendingClicks(), 0);
+
+  const [first, second] = insertMany.mock.calls.map(c => c.arguments[0]);
+  assert.equal(second.length, 1);
+  assert.equal(second[0]._id, first[1]._id);
+  assert.deepEqual(counted, [['x', 1], ['y', 1]]);
+});
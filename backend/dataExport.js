@@ -0,0 +1,285 @@
+// dataExport.js
+const { ShortUrl, Click } = require('./models');
+const { normalizeTags } = require('./linkQuery');
+const { rolledUpDays } = require('./analytics');
+const { countKey } = require('./utils');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json'
+};
+// clicks: one record per raw click, or per link and UTC day (covers the days the rollup job folded away)
+const CLICK_VIEWS = new Set(['raw', 'daily']);
+const DAY_MS = 24 * 3600 * 1000;
+
+// CSV column order; NDJSON/JSON records carry the same keys
+const LINK_COLUMNS = [
+  'shortcode', 'domain', 'shortLink', 'originalUrl', 'title', 'notes', 'tags', 'status', 'disabledReason',
+  'createdAt', 'updatedAt', 'expiryAt', 'notBefore', 'clicksCount', 'botClicksCount', 'maxClicks', 'usesCount',
+  'passwordProtected', 'queryMode', 'utm', 'redirectStatus', 'rules', 'fallbackUrl', 'health', 'healthCheckedAt'
+];
+const CLICK_COLUMNS = [
+  'shortcode', 'domain', 'clickedAt', 'referrer', 'ip', 'country', 'region', 'city', 'browser', 'browserVersion',
+  'os', 'osVersion', 'deviceType', 'isBot', 'source', 'variant', 'userAgent'
+];
+const DAILY_CLICK_COLUMNS = [
+  'shortcode', 'domain', 'day', 'clicks', 'botClicks', 'countries', 'deviceTypes', 'variants', 'sources'
+];
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw { status: 400, message: `${name} must be a valid date` };
+  return d;
+}
+
+/**
+ * Export query parameters: format (csv | ndjson | json, default csv), from/to (ISO dates; link
+ * creation time for links, click time for clicks), tag (links carrying all the given tags) and,
+ * for clicks, view (raw | daily, default raw).
+ */
+function parseExportQuery(query) {
+  const format = query.format ? String(query.format).toLowerCase() : 'csv';
+  if (!EXPORT_FORMATS[format]) throw { status: 400, message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  const from = query.from ? parseDate(query.from, 'from') : null;
+  const to = query.to ? parseDate(query.to, 'to') : null;
+  const tags = query.tag ? normalizeTags(Array.isArray(query.tag) ? query.tag.join(',') : query.tag) : [];
+  const view = query.view ? String(query.view).toLowerCase() : 'raw';
+  if (!CLICK_VIEWS.has(view)) throw { status: 400, message: `view must be one of ${[...CLICK_VIEWS].join(', ')}` };
+  return { format, from, to, tags, view };
+}
+
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  return { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+}
+
+function linkFilter({ owner, from, to, tags }, { withDates = true } = {}) {
+  const filter = { owner, status: { $ne: 'deleted' } };
+  const range = withDates && dateRange(from, to);
+  if (range) filter.createdAt = range;
+  if (tags.length) filter.tags = { $all: tags };
+  return filter;
+}
+
+function linkRecord(doc, shortLinkOf) {
+  return {
+    shortcode: doc.shortcode,
+    domain: doc.domain || null,
+    shortLink: shortLinkOf(doc),
+    originalUrl: doc.originalUrl,
+    title: doc.title || null,
+    notes: doc.notes || null,
+    tags: doc.tags || [],
+    status: doc.status || 'active',
+    disabledReason: doc.disabledReason || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || null,
+    expiryAt: doc.expiryAt,
+    notBefore: doc.notBefore || null,
+    clicksCount: doc.clicksCount || 0,
+    botClicksCount: doc.botClicksCount || 0,
+    maxClicks: doc.maxClicks || null,
+    usesCount: doc.usesCount || 0,
+    passwordProtected: !!doc.passwordHash,
+    queryMode: doc.queryMode || 'none',
+    utm: doc.utm || null,
+    redirectStatus: doc.redirectStatus || 302,
+    rules: doc.rules || [],
+    fallbackUrl: doc.fallbackUrl || null,
+    health: doc.health?.status || 'unknown',
+    healthCheckedAt: doc.health?.checkedAt || null
+  };
+}
+
+function clickRecord(c) {
+  const geo = c.geo || {};
+  const ua = c.ua || {};
+  return {
+    shortcode: c.shortcode,
+    domain: c.domain || null,
+    clickedAt: c.clickedAt,
+    referrer: c.referrer || null,
+    ip: c.ip || null,
+    country: geo.country || null,
+    region: geo.region || null,
+    city: geo.city || null,
+    browser: ua.browser || null,
+    browserVersion: ua.browserVersion || null,
+    os: ua.os || null,
+    osVersion: ua.osVersion || null,
+    deviceType: ua.deviceType || null,
+    isBot: !!c.isBot,
+    source: c.source || 'link',
+    variant: c.variant || null,
+    userAgent: c.userAgent || null
+  };
+}
+
+function dailyRecord(d) {
+  return {
+    shortcode: d.shortcode,
+    domain: d.domain || null,
+    day: d.day,
+    clicks: d.clicks || 0,
+    botClicks: d.botClicks || 0,
+    countries: d.countries || {},
+    deviceTypes: d.deviceTypes || {},
+    variants: d.variants || {},
+    sources: d.sources || {}
+  };
+}
+
+// Count a raw click into its day the way jobs.rollupClicks does: breakdowns for human clicks only
+function addToDay(day, c) {
+  if (c.isBot) {
+    day.botClicks++;
+    return;
+  }
+  day.clicks++;
+  for (const [field, value] of [
+    ['countries', c.geo?.country], ['deviceTypes', c.ua?.deviceType], ['variants', c.variant || 'default'], ['sources', c.source || 'link']
+  ]) {
+    const key = countKey(value);
+    day[field][key] = (day[field][key] || 0) + 1;
+  }
+}
+
+/**
+ * The owner's links (tombstones excluded), oldest first, streamed from a cursor.
+ */
+async function* linkRecords(options, shortLinkOf) {
+  const cursor = ShortUrl.find(linkFilter(options)).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  try {
+    for await (const doc of cursor) yield linkRecord(doc, shortLinkOf);
+  } finally {
+    await cursor.close();
+  }
+}
+
+// The links a click export covers: the owner's (optionally one), oldest first
+async function* exportedLinks(options) {
+  const filter = linkFilter(options, { withDates: false });
+  if (options.shortcode) {
+    filter.shortcode = options.shortcode;
+    filter.domain = options.domain || null;
+  }
+  const links = ShortUrl.find(filter, { shortcode: 1, domain: 1 }).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  try {
+    for await (const link of links) yield link;
+  } finally {
+    await links.close();
+  }
+}
+
+// Raw clicks of one link in time order, within the export's from/to
+async function* linkClicks(link, { from, to }, projection = null) {
+  const range = dateRange(from, to);
+  const filter = { shortcode: link.shortcode, domain: link.domain || null, ...(range && { clickedAt: range }) };
+  const clicks = Click.find(filter, projection).sort({ clickedAt: 1 }).lean().cursor();
+  try {
+    for await (const c of clicks) yield c;
+  } finally {
+    await clicks.close();
+  }
+}
+
+/**
+ * Raw clicks of the owner's links (optionally one link), link by link, each in time order.
+ * Clicks already folded into daily totals by the rollup job are not included; the daily view has them.
+ */
+async function* clickRecords(options) {
+  for await (const link of exportedLinks(options)) {
+    for await (const c of linkClicks(link, options)) yield clickRecord(c);
+  }
+}
+
+/**
+ * Per-day click totals of the owner's links (optionally one link), link by link, oldest day first:
+ * the rolled-up days from clicks_daily, then the raw clicks totalled per UTC day. from/to select
+ * rolled-up days by their start and raw clicks by click time.
+ */
+async function* dailyClickRecords(options) {
+  for await (const link of exportedLinks(options)) {
+    const domain = link.domain || null;
+    for (const d of await rolledUpDays(link.shortcode, domain, options)) yield dailyRecord(d);
+
+    let current = null;
+    for await (const c of linkClicks(link, options, { clickedAt: 1, isBot: 1, 'geo.country': 1, 'ua.deviceType': 1, variant: 1, source: 1 })) {
+      const day = new Date(Math.floor(c.clickedAt.getTime() / DAY_MS) * DAY_MS);
+      if (current?.day.getTime() !== day.getTime()) {
+        if (current) yield dailyRecord(current);
+        current = { shortcode: link.shortcode, domain, day, clicks: 0, botClicks: 0, countries: {}, deviceTypes: {}, variants: {}, sources: {} };
+      }
+      addToDay(current, c);
+    }
+    if (current) yield dailyRecord(current);
+  }
+}
+
+// Spreadsheets evaluate cells starting with these; such values are prefixed with a quote
+const FORMULA_PREFIX_RE = /^[=+@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s;
+  if (value instanceof Date) s = value.toISOString();
+  else if (Array.isArray(value) && value.every(v => typeof v === 'string')) s = value.join(',');
+  else if (typeof value === 'object') s = JSON.stringify(value);
+  else s = String(value);
+  if (FORMULA_PREFIX_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Resolve once the response can take more data, or the client went away
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream `records` (an async iterable) to the response as an attachment, honouring backpressure.
+ * Stops early when the client disconnects. Resolves to the number of records written.
+ */
+async function streamExport(res, records, { format, columns, filename }) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  res.status(200);
+  res.set('Content-Type', EXPORT_FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+
+  let count = 0;
+  if (format === 'csv') await write(res, columns.join(',') + '\r\n');
+  if (format === 'json') await write(res, '[\n');
+  for await (const record of records) {
+    if (closed) break;
+    if (format === 'csv') await write(res, columns.map(c => csvCell(record[c])).join(',') + '\r\n');
+    else if (format === 'ndjson') await write(res, JSON.stringify(record) + '\n');
+    else await write(res, (count > 0 ? ',\n' : '') + JSON.stringify(record));
+    count++;
+  }
+  if (format === 'json' && !closed) await write(res, '\n]\n');
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  DAILY_CLICK_COLUMNS,
+  parseExportQuery,
+  linkRecords,
+  clickRecords,
+  dailyClickRecords,
+  streamExport
+};
@@ -0,0 +1,237 @@
+// destinationPolicy.js
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns').promises;
+const { isValidUrl } = require('./utils');
+const { logger } = require('./logging');
+
+// Well-known public shorteners; nesting them hides the real destination from our checks
+const KNOWN_SHORTENERS = [
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly',
+  'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 'bit.do', 'v.gd', 't.ly', 's.id', 'lnkd.in'
+];
+
+const BLOCKED_HOSTNAME_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
+
+/**
+ * Thrown for rejected destinations; `code` is stable for API clients, `status` is the HTTP status.
+ */
+function policyError(code, message) {
+  return { status: 400, code, message };
+}
+
+function splitList(value) {
+  return String(value || '').split(/[\s,]+/).map(d => d.trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+}
+
+/**
+ * Read block/allow lists from env (comma-separated) plus an optional file of one domain per line
+ * (DOMAIN_BLOCKLIST_FILE, e.g. a phishing feed; # starts a comment). Re-read on every call to
+ * loadPolicyConfig so a rescan picks up edits without a restart.
+ */
+function loadPolicyConfig(env = process.env) {
+  let fileDomains = [];
+  if (env.DOMAIN_BLOCKLIST_FILE) {
+    try {
+      const text = fs.readFileSync(env.DOMAIN_BLOCKLIST_FILE, 'utf8');
+      fileDomains = splitList(text.split('\n').map(l => l.replace(/#.*$/, '')).join('\n'));
+    } catch (err) {
+      logger.error('domain blocklist file unreadable', { package: 'config', file: env.DOMAIN_BLOCKLIST_FILE, error: err?.message || String(err) });
+    }
+  }
+  const selfHosts = splitList(env.SHORT_DOMAINS);
+  if (env.BASE_URL) {
+    try { selfHosts.push(new URL(env.BASE_URL).hostname.toLowerCase()); } catch (e) { /* ignore malformed BASE_URL */ }
+  }
+  return {
+    blocklist: [...splitList(env.DOMAIN_BLOCKLIST), ...fileDomains],
+    allowlist: splitList(env.DOMAIN_ALLOWLIST),
+    shorteners: [...KNOWN_SHORTENERS, ...splitList(env.EXTRA_SHORTENER_DOMAINS)],
+    selfHosts,
+    // on unless DESTINATION_RESOLVE_DNS=false; without it a public name pointing at a private
+    // address is only caught later, when the link-health monitor or a webhook connects
+    resolveDns: env.DESTINATION_RESOLVE_DNS !== 'false'
+  };
+}
+
+let config = loadPolicyConfig();
+// verified branded domains are ours too; kept separately so reloads don't drop them
+let customDomains = [];
+
+function reloadPolicyConfig() {
+  config = loadPolicyConfig();
+  return config;
+}
+
+function setCustomDomains(hostnames) {
+  customDomains = hostnames.map(h => h.toLowerCase());
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+function isPrivateIPv4(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||           // link-local
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224;                             // multicast + reserved
+}
+
+// The eight 16-bit groups of a valid IPv6 address; a dotted IPv4 tail becomes the last two groups
+function ipv6Groups(ip) {
+  let text = ip.toLowerCase().replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right].map(g => parseInt(g, 16));
+}
+
+function groupsToIPv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// IPv6 forms that carry an IPv4 address a connection may end up at, or null
+function embeddedIPv4(g) {
+  const zeroPrefix = n => g.slice(0, n).every(x => x === 0);
+  // ::ffff:a.b.c.d (mapped), ::a.b.c.d (compatible, includes :: and ::1), ::ffff:0:a.b.c.d (translated)
+  if (zeroPrefix(5) && (g[5] === 0xffff || g[5] === 0)) return groupsToIPv4(g[6], g[7]);
+  if (zeroPrefix(4) && g[4] === 0xffff && g[5] === 0) return groupsToIPv4(g[6], g[7]);
+  // NAT64 well-known prefix 64:ff9b::/96
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) return groupsToIPv4(g[6], g[7]);
+  // 6to4 2002:aabb:ccdd::/48
+  if (g[0] === 0x2002) return groupsToIPv4(g[1], g[2]);
+  return null;
+}
+
+/**
+ * True for loopback, private, link-local, multicast and reserved addresses. IPv6 addresses are
+ * expanded first, so IPv4 addresses written in IPv6 form (the URL parser turns [::ffff:127.0.0.1]
+ * into [::ffff:7f00:1]) are classified as the IPv4 address they reach.
+ */
+function isPrivateIp(ip) {
+  if (net.isIPv4(ip)) return isPrivateIPv4(ip);
+  if (!net.isIPv6(ip)) return false;
+  const g = ipv6Groups(ip);
+  const v4 = embeddedIPv4(g);
+  if (v4) return isPrivateIPv4(v4);
+  return (g[0] & 0xfe00) === 0xfc00 || // unique local fc00::/7
+    (g[0] & 0xffc0) === 0xfe80 ||      // link-local fe80::/10
+    (g[0] & 0xffc0) === 0xfec0 ||      // site-local fec0::/10 (deprecated)
+    (g[0] & 0xff00) === 0xff00;        // multicast
+}
+
+function privateHostError(hostname) {
+  const err = new Error(`${hostname} resolves to a private, loopback or link-local address`);
+  err.code = 'DESTINATION_PRIVATE_HOST';
+  return err;
+}
+
+/**
+ * `lookup` for outgoing requests (webhooks, link checks): resolves like dns.lookup but fails when
+ * any address is private, so a public name pointing at an internal host is caught at connect time.
+ * Literal IPs skip lookup; check those with isPrivateIp first.
+ */
+async function publicLookup(hostname, options = {}) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+  if (addresses.some(a => isPrivateIp(a.address))) throw privateHostError(hostname);
+  return addresses;
+}
+
+/**
+ * Synchronous checks that need no network: URL syntax, private/loopback literals and
+ * local hostnames, self-references, nested shorteners and the block/allow lists.
+ * Throws a policy error; returns the lower-cased hostname when the URL is acceptable.
+ */
+function checkDestinationSync(url, { requestHost } = {}) {
+  if (!isValidUrl(url)) {
+    throw policyError('DESTINATION_INVALID_URL', 'url must include protocol (http/https) and be a valid URL');
+  }
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (net.isIP(host) ? isPrivateIp(host) : matchesDomain(host, BLOCKED_HOSTNAME_SUFFIXES)) {
+    throw policyError('DESTINATION_PRIVATE_HOST', 'destination must not be a private, loopback or link-local address');
+  }
+  const selfHosts = [...config.selfHosts, ...customDomains];
+  if (requestHost) selfHosts.push(requestHost.toLowerCase().replace(/:\d+$/, ''));
+  if (matchesDomain(host, selfHosts)) {
+    throw policyError('DESTINATION_SELF_REFERENCE', 'destination must not point back at this shortener');
+  }
+  if (matchesDomain(host, config.shorteners)) {
+    throw policyError('DESTINATION_NESTED_SHORTENER', 'destination must not be another short link');
+  }
+  if (matchesDomain(host, config.blocklist)) {
+    throw policyError('DESTINATION_BLOCKED_DOMAIN', 'destination domain is blocked');
+  }
+  if (config.allowlist.length > 0 && !matchesDomain(host, config.allowlist)) {
+    throw policyError('DESTINATION_NOT_ALLOWED', 'destination domain is not on the allow list');
+  }
+  return host;
+}
+
+/**
+ * Full policy check used by creation and edit. The hostname is also resolved (unless
+ * DESTINATION_RESOLVE_DNS=false) so public names pointing at private addresses are rejected.
+ */
+async function checkDestination(url, { requestHost, resolveDns = config.resolveDns } = {}) {
+  const host = checkDestinationSync(url, { requestHost });
+  if (!resolveDns || net.isIP(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch (err) {
+    throw policyError('DESTINATION_UNRESOLVABLE', 'destination hostname does not resolve');
+  }
+  if (addresses.some(a => isPrivateIp(a.address))) {
+    throw policyError('DESTINATION_PRIVATE_HOST', 'destination must not be a private, loopback or link-local address');
+  }
+}
+
+/**
+ * Re-check every active link against the current (re-loaded) policy and disable the ones
+ * that now fail, recording the policy code in disabledReason. Uses the network-free checks
+ * only, and streams through a cursor. With the memory cache adapter, running servers keep
+ * serving a disabled link until its cache entry's TTL runs out; with Redis it is immediate.
+ */
+async function rescanLinks({ dryRun = false } = {}) {
+  // required here to keep the policy checks usable without models/cache loaded
+  const { ShortUrl } = require('./models');
+  const { invalidateLink } = require('./cache');
+
+  reloadPolicyConfig();
+  const summary = { scanned: 0, disabled: 0, matches: [] };
+  const cursor = ShortUrl.find({ status: { $nin: ['disabled', 'deleted'] } }, { shortcode: 1, domain: 1, originalUrl: 1, rules: 1, fallbackUrl: 1 }).lean().cursor();
+  for await (const doc of cursor) {
+    summary.scanned++;
+    // rule destinations and the fallback (served while the destination is down) are redirected to
+    // as well, so they are held to the same policy as originalUrl
+    const ruleUrls = (doc.rules || []).flatMap(r => (r.url ? [r.url] : (r.split || []).map(v => v.url)));
+    const urls = [doc.originalUrl, ...ruleUrls, ...(doc.fallbackUrl ? [doc.fallbackUrl] : [])];
+    try {
+      for (const url of urls) checkDestinationSync(url);
+    } catch (err) {
+      if (!err || !err.code) throw err;
+      summary.matches.push({ shortcode: doc.shortcode, domain: doc.domain || null, originalUrl: doc.originalUrl, code: err.code });
+      if (dryRun) continue;
+      await ShortUrl.updateOne({ _id: doc._id }, { $set: { status: 'disabled', disabledReason: err.code, updatedAt: new Date() } });
+      await invalidateLink(doc.shortcode, doc.domain);
+      summary.disabled++;
+      logger.warn('link disabled by destination policy', { package: 'service', shortcode: doc.shortcode, code: err.code });
+    }
+  }
+  logger.info('destination rescan finished', { package: 'service', scanned: summary.scanned, matched: summary.matches.length, disabled: summary.disabled, dryRun });
+  return summary;
+}
+
+module.exports = { checkDestination, checkDestinationSync, reloadPolicyConfig, setCustomDomains, rescanLinks, isPrivateIp, privateHostError, publicLookup };
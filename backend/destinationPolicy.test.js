@@ -0,0 +1,102 @@
+// destinationPolicy.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('node:dns').promises;
+const { ShortUrl } = require('./models');
+const { isPrivateIp, checkDestination, checkDestinationSync, publicLookup, rescanLinks } = require('./destinationPolicy');
+
+test('isPrivateIp classifies IPv4 ranges', () => {
+  for (const ip of ['0.0.0.0', '10.1.2.3', '127.0.0.1', '100.64.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateIp(ip), true, ip);
+  }
+  for (const ip of ['1.1.1.1', '8.8.8.8', '172.32.0.1', '100.128.0.1', '192.169.0.1']) {
+    assert.equal(isPrivateIp(ip), false, ip);
+  }
+});
+
+test('isPrivateIp classifies IPv6 ranges', () => {
+  for (const ip of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'fec0::1', 'ff02::1']) {
+    assert.equal(isPrivateIp(ip), true, ip);
+  }
+  for (const ip of ['2606:4700:4700::1111', '2001:4860:4860::8888']) {
+    assert.equal(isPrivateIp(ip), false, ip);
+  }
+});
+
+test('isPrivateIp classifies IPv4 addresses written as IPv6 by the IPv4 address', () => {
+  const cases = {
+    '::ffff:127.0.0.1': true,
+    '::ffff:7f00:1': true,               // how the URL parser writes [::ffff:127.0.0.1]
+    '::ffff:a9fe:a9fe': true,            // 169.254.169.254
+    '0:0:0:0:0:ffff:a9fe:a9fe': true,
+    '::a9fe:a9fe': true,                 // IPv4-compatible
+    '::ffff:0:7f00:1': true,             // IPv4-translated
+    '64:ff9b::a9fe:a9fe': true,          // NAT64
+    '64:ff9b::10.0.0.1': true,
+    '2002:c0a8:101::1': true,            // 6to4 of 192.168.1.1
+    '::ffff:8.8.8.8': false,
+    '::ffff:808:808': false,
+    '64:ff9b::808:808': false
+  };
+  for (const [ip, expected] of Object.entries(cases)) assert.equal(isPrivateIp(ip), expected, ip);
+});
+
+test('isPrivateIp ignores non-addresses', () => {
+  assert.equal(isPrivateIp('localhost'), false);
+  assert.equal(isPrivateIp(''), false);
+});
+
+test('checkDestinationSync rejects private literals in any notation', () => {
+  for (const url of [
+    'http://127.0.0.1/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:a9fe:a9fe]/latest',
+    'http://[64:ff9b::a9fe:a9fe]/',
+    'http://db.internal:8080/',
+    'http://printer.local/'
+  ]) {
+    assert.throws(() => checkDestinationSync(url), { code: 'DESTINATION_PRIVATE_HOST' }, url);
+  }
+});
+
+test('checkDestinationSync accepts public destinations', () => {
+  assert.equal(checkDestinationSync('https://example.com/path?q=1'), 'example.com');
+  assert.equal(checkDestinationSync('http://[2606:4700:4700::1111]/'), '2606:4700:4700::1111');
+});
+
+test('checkDestinationSync rejects nested shorteners and self references', () => {
+  assert.throws(() => checkDestinationSync('https://bit.ly/abc'), { code: 'DESTINATION_NESTED_SHORTENER' });
+  assert.throws(() => checkDestinationSync('https://sho.rt/abc', { requestHost: 'sho.rt:443' }), { code: 'DESTINATION_SELF_REFERENCE' });
+  assert.throws(() => checkDestinationSync('ftp://example.com/'), { code: 'DESTINATION_INVALID_URL' });
+});
+
+test('publicLookup refuses names that resolve to private addresses', async () => {
+  await assert.rejects(publicLookup('localhost'), { code: 'DESTINATION_PRIVATE_HOST' });
+});
+
+test('rescanLinks disables links whose fallback is no longer allowed', async t => {
+  const links = [
+    { _id: 1, shortcode: 'fine', originalUrl: 'https://example.com/', fallbackUrl: 'https://example.org/' },
+    { _id: 2, shortcode: 'fallback', originalUrl: 'https://example.com/', fallbackUrl: 'http://10.0.0.5/' }
+  ];
+  const find = t.mock.method(ShortUrl, 'find', () => ({ lean: () => ({ cursor: () => links }) }));
+  const updateOne = t.mock.method(ShortUrl, 'updateOne', async () => ({}));
+
+  const summary = await rescanLinks();
+  assert.equal(find.mock.calls[0].arguments[1].fallbackUrl, 1);
+  assert.equal(summary.scanned, 2);
+  assert.deepEqual(summary.matches.map(m => m.shortcode), ['fallback']);
+  assert.equal(updateOne.mock.calls.length, 1);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: 2 });
+});
+
+test('checkDestination resolves hostnames by default and rejects private answers', async t => {
+  const answers = { 'internal.example.com': '10.0.0.8', 'rebind.example.com': '127.0.0.1', 'www.example.com': '93.184.215.14' };
+  t.mock.method(dns, 'lookup', async host => [{ address: answers[host], family: 4 }]);
+  await assert.rejects(checkDestination('https://internal.example.com/'), { code: 'DESTINATION_PRIVATE_HOST' });
+  await assert.rejects(checkDestination('https://rebind.example.com/admin'), { code: 'DESTINATION_PRIVATE_HOST' });
+  await checkDestination('https://www.example.com/');
+  // the opt-out skips the lookup
+  await checkDestination('https://internal.example.com/', { resolveDns: false });
+});
@@ -0,0 +1,100 @@
+// domains.js
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { Domain } = require('./models');
+const { logger } = require('./logging');
+const { setCustomDomains } = require('./destinationPolicy');
+
+const VERIFY_RECORD_PREFIX = '_shortener-verify';
+const VERIFY_VALUE_PREFIX = 'shortener-verify=';
+// local development: DOMAIN_VERIFY_STUB=true accepts every verification without DNS
+const DOMAIN_VERIFY_STUB = process.env.DOMAIN_VERIFY_STUB === 'true';
+const DOMAIN_LINK_PROTOCOL = process.env.DOMAIN_LINK_PROTOCOL || 'https';
+const DOMAIN_REFRESH_MS = Number(process.env.DOMAIN_REFRESH_MS) || 60000;
+
+const HOSTNAME_RE = /^(?=.{1,253}$)(?!-)([a-z0-9-]{1,63}\.)+[a-z]{2,63}$/;
+
+// verified hostnames, refreshed periodically so every instance routes by Host without a DB hit per request
+let verified = new Set();
+let lastRefresh = 0;
+let refreshing = null;
+
+function normalizeHostname(hostname) {
+  if (typeof hostname !== 'string') return null;
+  const h = hostname.trim().toLowerCase().replace(/\.$/, '');
+  return HOSTNAME_RE.test(h) ? h : null;
+}
+
+async function refreshDomains() {
+  if (refreshing) return refreshing;
+  refreshing = (async () => {
+    try {
+      const docs = await Domain.find({ verifiedAt: { $ne: null } }, { hostname: 1 }).lean();
+      verified = new Set(docs.map(d => d.hostname));
+      setCustomDomains([...verified]);
+      lastRefresh = Date.now();
+    } catch (err) {
+      logger.error('domain refresh failed', { package: 'domain', error: err?.message || String(err) });
+    } finally {
+      refreshing = null;
+    }
+  })();
+  return refreshing;
+}
+
+/**
+ * Map a request to the link namespace it addresses: the verified custom domain named by
+ * the Host header, or null for the default short domain.
+ */
+async function resolveRequestDomain(req) {
+  if (Date.now() - lastRefresh > DOMAIN_REFRESH_MS) await refreshDomains();
+  const host = (req.hostname || '').toLowerCase();
+  return verified.has(host) ? host : null;
+}
+
+function verificationRecord(doc) {
+  return {
+    type: 'TXT',
+    name: `${VERIFY_RECORD_PREFIX}.${doc.hostname}`,
+    value: `${VERIFY_VALUE_PREFIX}${doc.verificationToken}`
+  };
+}
+
+function newVerificationToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Check the TXT record proving control of `doc.hostname`.
+ * Returns true when `_shortener-verify.<hostname>` contains the expected token.
+ */
+async function checkDomainOwnership(doc) {
+  if (DOMAIN_VERIFY_STUB) {
+    logger.warn('domain verification stubbed', { package: 'domain', hostname: doc.hostname });
+    return true;
+  }
+  const { name, value } = verificationRecord(doc);
+  try {
+    const records = await dns.resolveTxt(name);
+    return records.some(chunks => chunks.join('') === value);
+  } catch (err) {
+    logger.info('domain TXT lookup failed', { package: 'domain', hostname: doc.hostname, error: err?.code || err?.message });
+    return false;
+  }
+}
+
+// Base URL for links on a domain; null means the default short domain
+function linkBase(req, domain) {
+  if (domain) return `${DOMAIN_LINK_PROTOCOL}://${domain}`;
+  return process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+  normalizeHostname,
+  refreshDomains,
+  resolveRequestDomain,
+  verificationRecord,
+  newVerificationToken,
+  checkDomainOwnership,
+  linkBase
+};
@@ -0,0 +1,101 @@
+// geoip.js
+const crypto = require('crypto');
+const net = require('net');
+const maxmind = require('maxmind');
+const { logger } = require('./logging');
+
+// Offline lookups only: reads a local MaxMind .mmdb (GeoLite2-City or -Country) from GEOIP_DB_PATH
+let reader = null;
+
+async function initGeoIp(dbPath = process.env.GEOIP_DB_PATH) {
+  if (!dbPath) {
+    logger.info('GeoIP disabled (GEOIP_DB_PATH not set)', { package: 'config' });
+    return false;
+  }
+  try {
+    // watchForUpdates lets the database file be replaced in place without a restart
+    reader = await maxmind.open(dbPath, { watchForUpdates: true, watchForUpdatesNonPersistent: true });
+    logger.info('GeoIP database loaded', { package: 'config', dbPath });
+    return true;
+  } catch (err) {
+    reader = null;
+    logger.error('GeoIP database failed to load', { package: 'config', dbPath, error: err?.message || String(err) });
+    return false;
+  }
+}
+
+// IPv4 clients reach dual-stack sockets as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  if (!ip || typeof ip !== 'string') return null;
+  const trimmed = ip.trim();
+  return trimmed.startsWith('::ffff:') && trimmed.includes('.') ? trimmed.slice(7) : trimmed;
+}
+
+/**
+ * Resolve an IP to { country, countryName, region, city }.
+ * Unknown, private or malformed addresses resolve to nulls rather than throwing.
+ */
+function lookupGeo(ip) {
+  const empty = { country: null, countryName: null, region: null, city: null };
+  const addr = normalizeIp(ip);
+  if (!reader || !addr || !maxmind.validate(addr)) return empty;
+  try {
+    const rec = reader.get(addr);
+    if (!rec) return empty;
+    const subdivision = Array.isArray(rec.subdivisions) ? rec.subdivisions[0] : null;
+    return {
+      country: rec.country?.iso_code || rec.registered_country?.iso_code || null,
+      countryName: rec.country?.names?.en || rec.registered_country?.names?.en || null,
+      region: subdivision?.iso_code || subdivision?.names?.en || null,
+      city: rec.city?.names?.en || null
+    };
+  } catch (err) {
+    logger.debug('GeoIP lookup failed', { package: 'service', error: err?.message || String(err) });
+    return empty;
+  }
+}
+
+/**
+ * Parse TRUSTED_PROXIES into an Express `trust proxy` value.
+ * Accepts a comma-separated list of IPs/CIDRs or the presets loopback, linklocal, uniquelocal;
+ * a bare number means "trust that many hops". Unset means X-Forwarded-For is ignored.
+ */
+function parseTrustedProxies(value = process.env.TRUSTED_PROXIES) {
+  if (!value || !String(value).trim()) return false;
+  const v = String(value).trim();
+  if (/^\d+$/.test(v)) return Number(v);
+  return v.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+// full 8-group form of an IPv6 address (handles '::' and an embedded IPv4 tail)
+function expandIpv6(ip) {
+  let addr = ip.split('%')[0];
+  const v4 = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4[1].split('.').map(Number);
+    addr = addr.slice(0, -v4[1].length) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+  const [head, tail] = addr.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail !== undefined && tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? Array(8 - left.length - right.length).fill('0') : [];
+  return [...left, ...fill, ...right].map(g => g.padStart(4, '0'));
+}
+
+/**
+ * Irreversibly reduce a stored IP for data retention.
+ * 'truncate' keeps the network part (IPv4 /24, IPv6 /48) so coarse geo stays meaningful;
+ * 'hash' replaces it with a salted pseudonym that still counts unique visitors.
+ */
+function anonymizeIp(ip, mode = 'truncate', salt = '') {
+  if (!ip) return null;
+  if (mode === 'hash') {
+    return 'h:' + crypto.createHash('sha256').update(salt + ip).digest('hex').slice(0, 16);
+  }
+  const kind = net.isIP(ip);
+  if (kind === 4) return ip.split('.').slice(0, 3).concat('0').join('.');
+  if (kind === 6) return expandIpv6(ip).slice(0, 3).map(g => g.replace(/^0+(?=.)/, '')).join(':') + '::';
+  return null;
+}
+
+module.exports = { initGeoIp, lookupGeo, normalizeIp, anonymizeIp, parseTrustedProxies };
@@ -0,0 +1,64 @@
+// geoip.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const maxmind = require('maxmind');
+const { initGeoIp, lookupGeo, normalizeIp, anonymizeIp, parseTrustedProxies } = require('./geoip');
+
+const EMPTY = { country: null, countryName: null, region: null, city: null };
+
+test('lookupGeo resolves to nulls while no database is loaded', async () => {
+  assert.equal(await initGeoIp(''), false);
+  assert.deepEqual(lookupGeo('81.2.69.142'), EMPTY);
+});
+
+test('lookupGeo maps a City record and tolerates unknown or malformed addresses', async t => {
+  const records = {
+    '81.2.69.142': {
+      country: { iso_code: 'GB', names: { en: 'United Kingdom' } },
+      subdivisions: [{ iso_code: 'ENG', names: { en: 'England' } }],
+      city: { names: { en: 'London' } }
+    },
+    // Country databases and anycast ranges only carry the registered country
+    '2001:db8::1': { registered_country: { iso_code: 'DE', names: { en: 'Germany' } } }
+  };
+  const open = t.mock.method(maxmind, 'open', async () => ({ get: ip => records[ip] || null }));
+  assert.equal(await initGeoIp('/data/GeoLite2-City.mmdb'), true);
+  assert.equal(open.mock.calls[0].arguments[0], '/data/GeoLite2-City.mmdb');
+
+  assert.deepEqual(lookupGeo('::ffff:81.2.69.142'), { country: 'GB', countryName: 'United Kingdom', region: 'ENG', city: 'London' });
+  assert.deepEqual(lookupGeo('2001:db8::1'), { country: 'DE', countryName: 'Germany', region: null, city: null });
+  assert.deepEqual(lookupGeo('10.0.0.1'), EMPTY);
+  assert.deepEqual(lookupGeo('not an ip'), EMPTY);
+  assert.deepEqual(lookupGeo(null), EMPTY);
+});
+
+test('initGeoIp reports a database that fails to load', async t => {
+  t.mock.method(maxmind, 'open', async () => {
+    throw new Error('ENOENT');
+  });
+  assert.equal(await initGeoIp('/missing.mmdb'), false);
+  assert.deepEqual(lookupGeo('81.2.69.142'), EMPTY);
+});
+
+test('normalizeIp unwraps IPv4-mapped IPv6 addresses', () => {
+  assert.equal(normalizeIp('::ffff:203.0.113.7'), '203.0.113.7');
+  assert.equal(normalizeIp(' 2001:db8::1 '), '2001:db8::1');
+  assert.equal(normalizeIp(undefined), null);
+});
+
+test('anonymizeIp truncates to the network or hashes with a salt', () => {
+  assert.equal(anonymizeIp('203.0.113.77'), '203.0.113.0');
+  assert.equal(anonymizeIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+  assert.equal(anonymizeIp('::1'), '0:0:0::');
+  const hashed = anonymizeIp('203.0.113.77', 'hash', 'salt');
+  assert.match(hashed, /^h:[0-9a-f]{16}$/);
+  assert.equal(anonymizeIp('203.0.113.77', 'hash', 'salt'), hashed);
+  assert.notEqual(anonymizeIp('203.0.113.77', 'hash', 'other'), hashed);
+  assert.equal(anonymizeIp(null), null);
+});
+
+test('parseTrustedProxies accepts hop counts and address lists', () => {
+  assert.equal(parseTrustedProxies(''), false);
+  assert.equal(parseTrustedProxies('2'), 2);
+  assert.deepEqual(parseTrustedProxies('loopback, 10.0.0.0/8,'), ['loopback', '10.0.0.0/8']);
+});
@@ -0,0 +1,270 @@
+// jobs.js
+const os = require('os');
+const { ShortUrl, Click, ArchivedShortUrl, ClickDaily, JobRun } = require('./models');
+const { logger } = require('./logging');
+const { invalidateLink } = require('./cache');
+const { anonymizeIp } = require('./geoip');
+const { notifyLinkExpired } = require('./webhooks');
+const { countKey } = require('./utils');
+
+const DAY_MS = 24 * 3600 * 1000;
+const JOBS_ENABLED = process.env.JOBS_ENABLED !== 'false';
+const JOBS_INTERVAL_MINUTES = Number(process.env.JOBS_INTERVAL_MINUTES) || 60;
+const JOB_BATCH_SIZE = Number(process.env.JOB_BATCH_SIZE) || 1000;
+// a crashed instance's lease expires after this, so another instance can take the job over
+const JOB_LEASE_MINUTES = Number(process.env.JOB_LEASE_MINUTES) || 30;
+
+// expired links: 'archive' moves them to shorturls_archive (their codes stay taken),
+// 'purge' deletes them with their clicks (their codes can be issued again)
+const EXPIRED_LINK_ACTION = process.env.EXPIRED_LINK_ACTION === 'purge' ? 'purge' : 'archive';
+const EXPIRED_LINK_GRACE_DAYS = Number(process.env.EXPIRED_LINK_GRACE_DAYS) || 30;
+// raw clicks older than this are folded into clicks_daily; analytics, stats and the daily click export
+// read both, but per-click detail (referrers, user agents, regions, cities, IPs) is gone after it
+const CLICK_ROLLUP_AFTER_DAYS = Number(process.env.CLICK_ROLLUP_AFTER_DAYS) || 180;
+const IP_ANONYMIZE_AFTER_DAYS = Number(process.env.IP_ANONYMIZE_AFTER_DAYS) || 30;
+const IP_ANONYMIZE_MODE = process.env.IP_ANONYMIZE_MODE === 'hash' ? 'hash' : 'truncate';
+const IP_HASH_SALT = process.env.IP_HASH_SALT || '';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let running = null;
+
+/**
+ * Emit the link.expired webhook event for links that expired since the last run and that no
+ * redirect has reported yet (see webhooks.notifyLinkExpired).
+ */
+async function notifyExpiredLinks() {
+  const cursor = ShortUrl.find(
+    { expiryAt: { $lte: new Date() }, expiryNotifiedAt: null, status: { $ne: 'deleted' } },
+    { shortcode: 1, domain: 1, owner: 1, originalUrl: 1, expiryAt: 1 }
+  ).lean().cursor();
+  let notified = 0;
+  for await (const link of cursor) {
+    if (await notifyLinkExpired(link)) notified++;
+  }
+  return { links: notified };
+}
+
+/**
+ * Archive or purge links that expired more than EXPIRED_LINK_GRACE_DAYS ago (tombstones included).
+ */
+async function sweepExpiredLinks() {
+  const cutoff = new Date(Date.now() - EXPIRED_LINK_GRACE_DAYS * DAY_MS);
+  let processed = 0;
+  for (;;) {
+    const docs = await ShortUrl.find({ expiryAt: { $lt: cutoff } }).limit(JOB_BATCH_SIZE).lean();
+    if (docs.length === 0) break;
+
+    if (EXPIRED_LINK_ACTION === 'archive') {
+      const archivedAt = new Date();
+      try {
+        await ArchivedShortUrl.insertMany(docs.map(d => ({ ...d, archivedAt })), { ordered: false });
+      } catch (err) {
+        // documents archived by an earlier, interrupted run are already there
+        if (err?.code !== 11000 && !err?.writeErrors?.every(e => e.code === 11000)) throw err;
+      }
+    } else {
+      const links = docs.map(d => ({ shortcode: d.shortcode, domain: d.domain || null }));
+      await Click.deleteMany({ $or: links });
+      await ClickDaily.deleteMany({ $or: links });
+    }
+    await ShortUrl.deleteMany({ _id: { $in: docs.map(d => d._id) } });
+    await Promise.all(docs.map(d => invalidateLink(d.shortcode, d.domain || null)));
+    processed += docs.length;
+  }
+  return { action: EXPIRED_LINK_ACTION, graceDays: EXPIRED_LINK_GRACE_DAYS, links: processed };
+}
+
+/**
+ * Fold raw clicks older than CLICK_ROLLUP_AFTER_DAYS into per-link daily totals, one UTC day
+ * at a time. A day's totals are $set from all of its raw clicks before those are deleted, so
+ * re-running after an interruption recomputes the same numbers instead of double counting.
+ */
+async function rollupClicks() {
+  const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+  const cutoff = new Date(today.getTime() - CLICK_ROLLUP_AFTER_DAYS * DAY_MS);
+  let days = 0;
+  let clicks = 0;
+  for (;;) {
+    const oldest = await Click.findOne({ clickedAt: { $lt: cutoff } }, { clickedAt: 1 }).sort({ clickedAt: 1 }).lean();
+    if (!oldest) break;
+    const dayStart = new Date(Math.floor(oldest.clickedAt.getTime() / DAY_MS) * DAY_MS);
+    const range = { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) };
+
+    const groups = await Click.aggregate([
+      { $match: { clickedAt: range } },
+      {
+        $group: {
+          _id: {
+            shortcode: '$shortcode',
+            domain: { $ifNull: ['$domain', null] },
+            isBot: { $eq: ['$isBot', true] },
+            country: '$geo.country',
+            deviceType: '$ua.deviceType',
+            variant: '$variant',
+            source: '$source'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const perLink = new Map();
+    for (const { _id: g, count } of groups) {
+      const key = `${g.domain || ''}/${g.shortcode}`;
+      const entry = perLink.get(key) || {
+        shortcode: g.shortcode, domain: g.domain, clicks: 0, botClicks: 0, countries: {}, deviceTypes: {}, variants: {}, sources: {}
+      };
+      perLink.set(key, entry);
+      clicks += count;
+      if (g.isBot) {
+        // analytics hide bots by default, so the breakdowns only count human clicks
+        entry.botClicks += count;
+        continue;
+      }
+      entry.clicks += count;
+      const country = countKey(g.country);
+      const deviceType = countKey(g.deviceType);
+      const variant = countKey(g.variant || 'default');
+      const source = countKey(g.source || 'link');
+      entry.countries[country] = (entry.countries[country] || 0) + count;
+      entry.deviceTypes[deviceType] = (entry.deviceTypes[deviceType] || 0) + count;
+      entry.variants[variant] = (entry.variants[variant] || 0) + count;
+      entry.sources[source] = (entry.sources[source] || 0) + count;
+    }
+
+    const ops = [...perLink.values()].map(({ shortcode, domain, ...totals }) => ({
+      updateOne: { filter: { shortcode, domain, day: dayStart }, update: { $set: totals }, upsert: true }
+    }));
+    if (ops.length) await ClickDaily.bulkWrite(ops, { ordered: false });
+    await Click.deleteMany({ clickedAt: range });
+    days++;
+  }
+  return { afterDays: CLICK_ROLLUP_AFTER_DAYS, days, clicks };
+}
+
+/**
+ * Truncate or hash the IPs of clicks older than IP_ANONYMIZE_AFTER_DAYS.
+ */
+async function anonymizeClickIps() {
+  const cutoff = new Date(Date.now() - IP_ANONYMIZE_AFTER_DAYS * DAY_MS);
+  let updated = 0;
+  for (;;) {
+    const clicks = await Click.find(
+      { clickedAt: { $lt: cutoff }, ipAnonymized: { $ne: true } },
+      { ip: 1 }
+    ).limit(JOB_BATCH_SIZE).lean();
+    if (clicks.length === 0) break;
+    await Click.bulkWrite(clicks.map(c => ({
+      updateOne: {
+        filter: { _id: c._id },
+        update: { $set: { ip: anonymizeIp(c.ip, IP_ANONYMIZE_MODE, IP_HASH_SALT), ipAnonymized: true } }
+      }
+    })), { ordered: false });
+    updated += clicks.length;
+  }
+  return { afterDays: IP_ANONYMIZE_AFTER_DAYS, mode: IP_ANONYMIZE_MODE, clicks: updated };
+}
+
+// run order matters: expiries are reported before links are archived, and IPs are
+// anonymized before old clicks are rolled up and removed
+const JOBS = {
+  'notify-expired': notifyExpiredLinks,
+  'expire-links': sweepExpiredLinks,
+  'anonymize-ips': anonymizeClickIps,
+  'rollup-clicks': rollupClicks
+};
+
+// Take the job's lease; false when another instance holds it
+async function acquireLease(name) {
+  const now = new Date();
+  try {
+    const doc = await JobRun.findOneAndUpdate(
+      { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + JOB_LEASE_MINUTES * 60000), lockedBy: INSTANCE_ID, lastStartedAt: now } },
+      { upsert: true, new: true }
+    ).lean();
+    return !!doc;
+  } catch (err) {
+    // the upsert collides with the existing, still-locked document
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Run one job now and report the outcome through the logger and its JobRun document.
+ * Resolves to { job, status: 'ok' | 'skipped' | 'failed', durationMs, ... }; never throws.
+ */
+async function runJob(name) {
+  const job = JOBS[name];
+  if (!job) return { job: name, status: 'failed', error: `unknown job '${name}'` };
+
+  const started = Date.now();
+  try {
+    if (!(await acquireLease(name))) {
+      logger.info('job skipped, running elsewhere', { package: 'cron job', job: name });
+      return { job: name, status: 'skipped' };
+    }
+  } catch (err) {
+    logger.error('job lease failed', { package: 'cron job', job: name, error: err?.message || String(err) });
+    return { job: name, status: 'failed', error: err?.message || String(err) };
+  }
+
+  let report;
+  try {
+    const result = await job();
+    report = { job: name, status: 'ok', durationMs: Date.now() - started, ...result };
+    logger.info('job finished', { package: 'cron job', ...report });
+  } catch (err) {
+    report = { job: name, status: 'failed', durationMs: Date.now() - started, error: err?.message || String(err) };
+    logger.error('job failed', { package: 'cron job', ...report });
+  }
+
+  try {
+    await JobRun.updateOne({ name }, {
+      $set: {
+        lockedUntil: null,
+        lockedBy: null,
+        lastFinishedAt: new Date(),
+        lastResult: report,
+        lastError: report.status === 'failed' ? report.error : null
+      }
+    });
+  } catch (err) {
+    logger.error('job lease release failed', { package: 'cron job', job: name, error: err?.message || String(err) });
+  }
+  return report;
+}
+
+// Run every job in order; overlapping ticks share the in-flight run
+function runAllJobs() {
+  if (running) return running;
+  running = (async () => {
+    const reports = [];
+    try {
+      for (const name of Object.keys(JOBS)) reports.push(await runJob(name));
+    } finally {
+      running = null;
+    }
+    return reports;
+  })();
+  return running;
+}
+
+function startJobs() {
+  if (timer || !JOBS_ENABLED) return;
+  timer = setInterval(() => { runAllJobs(); }, JOBS_INTERVAL_MINUTES * 60000);
+  timer.unref();
+  logger.info('scheduled jobs started', { package: 'cron job', jobs: Object.keys(JOBS), intervalMinutes: JOBS_INTERVAL_MINUTES });
+}
+
+// Stop scheduling and wait for a run in progress, so its lease is released cleanly
+async function stopJobs() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (running) await running;
+}
+
+module.exports = { JOBS, runJob, runAllJobs, startJobs, stopJobs };
@@ -0,0 +1,180 @@
+// linkHealth.js
+const net = require('net');
+const axios = require('axios');
+const { ShortUrl } = require('./models');
+const { logger } = require('./logging');
+const { invalidateLink } = require('./cache');
+const { isPrivateIp, privateHostError, publicLookup } = require('./destinationPolicy');
+const { recordLinkCheck } = require('./metrics');
+
+const LINK_CHECKS_ENABLED = process.env.LINK_CHECKS_ENABLED !== 'false';
+const LINK_CHECK_POLL_INTERVAL_MS = Number(process.env.LINK_CHECK_POLL_INTERVAL_MS) || 60000;
+// healthy destinations are re-checked after LINK_CHECK_INTERVAL_MINUTES, failing ones sooner
+const LINK_CHECK_INTERVAL_MINUTES = Number(process.env.LINK_CHECK_INTERVAL_MINUTES) || 360;
+const LINK_CHECK_RETRY_MINUTES = Number(process.env.LINK_CHECK_RETRY_MINUTES) || 30;
+const LINK_CHECK_CONCURRENCY = Number(process.env.LINK_CHECK_CONCURRENCY) || 4;
+// upper bound of checks per poll, so a backlog is worked off gradually
+const LINK_CHECK_BATCH_SIZE = Number(process.env.LINK_CHECK_BATCH_SIZE) || 100;
+const LINK_CHECK_TIMEOUT_MS = Number(process.env.LINK_CHECK_TIMEOUT_MS) || 10000;
+const LINK_CHECK_MAX_REDIRECTS = Number(process.env.LINK_CHECK_MAX_REDIRECTS) || 5;
+// consecutive failed checks before a link is flagged as down (and its fallbackUrl served)
+const LINK_CHECK_FAILURE_THRESHOLD = Number(process.env.LINK_CHECK_FAILURE_THRESHOLD) || 3;
+// for local development only: lets the monitor reach private and loopback addresses
+const LINK_CHECK_ALLOW_PRIVATE_TARGETS = process.env.LINK_CHECK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// a claimed link is left alone this long; covers a HEAD and a GET that both time out
+const CHECK_LEASE_MS = LINK_CHECK_TIMEOUT_MS * 3;
+const USER_AGENT = 'url-shortener-linkcheck/1.0 (+destination health monitor)';
+// the destination answered but refuses anonymous or automated clients; visitors may still get through
+const REACHABLE_STATUSES = new Set([401, 403, 429]);
+// failures a GET would only repeat
+const FINAL_ERRORS = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'DESTINATION_PRIVATE_HOST']);
+
+let timer = null;
+let running = null;
+let stopping = false;
+
+// Destinations passed the policy when saved, but DNS and redirects can still lead to internal hosts
+function assertPublicHost(hostname) {
+  if (LINK_CHECK_ALLOW_PRIVATE_TARGETS) return;
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateIp(host)) throw privateHostError(host);
+}
+
+async function request(method, url) {
+  assertPublicHost(new URL(url).hostname);
+  const started = Date.now();
+  const res = await axios.request({
+    method,
+    url,
+    headers: { 'User-Agent': USER_AGENT, Accept: '*/*' },
+    timeout: LINK_CHECK_TIMEOUT_MS,
+    maxRedirects: LINK_CHECK_MAX_REDIRECTS,
+    beforeRedirect: options => assertPublicHost(options.hostname),
+    lookup: LINK_CHECK_ALLOW_PRIVATE_TARGETS ? undefined : publicLookup,
+    // only the status line matters; the body is never read
+    responseType: 'stream',
+    validateStatus: () => true
+  });
+  res.data.destroy();
+  return {
+    method,
+    statusCode: res.status,
+    finalUrl: res.request?.res?.responseUrl || url,
+    responseTimeMs: Date.now() - started
+  };
+}
+
+/**
+ * Request `url` with HEAD, and with GET when HEAD fails or is refused (many servers answer
+ * HEAD with 405 or 404). Redirects are followed. Throws on network errors and timeouts.
+ */
+async function probe(url) {
+  try {
+    const head = await request('HEAD', url);
+    if (head.statusCode < 400) return head;
+  } catch (err) {
+    if (FINAL_ERRORS.has(err?.code)) throw err;
+  }
+  return request('GET', url);
+}
+
+/**
+ * Check one link's originalUrl and store the result in its `health`. Links failing
+ * LINK_CHECK_FAILURE_THRESHOLD times in a row are flagged 'down'. Returns the new health record.
+ */
+async function checkLink(link) {
+  const checkedAt = new Date();
+  let result;
+  try {
+    const r = await probe(link.originalUrl);
+    const ok = r.statusCode < 400 || REACHABLE_STATUSES.has(r.statusCode);
+    result = { ok, statusCode: r.statusCode, finalUrl: r.finalUrl, responseTimeMs: r.responseTimeMs, error: ok ? null : `HTTP ${r.statusCode}` };
+  } catch (err) {
+    result = { ok: false, statusCode: null, finalUrl: null, responseTimeMs: Date.now() - checkedAt.getTime(), error: err?.code || err?.message || String(err) };
+  }
+
+  const previous = link.health || {};
+  const consecutiveFailures = result.ok ? 0 : (previous.consecutiveFailures || 0) + 1;
+  const status = result.ok ? 'healthy' : consecutiveFailures >= LINK_CHECK_FAILURE_THRESHOLD ? 'down' : 'failing';
+  const health = {
+    status,
+    statusCode: result.statusCode,
+    finalUrl: result.finalUrl,
+    responseTimeMs: result.responseTimeMs,
+    error: result.error,
+    checkedAt,
+    consecutiveFailures,
+    downSince: status === 'down' ? previous.downSince || checkedAt : null
+  };
+  const nextCheck = new Date(checkedAt.getTime() + (result.ok ? LINK_CHECK_INTERVAL_MINUTES : LINK_CHECK_RETRY_MINUTES) * 60000);
+
+  // a destination edited while the check ran is checked again instead of getting a stale result
+  const updated = await ShortUrl.updateOne(
+    { _id: link._id, originalUrl: link.originalUrl },
+    { $set: { health, healthCheckDueAt: nextCheck } }
+  );
+  if (updated.matchedCount === 0) return null;
+  recordLinkCheck(status);
+
+  const meta = { package: 'service', shortcode: link.shortcode, domain: link.domain || null, statusCode: health.statusCode, error: health.error };
+  if ((previous.status === 'down') !== (status === 'down')) {
+    // the redirect reads the down flag (and serves fallbackUrl) from the cached link
+    await invalidateLink(link.shortcode, link.domain || null);
+    if (status === 'down') logger.warn('link destination down', { ...meta, failures: consecutiveFailures });
+    else logger.info('link destination recovered', meta);
+  } else if (!result.ok) {
+    logger.info('link destination check failed', { ...meta, failures: consecutiveFailures });
+  }
+  return health;
+}
+
+// Take the most overdue active link and push its due time past the lease, so other instances skip it
+function claimLink() {
+  const now = new Date();
+  return ShortUrl.findOneAndUpdate(
+    { status: 'active', expiryAt: { $gt: now }, $or: [{ healthCheckDueAt: null }, { healthCheckDueAt: { $lte: now } }] },
+    { $set: { healthCheckDueAt: new Date(now.getTime() + CHECK_LEASE_MS) } },
+    { sort: { healthCheckDueAt: 1 }, new: true, projection: { shortcode: 1, domain: 1, originalUrl: 1, health: 1 } }
+  ).lean();
+}
+
+async function checkDueLinks() {
+  let budget = LINK_CHECK_BATCH_SIZE;
+  const worker = async () => {
+    while (!stopping && budget > 0) {
+      budget--;
+      const link = await claimLink();
+      if (!link) return;
+      await checkLink(link);
+    }
+  };
+  await Promise.all(Array.from({ length: LINK_CHECK_CONCURRENCY }, worker));
+}
+
+// Check the links that are due; overlapping ticks share the in-flight run
+function pollLinkChecks() {
+  if (running) return running;
+  running = checkDueLinks()
+    .catch(err => logger.error('link check run failed', { package: 'service', error: err?.message || String(err) }))
+    .finally(() => { running = null; });
+  return running;
+}
+
+function startLinkChecks() {
+  if (timer || !LINK_CHECKS_ENABLED) return;
+  stopping = false;
+  timer = setInterval(() => { pollLinkChecks(); }, LINK_CHECK_POLL_INTERVAL_MS);
+  timer.unref();
+  logger.info('link checks started', { package: 'service', intervalMs: LINK_CHECK_POLL_INTERVAL_MS, concurrency: LINK_CHECK_CONCURRENCY });
+}
+
+// Stop claiming links and wait for the checks in flight to be recorded
+async function stopLinkChecks() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  stopping = true;
+  if (running) await running;
+}
+
+module.exports = { checkLink, startLinkChecks, stopLinkChecks };
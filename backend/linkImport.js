@@ -0,0 +1,169 @@
+// linkImport.js
+const { splitCsvRows, normalizeShortcode, parseBoolean } = require('./utils');
+
+// what to do when an imported shortcode is already taken (in the database or earlier in the file):
+// skip the row, overwrite the existing link (only the caller's own), or import under a new code
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+
+// Header / key aliases, compared lower-cased without punctuation. Covers this app's own export and
+// batch CSV, Bitly's link export (Bitlink, Long URL, Created, Tags) and the usual generic names.
+const COLUMN_ALIASES = {
+  url: 'url', originalurl: 'url', longurl: 'url', destination: 'url', destinationurl: 'url', targeturl: 'url',
+  shortcode: 'shortcode', backhalf: 'shortcode', keyword: 'shortcode', slug: 'shortcode',
+  shortlink: 'shortLink', shorturl: 'shortLink', link: 'shortLink', bitlink: 'shortLink', custombitlink: 'shortLink',
+  domain: 'domain',
+  title: 'title',
+  notes: 'notes', note: 'notes', description: 'notes',
+  tags: 'tags', tag: 'tags', labels: 'tags',
+  createdat: 'createdAt', created: 'createdAt', datecreated: 'createdAt', creationdate: 'createdAt',
+  expiryat: 'expiryAt', expiresat: 'expiryAt', expiry: 'expiryAt', expiration: 'expiryAt', expirationdate: 'expiryAt',
+  validity: 'validity', validityminutes: 'validity',
+  notbefore: 'notBefore',
+  maxclicks: 'maxClicks',
+  querymode: 'queryMode',
+  redirectstatus: 'redirectStatus',
+  utm: 'utm',
+  rules: 'rules',
+  fallbackurl: 'fallbackUrl', fallback: 'fallbackUrl'
+};
+
+function canonicalKey(key) {
+  return COLUMN_ALIASES[String(key).toLowerCase().replace(/[^a-z0-9]/g, '')];
+}
+
+/**
+ * Options of POST /import/links: dryRun (validate and report without writing) and conflict.
+ */
+function parseImportOptions(query) {
+  const conflict = query.conflict ? String(query.conflict) : 'skip';
+  if (!CONFLICT_POLICIES.includes(conflict)) throw { status: 400, message: `conflict must be one of ${CONFLICT_POLICIES.join(', ')}` };
+  return { dryRun: parseBoolean(query.dryRun), conflict };
+}
+
+function parseCsvRecords(text) {
+  const rows = splitCsvRows(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  if (!header.some(h => canonicalKey(h) === 'url')) {
+    throw { status: 400, message: 'CSV needs a header row naming the destination column (url, long_url, originalUrl, ...)' };
+  }
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+function parseNdjson(text) {
+  return text.split(/\r?\n/).filter(l => l.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw { status: 400, message: `line ${i + 1} is not valid JSON` };
+    }
+  });
+}
+
+/**
+ * Turn an import body into raw records: a JSON array, { items: [...] } or { links: [...] },
+ * NDJSON (one object per line), or CSV with a header row.
+ */
+function parseImportBody(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    const text = body.replace(/^\uFEFF/, '').trim();
+    if (!text) throw { status: 400, message: 'import body is empty' };
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try {
+        parsed = JSON.parse(text);
+      } catch (err) {
+        // several objects, one per line
+        if (text.startsWith('{')) return parseNdjson(text);
+        throw { status: 400, message: 'body is not valid JSON' };
+      }
+    } else {
+      return parseCsvRecords(text);
+    }
+  }
+  if (Array.isArray(parsed)) return parsed;
+  const list = parsed?.items || parsed?.links;
+  if (Array.isArray(list)) return list;
+  throw { status: 400, message: 'body must be CSV, NDJSON, a JSON array or { items: [...] }' };
+}
+
+// exports prefix spreadsheet formula characters with a quote (see dataExport.js); undo that
+function unquoteCell(value) {
+  return /^'[=+@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// the code of a link from another shortener: the last path segment of https://bit.ly/abc or bit.ly/abc
+function shortcodeFromLink(link) {
+  try {
+    const value = String(link);
+    const url = new URL(value.includes('://') ? value : `https://${value}`);
+    const last = url.pathname.split('/').filter(Boolean).pop();
+    return last ? normalizeShortcode(decodeURIComponent(last)) || undefined : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Other shorteners allow tags such as "Q3 launch"; fold them into this app's tag syntax
+function importTags(value) {
+  const list = Array.isArray(value) ? value : String(value).split(/[,;|]+/);
+  return list
+    .map(t => String(t).trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|-+$/g, '').slice(0, 32))
+    .filter(Boolean);
+}
+
+// CSV cells hold utm/rules as JSON text; JSON imports carry them as objects
+function jsonField(value, name) {
+  if (value === undefined || typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw { status: 400, message: `${name} must be JSON` };
+  }
+}
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw { status: 400, message: `${name} must be a valid date` };
+  return d;
+}
+
+/**
+ * Map one raw record onto creation fields ({ url, shortcode, title, tags, ... }, as accepted by
+ * createShortUrl) plus the original createdAt/expiryAt when present. Unknown columns are ignored.
+ * Throws { status: 400, message } for rows that cannot be imported.
+ */
+function normalizeImportRow(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw { status: 400, message: 'row must be an object' };
+  const row = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = canonicalKey(key);
+    if (!field || value === null || value === undefined || value === '' || row[field] !== undefined) continue;
+    row[field] = typeof value === 'string' ? unquoteCell(value.trim()) : value;
+  }
+  if (!row.url) throw { status: 400, message: 'row has no destination url' };
+
+  const tags = row.tags !== undefined ? importTags(row.tags) : undefined;
+  return {
+    fields: {
+      url: String(row.url),
+      shortcode: row.shortcode !== undefined ? String(row.shortcode) : row.shortLink !== undefined ? shortcodeFromLink(row.shortLink) : undefined,
+      domain: row.domain,
+      title: row.title !== undefined ? String(row.title) : undefined,
+      notes: row.notes !== undefined ? String(row.notes) : undefined,
+      tags,
+      validity: row.validity,
+      notBefore: row.notBefore,
+      maxClicks: row.maxClicks,
+      queryMode: row.queryMode,
+      redirectStatus: row.redirectStatus,
+      utm: jsonField(row.utm, 'utm'),
+      rules: jsonField(row.rules, 'rules'),
+      fallbackUrl: row.fallbackUrl !== undefined ? String(row.fallbackUrl) : undefined
+    },
+    createdAt: row.createdAt !== undefined ? parseDate(row.createdAt, 'createdAt') : undefined,
+    expiryAt: row.expiryAt !== undefined ? parseDate(row.expiryAt, 'expiryAt') : undefined
+  };
+}
+
+module.exports = { CONFLICT_POLICIES, parseImportOptions, parseImportBody, normalizeImportRow };
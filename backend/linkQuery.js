@@ -0,0 +1,145 @@
+// linkQuery.js
+const mongoose = require('mongoose');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS = 20;
+const TAG_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const DEFAULT_LIST_LIMIT = 25;
+const MAX_LIST_LIMIT = 100;
+// sort key -> ShortUrl field; every sort is tie-broken on _id so cursors are stable
+const SORT_FIELDS = { created: 'createdAt', clicks: 'clicksCount', expiry: 'expiryAt' };
+const LIST_STATUSES = ['all', 'active', 'expired', 'disabled'];
+
+/**
+ * Tags arrive as an array or a string separated by commas/semicolons/whitespace (CSV cells).
+ * They are lower-cased, de-duplicated and limited to MAX_TAGS of [a-z0-9_-], 32 chars max.
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[\s,;|]+/);
+  const out = [];
+  for (const t of list) {
+    if (typeof t !== 'string') throw { status: 400, message: 'tags must be strings' };
+    const tag = t.trim().toLowerCase();
+    if (!tag) continue;
+    if (!TAG_RE.test(tag)) throw { status: 400, message: `invalid tag '${t}' — use letters, digits, - or _ (max 32)` };
+    if (!out.includes(tag)) out.push(tag);
+  }
+  if (out.length > MAX_TAGS) throw { status: 400, message: `at most ${MAX_TAGS} tags per link` };
+  return out;
+}
+
+function normalizeText(value, max, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw { status: 400, message: `${name} must be a string` };
+  const v = value.trim();
+  if (v.length > max) throw { status: 400, message: `${name} must be at most ${max} characters` };
+  return v || null;
+}
+
+/**
+ * Validate the descriptive fields of a link. Only the keys present in `input` are returned,
+ * so PATCH can update them one at a time. Throws { status, message } on invalid input.
+ */
+function normalizeLinkMeta(input = {}) {
+  const out = {};
+  if (input.title !== undefined) out.title = normalizeText(input.title, MAX_TITLE_LENGTH, 'title');
+  if (input.notes !== undefined) out.notes = normalizeText(input.notes, MAX_NOTES_LENGTH, 'notes');
+  if (input.tags !== undefined) out.tags = normalizeTags(input.tags);
+  return out;
+}
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw { status: 400, message: `${name} must be a valid date` };
+  return d;
+}
+
+function parseCount(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw { status: 400, message: `${name} must be a non-negative integer` };
+  return n;
+}
+
+// A cursor records the sort and order it was issued for, since its position means nothing in another order
+function encodeCursor(doc, { sort, order, field }) {
+  const v = doc[field];
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: v instanceof Date ? v.toISOString() : v, id: String(doc._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, { sort, order, field }) {
+  let decoded;
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    const value = field === 'clicksCount' ? Number(v) : new Date(v);
+    if (field === 'clicksCount' ? !Number.isFinite(value) : Number.isNaN(value.getTime())) throw new Error('bad value');
+    decoded = { s, o, value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw { status: 400, message: 'cursor is invalid' };
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw { status: 400, message: 'cursor belongs to another sort or order — start again without a cursor' };
+  }
+  return decoded;
+}
+
+/**
+ * Turn GET /shorturls query parameters into a Mongo filter, sort and page size for one owner.
+ *   q                  words of originalUrl, title, notes or shortcode, via the text index (any word
+ *                      matches, "quoted phrases" must all match; whole words only, no substrings)
+ *   tag                one or more tags (comma separated or repeated); links must carry all of them
+ *   status             all (default) | active | expired | disabled
+ *   from, to           createdAt range (ISO dates)
+ *   clicksMin, clicksMax  clicksCount range
+ *   sort, order        created (default) | clicks | expiry, and desc (default) | asc
+ *   limit, cursor      page size (max MAX_LIST_LIMIT) and the nextCursor of the previous page
+ */
+function parseListQuery(query, owner, now = new Date()) {
+  const and = [{ owner }, { status: { $ne: 'deleted' } }];
+
+  const q = query.q ? String(query.q).trim().slice(0, 200) : '';
+  if (q) and.push({ $text: { $search: q } });
+
+  if (query.tag) {
+    const tags = normalizeTags(Array.isArray(query.tag) ? query.tag.join(',') : query.tag);
+    if (tags.length) and.push({ tags: { $all: tags } });
+  }
+
+  const status = query.status ? String(query.status) : 'all';
+  if (!LIST_STATUSES.includes(status)) throw { status: 400, message: `status must be one of ${LIST_STATUSES.join(', ')}` };
+  if (status === 'active') and.push({ status: 'active', expiryAt: { $gt: now } });
+  if (status === 'expired') and.push({ expiryAt: { $lte: now } });
+  if (status === 'disabled') and.push({ status: 'disabled' });
+
+  if (query.from) and.push({ createdAt: { $gte: parseDate(query.from, 'from') } });
+  if (query.to) and.push({ createdAt: { $lte: parseDate(query.to, 'to') } });
+  if (query.clicksMin !== undefined && query.clicksMin !== '') and.push({ clicksCount: { $gte: parseCount(query.clicksMin, 'clicksMin') } });
+  if (query.clicksMax !== undefined && query.clicksMax !== '') and.push({ clicksCount: { $lte: parseCount(query.clicksMax, 'clicksMax') } });
+
+  const sortKey = query.sort ? String(query.sort) : 'created';
+  const field = SORT_FIELDS[sortKey];
+  if (!field) throw { status: 400, message: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}` };
+  const order = query.order ? String(query.order) : 'desc';
+  if (order !== 'asc' && order !== 'desc') throw { status: 400, message: 'order must be asc or desc' };
+  const dir = order === 'asc' ? 1 : -1;
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_LIST_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw { status: 400, message: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}` };
+  }
+
+  // keyset pagination: continue strictly after the last (field, _id) of the previous page
+  const cursorKey = { sort: sortKey, order, field };
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, cursorKey);
+    const op = dir === 1 ? '$gt' : '$lt';
+    and.push({ $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] });
+  }
+
+  return { filter: { $and: and }, sort: { [field]: dir, _id: dir }, limit, cursorKey };
+}
+
+module.exports = { normalizeTags, normalizeLinkMeta, parseListQuery, encodeCursor };
@@ -0,0 +1,46 @@
+// linkQuery.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { normalizeTags, parseListQuery, encodeCursor } = require('./linkQuery');
+
+const owner = new mongoose.Types.ObjectId();
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+test('normalizeTags lower-cases, splits and de-duplicates', () => {
+  assert.deepEqual(normalizeTags('Promo, q3;promo launch'), ['promo', 'q3', 'launch']);
+  assert.deepEqual(normalizeTags(undefined), []);
+  assert.throws(() => normalizeTags('bad tag!'), { status: 400 });
+});
+
+test('q searches the text index', () => {
+  const { filter } = parseListQuery({ q: '  spring sale ' }, owner, NOW);
+  assert.deepEqual(filter.$and.find(c => c.$text), { $text: { $search: 'spring sale' } });
+  assert.equal(parseListQuery({}, owner, NOW).filter.$and.some(c => c.$text), false);
+});
+
+test('cursors continue after the last row in the same sort and order', () => {
+  const doc = { _id: new mongoose.Types.ObjectId(), clicksCount: 7 };
+  const first = parseListQuery({ sort: 'clicks', order: 'asc' }, owner, NOW);
+  const cursor = encodeCursor(doc, first.cursorKey);
+  const next = parseListQuery({ sort: 'clicks', order: 'asc', cursor }, owner, NOW);
+  assert.deepEqual(next.sort, { clicksCount: 1, _id: 1 });
+  assert.deepEqual(next.filter.$and.at(-1), {
+    $or: [{ clicksCount: { $gt: 7 } }, { clicksCount: 7, _id: { $gt: doc._id } }]
+  });
+});
+
+test('a cursor is rejected under another sort or order', () => {
+  const doc = { _id: new mongoose.Types.ObjectId(), createdAt: NOW, clicksCount: 3 };
+  const cursor = encodeCursor(doc, parseListQuery({}, owner, NOW).cursorKey);
+  assert.throws(() => parseListQuery({ cursor, order: 'asc' }, owner, NOW), { status: 400 });
+  assert.throws(() => parseListQuery({ cursor, sort: 'clicks' }, owner, NOW), { status: 400 });
+  assert.doesNotThrow(() => parseListQuery({ cursor }, owner, NOW));
+});
+
+test('malformed cursors and parameters are rejected', () => {
+  assert.throws(() => parseListQuery({ cursor: 'nope' }, owner, NOW), { status: 400, message: 'cursor is invalid' });
+  assert.throws(() => parseListQuery({ sort: 'title' }, owner, NOW), { status: 400 });
+  assert.throws(() => parseListQuery({ limit: '500' }, owner, NOW), { status: 400 });
+  assert.throws(() => parseListQuery({ status: 'gone' }, owner, NOW), { status: 400 });
+});
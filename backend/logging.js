@@ -1,15 +1,35 @@
 // backend/logging.js
 const path = require('path');
 const lm = require(path.join(__dirname, '..', 'logging-middleware'));
-const { requestLogger: reqLogger, logger: baseLogger, Log } = lm;
+const { requestLogger: reqLogger, logger: baseLogger, Log, currentRequestId, REQUEST_ID_HEADER } = lm;
 
-// Adapter exposes `requestLogger` and `logger` with the shape server.js expects
+// Adapter exposes `requestLogger` and `logger` with the shape server.js expects; meta fields
+// (shortcode, error, ...) are kept on the entry, `stack` is pinned to backend
 const logger = {
   info: (msg, meta = {}) => baseLogger.info(msg, { ...meta, stack: 'backend' }),
   debug: (msg, meta = {}) => baseLogger.debug(msg, { ...meta, stack: 'backend' }),
-  warn: (msg, meta = {}) => baseLogger.info(msg, { ...meta, stack: 'backend' }), // map warn->info to keep allowed levels
+  warn: (msg, meta = {}) => baseLogger.warn(msg, { ...meta, stack: 'backend' }),
   error: (msg, meta = {}) => baseLogger.error(msg, { ...meta, stack: 'backend' }),
   fatal: (msg, meta = {}) => baseLogger.fatal(msg, { ...meta, stack: 'backend' })
 };
 
-module.exports = { requestLogger: reqLogger, logger, Log, FALLBACK_FILE: lm.FALLBACK_FILE };
+// Entries reported by the browser; validated and delivered like backend entries, but on the frontend stack
+function logFrontend(level, pkg, message, meta = {}) {
+  lm.logger.log('frontend', level, pkg, message, meta);
+}
+
+// Deliver queued entries and close transports; call last during shutdown
+function closeLogger() {
+  return baseLogger.close();
+}
+
+module.exports = {
+  requestLogger: reqLogger,
+  logger,
+  Log,
+  closeLogger,
+  logFrontend,
+  currentRequestId,
+  REQUEST_ID_HEADER,
+  FALLBACK_FILE: lm.FALLBACK_FILE
+};
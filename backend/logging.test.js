@@ -0,0 +1,118 @@
+// logging.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger, transports, requestLogger, requestContext, currentRequestId } = require(path.join(__dirname, '..', 'logging-middleware'));
+
+// Collects every batch written to it
+function memoryTransport(name = 'memory') {
+  const batches = [];
+  return { name, batches, entries: () => batches.flat(), async write(entries) { batches.push(entries); }, async close() {} };
+}
+
+test('entries below the configured level are dropped', async () => {
+  const sink = memoryTransport();
+  const logger = createLogger({ transports: [sink], level: 'warn', flushIntervalMs: 0 });
+  logger.debug('noise', { package: 'route' });
+  logger.info('noise', { package: 'route' });
+  logger.warn('kept', { package: 'route' });
+  logger.error('kept too');
+  await logger.close();
+  assert.deepEqual(sink.entries().map(e => [e.level, e.package, e.message]), [['warn', 'route', 'kept'], ['error', 'handler', 'kept too']]);
+});
+
+test('invalid stack, level or package values are kept as middleware warnings', async () => {
+  const sink = memoryTransport();
+  const logger = createLogger({ transports: [sink], flushIntervalMs: 0 });
+  logger.log('backend', 'info', 'page', 'frontend-only package');
+  await logger.close();
+  const [entry] = sink.entries();
+  assert.equal(entry.level, 'warn');
+  assert.equal(entry.package, 'middleware');
+  assert.equal(entry.message, 'frontend-only package');
+  assert.match(entry.invalidLogArgs.reason, /invalid package 'page'/);
+});
+
+test('meta is flattened onto the entry and errors keep their message', async () => {
+  const sink = memoryTransport();
+  const logger = createLogger({ transports: [sink], flushIntervalMs: 0 });
+  logger.error('save failed', { package: 'db', shortcode: 'abc', error: new Error('timeout'), level: 'debug' });
+  await logger.close();
+  const [entry] = sink.entries();
+  assert.equal(entry.level, 'error');
+  assert.equal(entry.shortcode, 'abc');
+  assert.equal(entry.error.message, 'timeout');
+  assert.ok(!Number.isNaN(Date.parse(entry.ts)));
+});
+
+test('entries are delivered in batches and the oldest are dropped past maxQueue', async () => {
+  const sink = memoryTransport();
+  const logger = createLogger({ transports: [sink], batchSize: 3, flushIntervalMs: 0, maxQueue: 100 });
+  for (let i = 0; i < 7; i++) logger.info(`m${i}`, { package: 'service' });
+  await logger.close();
+  assert.deepEqual(sink.batches.map(b => b.length), [3, 3, 1]);
+
+  const small = memoryTransport();
+  const bounded = createLogger({ transports: [small], batchSize: 100, flushIntervalMs: 0, maxQueue: 2 });
+  for (let i = 0; i < 5; i++) bounded.info(`m${i}`, { package: 'service' });
+  await bounded.close();
+  assert.deepEqual(small.entries().map(e => e.message), ['m3', 'm4', 'log queue full, entries dropped']);
+  assert.equal(small.entries()[2].dropped, 3);
+});
+
+test('a failing transport is reported on stderr and does not stop the others', async t => {
+  const stderr = t.mock.method(process.stderr, 'write', () => true);
+  const sink = memoryTransport();
+  const broken = { name: 'broken', async write() { throw new Error('collector down'); }, async close() {} };
+  const logger = createLogger({ transports: [broken, sink], flushIntervalMs: 0 });
+  logger.info('still delivered', { package: 'service' });
+  await logger.close();
+  assert.equal(sink.entries().length, 1);
+  assert.match(stderr.mock.calls[0].arguments[0], /broken transport failed: collector down/);
+});
+
+test('fileTransport appends NDJSON and rotates by size', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'app.ndjson');
+  const transport = transports.fileTransport({ file, maxBytes: 150, maxFiles: 2 });
+  const entry = n => ({ ts: '2026-01-01T00:00:00.000Z', stack: 'backend', level: 'info', package: 'service', message: `entry ${n}` });
+
+  await transport.write([entry(1)]);
+  await transport.write([entry(2)]);
+  await transport.write([entry(3)]);
+  await transport.write([entry(4)]);
+  const lines = f => fs.readFileSync(f, 'utf8').trim().split('\n').map(l => JSON.parse(l).message);
+  assert.deepEqual(lines(file), ['entry 4']);
+  assert.deepEqual(lines(`${file}.1`), ['entry 3']);
+  assert.deepEqual(lines(`${file}.2`), ['entry 2']);
+  assert.equal(fs.existsSync(`${file}.3`), false);
+});
+
+test('entries logged while handling a request carry its id', async () => {
+  const sink = memoryTransport();
+  const logger = createLogger({ transports: [sink], flushIntervalMs: 0 });
+  requestContext.run({ requestId: 'req-1' }, () => logger.info('inside', { package: 'route' }));
+  logger.info('outside', { package: 'route' });
+  await logger.close();
+  assert.deepEqual(sink.entries().map(e => [e.message, e.requestId]), [['inside', 'req-1'], ['outside', undefined]]);
+});
+
+test('requestLogger keeps a valid caller id and replaces anything else', () => {
+  const seen = [];
+  for (const incoming of ['frontend-abc.123', 'has spaces', 'x'.repeat(129), undefined]) {
+    const headers = {};
+    const req = { method: 'GET', originalUrl: '/abc', get: () => incoming };
+    const res = { setHeader: (name, value) => { headers[name] = value; }, on() {} };
+    requestLogger(req, res, () => seen.push([req.id, headers['X-Request-Id'], currentRequestId()]));
+  }
+  assert.deepEqual(seen[0], ['frontend-abc.123', 'frontend-abc.123', 'frontend-abc.123']);
+  for (const [id, header, current] of seen.slice(1)) {
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.equal(header, id);
+    assert.equal(current, id);
+  }
+  assert.equal(currentRequestId(), null);
+});
@@ -0,0 +1,129 @@
+// metrics.js
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const { pendingClicks } = require('./clickQueue');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route pattern and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route pattern and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+const redirects = new client.Counter({
+  name: 'shortener_redirects_total',
+  help: 'Redirect route outcomes: served (3xx), not_found (404), gone (410), other',
+  labelNames: ['outcome', 'status'],
+  registers: [register]
+});
+
+const shortcodeCollisions = new client.Counter({
+  name: 'shortener_shortcode_collisions_total',
+  help: 'Generated shortcodes that were already taken (lookup) or hit the unique index on save (save)',
+  labelNames: ['stage'],
+  registers: [register]
+});
+
+const shortcodeSaveRetries = new client.Counter({
+  name: 'shortener_shortcode_save_retries_total',
+  help: 'Retries of the link save loop after a duplicate-key error',
+  registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'shortener_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome: succeeded, retry (failed, rescheduled) or dead (gave up)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const linkChecks = new client.Counter({
+  name: 'shortener_link_checks_total',
+  help: 'Destination health checks by resulting link health: healthy, failing or down',
+  labelNames: ['health'],
+  registers: [register]
+});
+
+// mongoose readyState: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+new client.Gauge({
+  name: 'mongodb_connection_state',
+  help: 'Mongoose connection readyState (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [register],
+  collect() { this.set(mongoose.connection.readyState); }
+});
+
+new client.Gauge({
+  name: 'shortener_click_queue_pending',
+  help: 'Clicks buffered in memory and not yet written to MongoDB',
+  registers: [register],
+  collect() { this.set(pendingClicks()); }
+});
+
+// Label requests by route pattern (/shorturls/:shortcode), never the raw path, to keep cardinality bounded
+function routeLabel(req) {
+  if (req.route?.path) return `${req.baseUrl || ''}${req.route.path}`;
+  return 'unmatched';
+}
+
+function redirectOutcome(status) {
+  if (status >= 300 && status < 400) return 'served';
+  if (status === 404) return 'not_found';
+  if (status === 410) return 'gone';
+  return 'other';
+}
+
+/**
+ * Record count and latency of every request once the response is finished.
+ */
+function metricsMiddleware(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+}
+
+// Route middleware for the redirect endpoints: counts every answer, including rate-limited ones
+function redirectMetrics(req, res, next) {
+  res.on('finish', () => redirects.inc({ outcome: redirectOutcome(res.statusCode), status: String(res.statusCode) }));
+  next();
+}
+
+function recordShortcodeCollision(stage) {
+  shortcodeCollisions.inc({ stage });
+}
+
+function recordShortcodeSaveRetry() {
+  shortcodeSaveRetries.inc();
+}
+
+function recordWebhookDelivery(outcome) {
+  webhookDeliveries.inc({ outcome });
+}
+
+function recordLinkCheck(health) {
+  linkChecks.inc({ health });
+}
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  redirectMetrics,
+  recordShortcodeCollision,
+  recordShortcodeSaveRetry,
+  recordWebhookDelivery,
+  recordLinkCheck
+};
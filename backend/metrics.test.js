@@ -0,0 +1,50 @@
+// metrics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { register, metricsMiddleware, redirectMetrics, recordShortcodeCollision, recordWebhookDelivery } = require('./metrics');
+
+async function value(name, labels) {
+  const metric = await register.getSingleMetric(name).get();
+  const sample = metric.values.find(v => Object.entries(labels).every(([k, l]) => v.labels[k] === l));
+  return sample ? sample.value : 0;
+}
+
+// Runs `middleware`, lets the route match, then finishes the response with `status`
+function finish(middleware, req, status) {
+  const res = new EventEmitter();
+  middleware(req, res, () => {});
+  res.statusCode = status;
+  res.emit('finish');
+}
+
+test('requests are labelled by route pattern, never the raw path', async () => {
+  const before = await value('http_requests_total', { method: 'GET', route: '/shorturls/:shortcode', status: '200' });
+  const req = { method: 'GET', baseUrl: '', route: { path: '/shorturls/:shortcode' } };
+  finish(metricsMiddleware, req, 200);
+  finish(metricsMiddleware, { ...req, route: undefined }, 404);
+  assert.equal(await value('http_requests_total', { method: 'GET', route: '/shorturls/:shortcode', status: '200' }), before + 1);
+  assert.ok((await value('http_requests_total', { route: 'unmatched', status: '404' })) >= 1);
+
+  const metric = await register.getSingleMetric('http_request_duration_seconds').get();
+  assert.ok(metric.values.some(v => v.labels.route === '/shorturls/:shortcode' && v.metricName === 'http_request_duration_seconds_count'));
+});
+
+test('redirect answers are counted by outcome', async () => {
+  const outcomes = [[302, 'served'], [404, 'not_found'], [410, 'gone'], [429, 'other']];
+  const before = await Promise.all(outcomes.map(([status, outcome]) => value('shortener_redirects_total', { outcome, status: String(status) })));
+  for (const [status] of outcomes) finish(redirectMetrics, {}, status);
+  for (const [i, [status, outcome]] of outcomes.entries()) {
+    assert.equal(await value('shortener_redirects_total', { outcome, status: String(status) }), before[i] + 1, outcome);
+  }
+});
+
+test('domain counters are exposed in the Prometheus text format', async () => {
+  recordShortcodeCollision('save');
+  recordWebhookDelivery('dead');
+  const text = await register.metrics();
+  assert.match(text, /^shortener_shortcode_collisions_total\{stage="save"\} [1-9]/m);
+  assert.match(text, /^shortener_webhook_deliveries_total\{outcome="dead"\} [1-9]/m);
+  assert.match(text, /^mongodb_connection_state 0$/m);
+  assert.match(text, /^shortener_click_queue_pending \d+$/m);
+});
@@ -8,22 +8,239 @@ const ShortUrlSchema = new mongoose.Schema({
   expiryAt: { type: Date, required: true, index: true },
   validityMinutes: { type: Number, default: 30 },
   clicksCount: { type: Number, default: 0 },
-  metadata: { type: Object, default: {} }
+  // clicks from crawlers, link unfurlers and monitors; kept out of clicksCount
+  botClicksCount: { type: Number, default: 0 },
+  metadata: { type: Object, default: {} },
+  // optional password gate (scrypt hash, see auth.hashPassword); wrong guesses are counted
+  passwordHash: { type: String, default: null },
+  failedUnlockAttempts: { type: Number, default: 0 },
+  // usage caps: maxClicks (null = unlimited) is enforced against usesCount, which the redirect
+  // increments atomically before redirecting; notBefore delays activation
+  maxClicks: { type: Number, default: null },
+  usesCount: { type: Number, default: 0 },
+  notBefore: { type: Date, default: null },
+  // ordered conditional destinations (see rules.js); first match wins, else originalUrl
+  rules: { type: Array, default: [] },
+  // redirect behaviour (see redirectOptions.js)
+  queryMode: { type: String, enum: ['none', 'merge', 'override'], default: 'none' },
+  utm: { type: Object, default: null },
+  redirectStatus: { type: Number, enum: [301, 302, 307, 308], default: 302 },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // descriptive fields for finding links again (see linkQuery.js)
+  title: { type: String, default: null },
+  notes: { type: String, default: null },
+  tags: { type: [String], default: [] },
+  // branded hostname the link lives on; null = the default short domain
+  domain: { type: String, default: null },
+  // deleted links are kept as tombstones so the redirect route can answer with a clear status
+  status: { type: String, enum: ['active', 'disabled', 'deleted'], default: 'active' },
+  // set when the link was disabled automatically, e.g. a destination policy code
+  disabledReason: { type: String, default: null },
+  updatedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  // set once the link.expired webhook event was emitted; cleared when the expiry is extended
+  expiryNotifiedAt: { type: Date, default: null },
+  // served instead of originalUrl while the link-rot monitor reports the destination as down
+  fallbackUrl: { type: String, default: null },
+  // last result of the link-rot monitor (see linkHealth.js); 'down' after repeated failures
+  health: {
+    status: { type: String, enum: ['unknown', 'healthy', 'failing', 'down'], default: 'unknown' },
+    statusCode: { type: Number, default: null },
+    finalUrl: { type: String, default: null },
+    responseTimeMs: { type: Number, default: null },
+    error: { type: String, default: null },
+    checkedAt: { type: Date, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+    downSince: { type: Date, default: null }
+  },
+  // when the monitor should check this link next; null = as soon as possible
+  healthCheckDueAt: { type: Date, default: null }
 }, { versionKey: false });
 
-// ensure DB-level uniqueness
-ShortUrlSchema.index({ shortcode: 1 }, { unique: true });
+// ensure DB-level uniqueness per domain (the same code may exist on different domains).
+// Databases created before domains existed still carry the old unique `shortcode_1`
+// index; run `npm run sync-indexes` once to drop it.
+ShortUrlSchema.index({ domain: 1, shortcode: 1 }, { unique: true });
+// the owner's link list: default newest-first order and tag filters
+ShortUrlSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+ShortUrlSchema.index({ owner: 1, tags: 1 });
+// search (q) of GET /shorturls; 'none' keeps URL fragments and codes as they are (no stemming or
+// stop words). Existing databases get it from `npm run sync-indexes`.
+ShortUrlSchema.index(
+  { title: 'text', notes: 'text', originalUrl: 'text', shortcode: 'text' },
+  { name: 'link_search', default_language: 'none', weights: { shortcode: 10, title: 5, notes: 2, originalUrl: 1 } }
+);
+// the link-rot monitor picks the most overdue active links
+ShortUrlSchema.index({ status: 1, healthCheckDueAt: 1 });
 
 const ClickSchema = new mongoose.Schema({
   shortcode: { type: String, required: true, index: true },
+  domain: { type: String, default: null },
   clickedAt: { type: Date, default: Date.now },
   referrer: { type: String, default: null },
   ip: { type: String },
+  // set once the retention job has truncated/hashed `ip`
+  ipAnonymized: { type: Boolean, default: false },
   userAgent: { type: String },
+  // parsed at record time: { browser, browserVersion, os, osVersion, deviceType }
+  ua: { type: Object, default: {} },
+  isBot: { type: Boolean, default: false },
+  // how the visitor arrived: 'link' (the plain short link) or 'qr' (a scanned QR code)
+  source: { type: String, default: 'link' },
+  // which rule/variant served this click ('default' = originalUrl)
+  variant: { type: String, default: null },
   geo: { type: Object, default: {} }
 }, { versionKey: false });
 
+// supports per-link date-range aggregation and newest-first pagination
+ClickSchema.index({ shortcode: 1, domain: 1, clickedAt: -1 });
+// retention jobs scan by age across all links
+ClickSchema.index({ clickedAt: 1 });
+
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, default: null },
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+UserSchema.index({ email: 1 }, { unique: true });
+
+// API keys are stored as sha256 hashes; only the prefix is kept in clear for display
+const ApiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  keyHash: { type: String, required: true },
+  prefix: { type: String, required: true },
+  label: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+}, { versionKey: false });
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+// Branded short domains; a domain routes links only once its DNS TXT ownership check passed
+const DomainSchema = new mongoose.Schema({
+  hostname: { type: String, required: true, lowercase: true, trim: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  verificationToken: { type: String, required: true },
+  verifiedAt: { type: Date, default: null },
+  lastCheckedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+DomainSchema.index({ hostname: 1 }, { unique: true });
+
+// Expired links moved out of the live collection by the expiry sweeper (see jobs.js);
+// the original document is kept as-is, so the schema is not strict
+const ArchivedShortUrlSchema = new mongoose.Schema({
+  archivedAt: { type: Date, default: Date.now }
+}, { strict: false, versionKey: false, collection: 'shorturls_archive' });
+
+ArchivedShortUrlSchema.index({ domain: 1, shortcode: 1 });
+
+// Daily click totals per link, rolled up from raw clicks older than the retention window
+const ClickDailySchema = new mongoose.Schema({
+  shortcode: { type: String, required: true },
+  domain: { type: String, default: null },
+  day: { type: Date, required: true },
+  clicks: { type: Number, default: 0 },
+  botClicks: { type: Number, default: 0 },
+  // human clicks only: { <country code>: count }, { <deviceType>: count }, { <variant>: count }, { <source>: count }
+  countries: { type: Object, default: {} },
+  deviceTypes: { type: Object, default: {} },
+  variants: { type: Object, default: {} },
+  sources: { type: Object, default: {} }
+}, { versionKey: false, collection: 'clicks_daily' });
+
+ClickDailySchema.index({ shortcode: 1, domain: 1, day: 1 }, { unique: true });
+
+// One document per scheduled job: a lease so only one instance runs it at a time, plus the last report
+const JobRunSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  lockedUntil: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  lastStartedAt: { type: Date, default: null },
+  lastFinishedAt: { type: Date, default: null },
+  lastResult: { type: Object, default: null },
+  lastError: { type: String, default: null }
+}, { versionKey: false });
+
+JobRunSchema.index({ name: 1 }, { unique: true });
+
+// A user's webhook endpoint; `events` lists the event types it receives ('*' = all, see webhooks.js)
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  url: { type: String, required: true },
+  // HMAC-SHA256 key of the X-Webhook-Signature header; only returned on creation and rotation
+  secret: { type: String, required: true },
+  events: { type: [String], default: ['*'] },
+  description: { type: String, default: null },
+  active: { type: Boolean, default: true },
+  consecutiveFailures: { type: Number, default: 0 },
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: null }
+}, { versionKey: false });
+
+// One event for one subscription. The collection is the persistent retry queue (workers claim
+// due 'pending' deliveries) and, through `attempts`, the delivery history of a subscription
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  // shared by every delivery and replay of one event, so receivers can deduplicate
+  eventId: { type: String, required: true },
+  payload: { type: Object, required: true },
+  status: { type: String, enum: ['pending', 'delivering', 'succeeded', 'dead'], default: 'pending' },
+  attemptCount: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  // [{ at, statusCode, durationMs, error }], most recent last
+  attempts: { type: Array, default: [] },
+  lastError: { type: String, default: null },
+  replayOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null }
+}, { versionKey: false, collection: 'webhook_deliveries' });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+// delivery history is kept for WEBHOOK_DELIVERY_RETENTION_DAYS
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: (Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30) * 86400 });
+
+// Named sequences; 'shortcode' feeds the counter shortcode strategy (see shortcodes.js)
+const CounterSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+CounterSchema.index({ name: 1 }, { unique: true });
+
 const ShortUrl = mongoose.model('ShortUrl', ShortUrlSchema);
 const Click = mongoose.model('Click', ClickSchema);
+const User = mongoose.model('User', UserSchema);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+const Domain = mongoose.model('Domain', DomainSchema);
+const ArchivedShortUrl = mongoose.model('ArchivedShortUrl', ArchivedShortUrlSchema);
+const ClickDaily = mongoose.model('ClickDaily', ClickDailySchema);
+const JobRun = mongoose.model('JobRun', JobRunSchema);
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+const Counter = mongoose.model('Counter', CounterSchema);
 
-module.exports = { ShortUrl, Click };
+module.exports = {
+  ShortUrl,
+  Click,
+  User,
+  ApiKey,
+  Domain,
+  ArchivedShortUrl,
+  ClickDaily,
+  JobRun,
+  WebhookSubscription,
+  WebhookDelivery,
+  Counter
+};
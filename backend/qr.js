@@ -0,0 +1,70 @@
+// qr.js
+const QRCode = require('qrcode');
+
+// Query parameter marking a visit that came from a scanned QR code; the redirect strips it
+// before the visitor's query string is applied, and records the click with source 'qr'
+const QR_SOURCE_PARAM = '_src';
+const QR_SOURCE_VALUE = 'qr';
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+const QR_MIN_SIZE = 64;
+const QR_MAX_SIZE = 2048;
+const QR_MAX_MARGIN = 16;
+const COLOR_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function parseColor(value, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+  const m = COLOR_RE.exec(String(value));
+  if (!m) throw { status: 400, message: `${name} must be a hex colour like #000000` };
+  const hex = m[1].length === 3 ? m[1].split('').map(c => c + c).join('') : m[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function parseBoundedInt(value, fallback, min, max, name) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw { status: 400, message: `${name} must be an integer between ${min} and ${max}` };
+  }
+  return n;
+}
+
+/**
+ * Validate QR query options: format (png|svg), size (px), margin (modules),
+ * ecl (L|M|Q|H) and fg/bg colours. Throws { status: 400, message } on bad input.
+ */
+function parseQrOptions(query = {}) {
+  const format = query.format ? String(query.format).toLowerCase() : 'png';
+  if (!QR_FORMATS.includes(format)) throw { status: 400, message: `format must be one of ${QR_FORMATS.join(', ')}` };
+  const ecl = query.ecl ? String(query.ecl).toUpperCase() : 'M';
+  if (!QR_ERROR_LEVELS.includes(ecl)) throw { status: 400, message: `ecl must be one of ${QR_ERROR_LEVELS.join(', ')}` };
+  return {
+    format,
+    ecl,
+    size: parseBoundedInt(query.size, 300, QR_MIN_SIZE, QR_MAX_SIZE, 'size'),
+    margin: parseBoundedInt(query.margin, 4, 0, QR_MAX_MARGIN, 'margin'),
+    fg: parseColor(query.fg, '#000000', 'fg'),
+    bg: parseColor(query.bg, '#ffffff', 'bg')
+  };
+}
+
+// The URL encoded in the QR code: the short link tagged so scans are counted separately
+function qrTaggedLink(shortLink) {
+  const url = new URL(shortLink);
+  url.searchParams.set(QR_SOURCE_PARAM, QR_SOURCE_VALUE);
+  return url.toString();
+}
+
+/**
+ * Render `text` as a QR code. Resolves to { contentType, body } (Buffer for PNG, string for SVG).
+ */
+async function renderQr(text, { format, size, margin, ecl, fg, bg }) {
+  const options = { errorCorrectionLevel: ecl, margin, width: size, color: { dark: fg, light: bg } };
+  if (format === 'svg') {
+    return { contentType: 'image/svg+xml', body: await QRCode.toString(text, { ...options, type: 'svg' }) };
+  }
+  return { contentType: 'image/png', body: await QRCode.toBuffer(text, { ...options, type: 'png' }) };
+}
+
+module.exports = { QR_SOURCE_PARAM, QR_SOURCE_VALUE, parseQrOptions, qrTaggedLink, renderQr };
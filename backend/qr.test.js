@@ -0,0 +1,49 @@
+// qr.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQrOptions, qrTaggedLink, renderQr } = require('./qr');
+
+test('parseQrOptions applies defaults and normalises colours', () => {
+  assert.deepEqual(parseQrOptions({}), { format: 'png', ecl: 'M', size: 300, margin: 4, fg: '#000000', bg: '#ffffff' });
+  assert.deepEqual(parseQrOptions({ format: 'SVG', ecl: 'h', size: '512', margin: '0', fg: 'F0A', bg: '#00000000' }), {
+    format: 'svg',
+    ecl: 'H',
+    size: 512,
+    margin: 0,
+    fg: '#ff00aa',
+    bg: '#00000000'
+  });
+});
+
+test('parseQrOptions rejects out-of-range options', () => {
+  for (const query of [
+    { format: 'gif' },
+    { ecl: 'X' },
+    { size: '32' },
+    { size: '4096' },
+    { size: '300.5' },
+    { margin: '17' },
+    { fg: 'red' },
+    { bg: '#12345' }
+  ]) {
+    assert.throws(() => parseQrOptions(query), { status: 400 }, JSON.stringify(query));
+  }
+});
+
+test('qrTaggedLink marks the short link as a QR scan', () => {
+  assert.equal(qrTaggedLink('https://sho.rt/abc'), 'https://sho.rt/abc?_src=qr');
+});
+
+test('renderQr produces PNG and SVG images in the requested colours', async () => {
+  const options = parseQrOptions({ size: '128', fg: '#112233' });
+  const png = await renderQr('https://sho.rt/abc?_src=qr', options);
+  assert.equal(png.contentType, 'image/png');
+  assert.deepEqual([...png.body.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  // PNG width lives in the IHDR chunk
+  assert.equal(png.body.readUInt32BE(16), 128);
+
+  const svg = await renderQr('https://sho.rt/abc?_src=qr', { ...options, format: 'svg' });
+  assert.equal(svg.contentType, 'image/svg+xml');
+  assert.match(svg.body, /^<svg/);
+  assert.match(svg.body, /#112233/);
+});
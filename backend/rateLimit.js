@@ -0,0 +1,185 @@
+// rateLimit.js
+const { logger } = require('./logging');
+const { getRedisClient } = require('./redisClient');
+
+// memory: per-instance counters; redis: shared across instances (use this when running more than one)
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+// a Redis store slower than this (or disconnected) is treated as failed, and the request allowed
+const RATE_LIMIT_REDIS_TIMEOUT_MS = Number(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 250;
+
+// Default budgets per window; override with RATE_LIMIT_<BUCKET>_PER_IP / _PER_KEY / _WINDOW (seconds)
+const DEFAULT_BUDGETS = {
+  create: { perIp: 30, perKey: 120, windowSeconds: 60 },
+  // links created by POST /shorturls/batch and /import/links, counted per item
+  bulk: { perIp: 2000, perKey: 10000, windowSeconds: 3600 },
+  stats: { perIp: 120, perKey: 600, windowSeconds: 60 },
+  redirect: { perIp: 300, perKey: null, windowSeconds: 60 },
+  auth: { perIp: 10, perKey: null, windowSeconds: 60 },
+  // password attempts on protected links, counted per IP per shortcode
+  unlock: { perIp: 5, perKey: null, windowSeconds: 900 },
+  // batches posted by the browser log queue (POST /client-logs)
+  logs: { perIp: 60, perKey: null, windowSeconds: 60 }
+};
+
+function envNumber(name, fallback) {
+  const v = process.env[name];
+  if (v === undefined || v === '') return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function budgetFor(bucket) {
+  const d = DEFAULT_BUDGETS[bucket];
+  if (!d) throw new Error(`unknown rate limit bucket: ${bucket}`);
+  const prefix = `RATE_LIMIT_${bucket.toUpperCase()}`;
+  return {
+    perIp: envNumber(`${prefix}_PER_IP`, d.perIp),
+    perKey: envNumber(`${prefix}_PER_KEY`, d.perKey),
+    windowSeconds: envNumber(`${prefix}_WINDOW`, d.windowSeconds) || d.windowSeconds
+  };
+}
+
+/**
+ * Stores count hits per fixed window; `hit` adds `cost` to the current window and
+ * returns { current, previous } so the limiter can compute a sliding-window estimate.
+ * `refund` takes the cost back out when the request is rejected after all.
+ */
+function createMemoryStore() {
+  const windows = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) if (entry.expiresAt <= now) windows.delete(key);
+  }, 60000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowStart, windowMs, cost) {
+      const curKey = `${key}:${windowStart}`;
+      const entry = windows.get(curKey) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+      entry.count += cost;
+      windows.set(curKey, entry);
+      const prev = windows.get(`${key}:${windowStart - windowMs}`);
+      return { current: entry.count, previous: prev ? prev.count : 0 };
+    },
+    async refund(key, windowStart, cost) {
+      const entry = windows.get(`${key}:${windowStart}`);
+      if (entry) entry.count = Math.max(0, entry.count - cost);
+    }
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`rate limit store timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createRedisStore() {
+  const client = getRedisClient();
+  // commands sent while disconnected would wait in the offline queue; fail (open) instead
+  const ready = () => {
+    if (!client.isReady) throw new Error('redis not ready');
+  };
+  return {
+    async hit(key, windowStart, windowMs, cost) {
+      ready();
+      const curKey = `ratelimit:${key}:${windowStart}`;
+      const [current, , previous] = await withTimeout(client.multi()
+        .incrBy(curKey, cost)
+        .pExpire(curKey, 2 * windowMs)
+        .get(`ratelimit:${key}:${windowStart - windowMs}`)
+        .exec(), RATE_LIMIT_REDIS_TIMEOUT_MS);
+      return { current: Number(current), previous: Number(previous) || 0 };
+    },
+    async refund(key, windowStart, cost) {
+      ready();
+      await withTimeout(client.decrBy(`ratelimit:${key}:${windowStart}`, cost), RATE_LIMIT_REDIS_TIMEOUT_MS);
+    }
+  };
+}
+
+const defaultStore = RATE_LIMIT_STORE === 'redis' ? createRedisStore() : createMemoryStore();
+
+/**
+ * Sliding-window estimate: the previous window's count is weighted by how much of it still
+ * overlaps the trailing window. `current` already includes the request being checked.
+ */
+function evaluate({ current, previous }, limit, windowStart, windowMs, now) {
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const used = Math.floor(previous * overlap) + current;
+  return {
+    allowed: used <= limit,
+    limit,
+    remaining: Math.max(0, limit - used),
+    resetSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000))
+  };
+}
+
+/**
+ * Charge `cost` against `key`. Returns { allowed, limit, remaining, resetSeconds, refund }.
+ * A request costing more than `limit` can never be allowed; the middleware turns those away
+ * before charging anything.
+ */
+async function check(key, limit, windowSeconds, cost, store = defaultStore, now = Date.now()) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const counts = await store.hit(key, windowStart, windowMs, cost);
+  return {
+    ...evaluate(counts, limit, windowStart, windowMs, now),
+    refund: () => store.refund(key, windowStart, cost)
+  };
+}
+
+/**
+ * Express middleware enforcing a named budget per client IP and, when the request
+ * is authenticated, per API key. Sets RateLimit-* headers and answers 429 with Retry-After.
+ * `cost(req)` lets batch routes charge one unit per item; `scope(req)` narrows the counter
+ * key (e.g. per shortcode). Rejected requests are not charged. A request costing more than a
+ * whole window's budget is answered 413 (waiting would not help). Store failures fail open.
+ */
+function rateLimit(bucket, { cost, scope } = {}) {
+  const budget = budgetFor(bucket);
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!RATE_LIMIT_ENABLED) return next();
+    const units = Math.max(1, Number(cost ? cost(req) : 1) || 1);
+    const name = scope ? `${bucket}:${scope(req)}` : bucket;
+    const limits = [budget.perIp, budget.perKey && req.apiKey ? budget.perKey : 0].filter(Boolean);
+    if (limits.length > 0 && units > Math.min(...limits)) {
+      const limit = Math.min(...limits);
+      logger.warn('rate_limit_oversized', { package: 'middleware', bucket, ip: req.ip, path: req.originalUrl, units, limit });
+      return res.status(413).json({ error: `request counts ${units} against a budget of ${limit} per ${budget.windowSeconds}s; split it into smaller requests`, limit });
+    }
+    try {
+      const checks = [];
+      if (budget.perIp) checks.push(check(`${name}:ip:${req.ip}`, budget.perIp, budget.windowSeconds, units));
+      if (budget.perKey && req.apiKey) checks.push(check(`${name}:key:${req.apiKey._id}`, budget.perKey, budget.windowSeconds, units));
+      if (checks.length === 0) return next();
+
+      const results = await Promise.all(checks);
+      // report the most constrained of the applicable budgets
+      const tightest = results.find(r => !r.allowed) || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+      res.set('RateLimit-Limit', String(tightest.limit));
+      res.set('RateLimit-Remaining', String(tightest.remaining));
+      res.set('RateLimit-Reset', String(tightest.resetSeconds));
+      res.set('RateLimit-Policy', `${tightest.limit};w=${budget.windowSeconds}`);
+
+      if (results.some(r => !r.allowed)) {
+        // a rejected request did not happen: take its cost back out of every counter it was added to
+        await Promise.all(results.map(r => r.refund().catch(() => {})));
+        const retryAfter = Math.max(...results.filter(r => !r.allowed).map(r => r.resetSeconds));
+        res.set('Retry-After', String(retryAfter));
+        logger.warn('rate_limited', { package: 'middleware', bucket, ip: req.ip, path: req.originalUrl });
+        return res.status(429).json({ error: 'too many requests, slow down', retryAfter });
+      }
+      return next();
+    } catch (err) {
+      logger.warn('rate limit store error, allowing request', { package: 'middleware', bucket, error: err?.message || String(err) });
+      return next();
+    }
+  };
+}
+
+module.exports = { rateLimit, budgetFor, check, createMemoryStore };
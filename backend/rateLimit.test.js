@@ -0,0 +1,99 @@
+// rateLimit.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { check, createMemoryStore, rateLimit, budgetFor } = require('./rateLimit');
+
+const WINDOW_START = 1_700_000_040_000; // a multiple of 60s
+
+test('check allows up to the limit within a window', async () => {
+  const store = createMemoryStore();
+  for (let i = 0; i < 5; i++) {
+    const r = await check('k', 5, 60, 1, store, WINDOW_START + 1000);
+    assert.equal(r.allowed, true);
+    assert.equal(r.remaining, 4 - i);
+  }
+  const over = await check('k', 5, 60, 1, store, WINDOW_START + 2000);
+  assert.equal(over.allowed, false);
+  assert.equal(over.remaining, 0);
+  assert.equal(over.resetSeconds, 58);
+});
+
+test('check weights the previous window by its remaining overlap', async () => {
+  const store = createMemoryStore();
+  await check('k', 100, 60, 40, store, WINDOW_START + 10_000);
+  // half way through the next window, 20 of the previous 40 still count
+  const r = await check('k', 100, 60, 1, store, WINDOW_START + 60_000 + 30_000);
+  assert.equal(r.remaining, 100 - 20 - 1);
+});
+
+test('a request costing more than the limit is charged in full and never allowed', async () => {
+  const store = createMemoryStore();
+  const big = await check('k', 30, 60, 500, store, WINDOW_START);
+  assert.equal(big.allowed, false);
+  await big.refund();
+  const exact = await check('k', 30, 60, 30, store, WINDOW_START);
+  assert.equal(exact.allowed, true);
+  assert.equal(exact.remaining, 0);
+});
+
+test('refund takes a rejected request back out of the window', async () => {
+  const store = createMemoryStore();
+  await check('k', 10, 60, 8, store, WINDOW_START);
+  const rejected = await check('k', 10, 60, 5, store, WINDOW_START);
+  assert.equal(rejected.allowed, false);
+  await rejected.refund();
+  const r = await check('k', 10, 60, 2, store, WINDOW_START);
+  assert.equal(r.allowed, true);
+  assert.equal(r.remaining, 0);
+});
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('bulk requests are charged per item and rejected ones are not charged', async () => {
+  const { perIp } = budgetFor('bulk');
+  const middleware = rateLimit('bulk', { cost: req => req.body.length });
+  const req = n => ({ ip: '203.0.113.7', originalUrl: '/shorturls/batch', body: Array(n).fill({}) });
+
+  // exactly the whole budget fits an empty window
+  assert.equal((await run(middleware, req(perIp))).passed, true);
+  const rejected = await run(middleware, req(1));
+  assert.equal(rejected.passed, false);
+  assert.equal(rejected.res.statusCode, 429);
+  assert.ok(Number(rejected.res.headers['Retry-After']) >= 1);
+  assert.equal((await run(middleware, req(1))).res.headers['RateLimit-Remaining'], '0');
+});
+
+test('the bulk budget lets hundreds of links through in one request', async () => {
+  const middleware = rateLimit('bulk', { cost: req => req.body.length });
+  const { passed } = await run(middleware, { ip: '203.0.113.8', originalUrl: '/import/links', body: Array(300).fill({}) });
+  assert.equal(passed, true);
+});
+
+test('requests larger than a whole window are answered 413 without being charged', async () => {
+  const { perIp } = budgetFor('bulk');
+  const middleware = rateLimit('bulk', { cost: req => req.body.length });
+  const req = n => ({ ip: '203.0.113.9', originalUrl: '/import/links', body: Array(n).fill({}) });
+
+  const oversized = await run(middleware, req(perIp + 1));
+  assert.equal(oversized.passed, false);
+  assert.equal(oversized.res.statusCode, 413);
+  assert.equal(oversized.res.body.limit, perIp);
+  // nothing was charged, so the full budget is still available
+  assert.equal((await run(middleware, req(perIp))).passed, true);
+});
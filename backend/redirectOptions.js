@@ -0,0 +1,67 @@
+// redirectOptions.js
+const QUERY_MODES = new Set(['none', 'merge', 'override']);
+const REDIRECT_STATUSES = new Set([301, 302, 307, 308]);
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * Validate per-link redirect options; missing values fall back to the defaults
+ * (drop incoming query, no UTM, 302). Throws { status, message } on invalid input.
+ *   queryMode: 'none' | 'merge' (destination params win) | 'override' (incoming params win)
+ *   utm: { source, medium, campaign, term, content } appended as utm_* when absent from the destination
+ *   redirectStatus: 301 | 302 | 307 | 308
+ */
+function normalizeRedirectOptions({ queryMode, utm, redirectStatus } = {}) {
+  const out = { queryMode: 'none', utm: null, redirectStatus: 302 };
+
+  if (queryMode !== undefined && queryMode !== null && queryMode !== '') {
+    if (!QUERY_MODES.has(queryMode)) throw { status: 400, message: 'queryMode must be one of none, merge, override' };
+    out.queryMode = queryMode;
+  }
+
+  if (redirectStatus !== undefined && redirectStatus !== null && redirectStatus !== '') {
+    const code = Number(redirectStatus);
+    if (!REDIRECT_STATUSES.has(code)) throw { status: 400, message: 'redirectStatus must be one of 301, 302, 307, 308' };
+    out.redirectStatus = code;
+  }
+
+  if (utm !== undefined && utm !== null) {
+    if (typeof utm !== 'object' || Array.isArray(utm)) throw { status: 400, message: 'utm must be an object' };
+    const unknown = Object.keys(utm).filter(k => !UTM_FIELDS.includes(k));
+    if (unknown.length) throw { status: 400, message: `utm has unknown field(s): ${unknown.join(', ')} — allowed: ${UTM_FIELDS.join(', ')}` };
+    const cleaned = {};
+    for (const field of UTM_FIELDS) {
+      const v = utm[field];
+      if (v === undefined || v === null || v === '') continue;
+      if (typeof v !== 'string' || v.length > 200) throw { status: 400, message: `utm.${field} must be a string of at most 200 characters` };
+      cleaned[field] = v;
+    }
+    out.utm = Object.keys(cleaned).length ? cleaned : null;
+  }
+
+  return out;
+}
+
+/**
+ * Build the final redirect URL from a destination, the visitor's query string
+ * (as URLSearchParams) and the link's options.
+ */
+function buildRedirectUrl(destination, incoming, { queryMode = 'none', utm = null } = {}) {
+  if (!utm && (queryMode === 'none' || !incoming || [...incoming.keys()].length === 0)) return destination;
+
+  const target = new URL(destination);
+  if (utm) {
+    for (const [field, value] of Object.entries(utm)) {
+      if (!target.searchParams.has(`utm_${field}`)) target.searchParams.set(`utm_${field}`, value);
+    }
+  }
+  if (queryMode !== 'none' && incoming) {
+    for (const key of new Set(incoming.keys())) {
+      if (queryMode === 'merge' && target.searchParams.has(key)) continue;
+      target.searchParams.delete(key);
+      for (const value of incoming.getAll(key)) target.searchParams.append(key, value);
+    }
+  }
+  return target.toString();
+}
+
+module.exports = { normalizeRedirectOptions, buildRedirectUrl };
@@ -0,0 +1,27 @@
+// redisClient.js
+const { logger } = require('./logging');
+
+let client = null;
+
+/**
+ * Shared node-redis client (REDIS_URL), created on first use so deployments
+ * that only use in-memory adapters never open a Redis connection.
+ */
+function getRedisClient() {
+  if (client) return client;
+  // required lazily so the memory adapters work without redis configured
+  const { createClient } = require('redis');
+  client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  client.on('error', err => logger.error('Redis error', { package: 'cache', error: err?.message || String(err) }));
+  client.connect()
+    .then(() => logger.info('Redis connected', { package: 'cache' }))
+    .catch(err => logger.error('Redis connection failed', { package: 'cache', error: err?.message || String(err) }));
+  return client;
+}
+
+async function closeRedisClient() {
+  if (client && client.isOpen) await client.quit();
+  client = null;
+}
+
+module.exports = { getRedisClient, closeRedisClient };
@@ -0,0 +1,137 @@
+// rules.js
+const crypto = require('crypto');
+
+const MAX_RULES = 20;
+const MAX_VARIANTS = 10;
+const OS_ALIASES = {
+  ios: 'ios', android: 'android', windows: 'windows', 'mac os': 'macos', macos: 'macos',
+  linux: 'linux', ubuntu: 'linux', 'chrome os': 'chromeos', chromium: 'chromeos'
+};
+const DEVICE_TYPES = new Set(['mobile', 'tablet', 'desktop']);
+const CONDITION_KEYS = ['os', 'deviceType', 'country', 'language'];
+
+function normalizeOs(name) {
+  if (!name) return null;
+  const key = String(name).toLowerCase();
+  return OS_ALIASES[key] || key;
+}
+
+function toList(value, field, index) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(v => typeof v === 'string' && v.trim())) {
+    throw { status: 400, message: `rules[${index}].when.${field} must be a string or array of strings` };
+  }
+  return list.map(v => v.trim());
+}
+
+function checkName(name, label) {
+  if (name === undefined || name === null) return null;
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,40}$/.test(name)) {
+    throw { status: 400, message: `${label} must be 1..40 chars of A-Z a-z 0-9 _ -` };
+  }
+  return name;
+}
+
+/**
+ * Validate and normalise a link's ordered rules list. Each rule is
+ *   { name, when: { os, deviceType, country, language }, url }  or  { name, when, split: [{ name, url, weight }] }
+ * where every `when` field is optional (missing = matches everyone). Destination URLs are
+ * returned in `urls` so the caller can run them through the destination policy.
+ * Throws { status, message } on invalid input.
+ */
+function normalizeRules(rules) {
+  if (rules === undefined || rules === null) return { rules: [], urls: [] };
+  if (!Array.isArray(rules)) throw { status: 400, message: 'rules must be an array' };
+  if (rules.length > MAX_RULES) throw { status: 400, message: `at most ${MAX_RULES} rules are allowed` };
+
+  const urls = [];
+  const names = new Set();
+  const out = rules.map((rule, i) => {
+    if (!rule || typeof rule !== 'object') throw { status: 400, message: `rules[${i}] must be an object` };
+    const name = checkName(rule.name, `rules[${i}].name`) || `rule${i + 1}`;
+    if (names.has(name)) throw { status: 400, message: `duplicate rule name '${name}'` };
+    names.add(name);
+
+    const when = rule.when || {};
+    if (typeof when !== 'object') throw { status: 400, message: `rules[${i}].when must be an object` };
+    const unknown = Object.keys(when).filter(k => !CONDITION_KEYS.includes(k));
+    if (unknown.length) throw { status: 400, message: `rules[${i}].when has unknown condition(s): ${unknown.join(', ')}` };
+
+    const normalizedWhen = {
+      os: toList(when.os, 'os', i).map(normalizeOs),
+      deviceType: toList(when.deviceType, 'deviceType', i).map(d => d.toLowerCase()),
+      country: toList(when.country, 'country', i).map(c => c.toUpperCase()),
+      language: toList(when.language, 'language', i).map(l => l.toLowerCase())
+    };
+    const badDevice = normalizedWhen.deviceType.find(d => !DEVICE_TYPES.has(d));
+    if (badDevice) throw { status: 400, message: `rules[${i}].when.deviceType '${badDevice}' must be one of mobile, tablet, desktop` };
+
+    if ((rule.url === undefined) === (rule.split === undefined)) {
+      throw { status: 400, message: `rules[${i}] needs exactly one of url or split` };
+    }
+    if (rule.url !== undefined) {
+      if (typeof rule.url !== 'string') throw { status: 400, message: `rules[${i}].url must be a string` };
+      urls.push(rule.url);
+      return { name, when: normalizedWhen, url: rule.url };
+    }
+
+    if (!Array.isArray(rule.split) || rule.split.length < 1 || rule.split.length > MAX_VARIANTS) {
+      throw { status: 400, message: `rules[${i}].split must have 1..${MAX_VARIANTS} variants` };
+    }
+    const variantNames = new Set();
+    const split = rule.split.map((v, j) => {
+      const label = `rules[${i}].split[${j}]`;
+      if (!v || typeof v.url !== 'string') throw { status: 400, message: `${label}.url must be a string` };
+      const weight = v.weight === undefined ? 1 : Number(v.weight);
+      if (!Number.isInteger(weight) || weight <= 0) throw { status: 400, message: `${label}.weight must be a positive integer` };
+      const vname = checkName(v.name, `${label}.name`) || String.fromCharCode(65 + j); // A, B, C…
+      if (variantNames.has(vname)) throw { status: 400, message: `duplicate variant name '${vname}' in rules[${i}]` };
+      variantNames.add(vname);
+      urls.push(v.url);
+      return { name: vname, url: v.url, weight };
+    });
+    return { name, when: normalizedWhen, split };
+  });
+
+  return { rules: out, urls };
+}
+
+function matches(when, ctx) {
+  if (when.os.length && !when.os.includes(normalizeOs(ctx.os))) return false;
+  if (when.deviceType.length && !when.deviceType.includes(ctx.deviceType || 'desktop')) return false;
+  if (when.country.length && !when.country.includes(ctx.country)) return false;
+  if (when.language.length) {
+    // only an explicit Accept-Language can match a language condition
+    if (!ctx.acceptLanguage || !ctx.acceptsLanguages(when.language)) return false;
+  }
+  return true;
+}
+
+// Sticky weighted pick: the same visitor (ip + user agent) lands on the same variant
+function pickVariant(split, stickyKey) {
+  const total = split.reduce((sum, v) => sum + v.weight, 0);
+  const hash = crypto.createHash('sha1').update(stickyKey).digest().readUInt32BE(0);
+  let point = hash % total;
+  for (const v of split) {
+    if (point < v.weight) return v;
+    point -= v.weight;
+  }
+  return split[split.length - 1];
+}
+
+/**
+ * Evaluate rules in order and return { url, variant } for the first match, or the link's
+ * originalUrl with variant 'default'. `ctx` carries the parsed UA, geo and request language helpers.
+ */
+function selectDestination(link, ctx) {
+  for (const rule of link.rules || []) {
+    if (!matches(rule.when, ctx)) continue;
+    if (rule.url) return { url: rule.url, variant: rule.name };
+    const v = pickVariant(rule.split, `${link.shortcode}|${rule.name}|${ctx.ip || ''}|${ctx.userAgent || ''}`);
+    return { url: v.url, variant: `${rule.name}/${v.name}` };
+  }
+  return { url: link.originalUrl, variant: 'default' };
+}
+
+module.exports = { normalizeRules, selectDestination };
@@ -0,0 +1,85 @@
+// rules.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, selectDestination } = require('./rules');
+
+test('normalizeRules fills defaults and collects every destination URL', () => {
+  const { rules, urls } = normalizeRules([
+    { when: { os: 'Mac OS', country: 'de' }, url: 'https://example.com/mac-de' },
+    { name: 'ab', split: [{ url: 'https://example.com/a' }, { url: 'https://example.com/b', weight: 3 }] }
+  ]);
+  assert.deepEqual(rules[0], {
+    name: 'rule1',
+    when: { os: ['macos'], deviceType: [], country: ['DE'], language: [] },
+    url: 'https://example.com/mac-de'
+  });
+  assert.deepEqual(rules[1].split, [
+    { name: 'A', url: 'https://example.com/a', weight: 1 },
+    { name: 'B', url: 'https://example.com/b', weight: 3 }
+  ]);
+  assert.deepEqual(urls, ['https://example.com/mac-de', 'https://example.com/a', 'https://example.com/b']);
+  assert.deepEqual(normalizeRules(undefined), { rules: [], urls: [] });
+});
+
+test('normalizeRules rejects malformed rules', () => {
+  for (const rules of [
+    {},
+    [{ when: { browser: 'Chrome' }, url: 'https://example.com/' }],
+    [{ when: { deviceType: 'watch' }, url: 'https://example.com/' }],
+    [{ when: {} }],
+    [{ url: 'https://example.com/', split: [{ url: 'https://example.com/a' }] }],
+    [{ split: [] }],
+    [{ split: [{ url: 'https://example.com/a', weight: 0 }] }],
+    [{ name: 'x', url: 'https://example.com/1' }, { name: 'x', url: 'https://example.com/2' }],
+    [{ name: 'has space', url: 'https://example.com/' }],
+    Array(21).fill({ url: 'https://example.com/' })
+  ]) {
+    assert.throws(() => normalizeRules(rules), { status: 400 }, JSON.stringify(rules).slice(0, 80));
+  }
+});
+
+function context(fields = {}) {
+  const acceptLanguage = fields.acceptLanguage || null;
+  return {
+    os: null,
+    deviceType: null,
+    country: null,
+    ip: '203.0.113.7',
+    userAgent: 'test',
+    acceptLanguage,
+    acceptsLanguages: langs => langs.find(l => acceptLanguage && acceptLanguage.startsWith(l)) || false,
+    ...fields
+  };
+}
+
+test('selectDestination takes the first matching rule, else the original URL', () => {
+  const link = {
+    shortcode: 'app',
+    originalUrl: 'https://example.com/',
+    rules: normalizeRules([
+      { name: 'ios', when: { os: 'iOS' }, url: 'https://apps.example.com/ios' },
+      { name: 'tablets-fr', when: { deviceType: 'tablet', country: 'FR' }, url: 'https://example.com/fr-tablet' },
+      { name: 'german', when: { language: 'de' }, url: 'https://example.com/de' }
+    ]).rules
+  };
+  assert.deepEqual(selectDestination(link, context({ os: 'iOS', country: 'FR', deviceType: 'tablet' })), { url: 'https://apps.example.com/ios', variant: 'ios' });
+  assert.equal(selectDestination(link, context({ deviceType: 'tablet', country: 'FR' })).variant, 'tablets-fr');
+  assert.equal(selectDestination(link, context({ deviceType: 'tablet', country: 'DE' })).variant, 'default');
+  assert.equal(selectDestination(link, context({ acceptLanguage: 'de-DE,de;q=0.9' })).variant, 'german');
+  // no Accept-Language header: language rules never match
+  assert.deepEqual(selectDestination(link, context()), { url: 'https://example.com/', variant: 'default' });
+});
+
+test('A/B splits are sticky per visitor and follow the weights', () => {
+  const link = {
+    shortcode: 'ab',
+    originalUrl: 'https://example.com/',
+    rules: normalizeRules([{ name: 'test', split: [{ name: 'A', url: 'https://example.com/a', weight: 1 }, { name: 'B', url: 'https://example.com/b', weight: 3 }] }]).rules
+  };
+  const first = selectDestination(link, context({ ip: '198.51.100.1' }));
+  for (let i = 0; i < 5; i++) assert.deepEqual(selectDestination(link, context({ ip: '198.51.100.1' })), first);
+
+  const counts = { 'test/A': 0, 'test/B': 0 };
+  for (let i = 0; i < 2000; i++) counts[selectDestination(link, context({ ip: `10.0.${i >> 8}.${i & 255}` })).variant]++;
+  assert.ok(counts['test/B'] > 1300 && counts['test/B'] < 1700, JSON.stringify(counts));
+});
@@ -0,0 +1,27 @@
+// scripts/rescanDestinations.js
+// Usage: node scripts/rescanDestinations.js [--dry-run]
+// Re-checks active links against the current destination policy (DOMAIN_BLOCKLIST,
+// DOMAIN_BLOCKLIST_FILE, DOMAIN_ALLOWLIST, ...) and disables those that now match.
+const mongoose = require('mongoose');
+const { logger, closeLogger } = require('../logging');
+const { rescanLinks } = require('../destinationPolicy');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(MONGODB_URI);
+  try {
+    const summary = await rescanLinks({ dryRun });
+    for (const m of summary.matches) console.log(`${m.shortcode}\t${m.code}\t${m.originalUrl}`);
+    console.log(`scanned ${summary.scanned}, matched ${summary.matches.length}, disabled ${summary.disabled}${dryRun ? ' (dry run)' : ''}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().then(() => closeLogger().then(() => process.exit(0))).catch(err => {
+  logger.error('destination rescan failed', { package: 'service', error: err?.message || String(err) });
+  console.error(err);
+  closeLogger().then(() => process.exit(1));
+});
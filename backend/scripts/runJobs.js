@@ -0,0 +1,37 @@
+// scripts/runJobs.js
+// Usage: node scripts/runJobs.js [notify-expired|expire-links|anonymize-ips|rollup-clicks ...]
+// Runs the scheduled retention jobs on demand (all of them, in order, when none is named).
+// Settings come from the same env vars as the server (EXPIRED_LINK_ACTION, CLICK_ROLLUP_AFTER_DAYS, ...).
+const mongoose = require('mongoose');
+const { logger, closeLogger } = require('../logging');
+const { JOBS, runJob } = require('../jobs');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+
+async function main() {
+  const names = process.argv.slice(2);
+  const unknown = names.filter(n => !JOBS[n]);
+  if (unknown.length) {
+    console.error(`unknown job(s): ${unknown.join(', ')} — available: ${Object.keys(JOBS).join(', ')}`);
+    return 2;
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  let failed = 0;
+  try {
+    for (const name of names.length ? names : Object.keys(JOBS)) {
+      const { job, status, ...details } = await runJob(name);
+      if (status === 'failed') failed++;
+      console.log(`${job}\t${status}\t${JSON.stringify(details)}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(code => closeLogger().then(() => process.exit(code))).catch(err => {
+  logger.error('job run failed', { package: 'cron job', error: err?.message || String(err) });
+  console.error(err);
+  closeLogger().then(() => process.exit(1));
+});
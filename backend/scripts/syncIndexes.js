@@ -0,0 +1,27 @@
+// scripts/syncIndexes.js
+// Usage: node scripts/syncIndexes.js
+// Brings the collections' indexes in line with models.js. Run once after upgrading to
+// branded domains: it drops the old unique { shortcode } index in favour of { domain, shortcode }.
+const mongoose = require('mongoose');
+const { logger, closeLogger } = require('../logging');
+const { ShortUrl, Click, Domain, ArchivedShortUrl, ClickDaily, JobRun, WebhookSubscription, WebhookDelivery, Counter } = require('../models');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  try {
+    for (const model of [ShortUrl, Click, Domain, ArchivedShortUrl, ClickDaily, JobRun, WebhookSubscription, WebhookDelivery, Counter]) {
+      const dropped = await model.syncIndexes();
+      console.log(`${model.modelName}: ${dropped.length ? `dropped ${dropped.join(', ')}` : 'up to date'}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().then(() => closeLogger().then(() => process.exit(0))).catch(err => {
+  logger.error('index sync failed', { package: 'db', error: err?.message || String(err) });
+  console.error(err);
+  closeLogger().then(() => process.exit(1));
+});
@@ -4,264 +4,1726 @@ const bodyParser = require('body-parser');
 const mongoose = require('mongoose');
 const helmet = require('helmet');
 const cors = require('cors');
+const validator = require('validator');
 
-const { requestLogger, logger } = require('./logging'); // Ensure this is your pre-test logging middleware
-const { ShortUrl, Click } = require('./models');
-const { isValidUrl, normalizeShortcode, generateShortcode } = require('./utils');
+const { requestLogger, logger, closeLogger, logFrontend, REQUEST_ID_HEADER } = require('./logging'); // Ensure this is your pre-test logging middleware
+const { ShortUrl, Click, User, ApiKey, Domain, ArchivedShortUrl, WebhookSubscription, WebhookDelivery } = require('./models');
+const { normalizeShortcode, parseCsv, parseBoolean } = require('./utils');
+const { isReservedShortcode, resolveStrategyName, generateShortcode } = require('./shortcodes');
+const { hashPassword, verifyPassword, issueApiKey, authenticate, requireAuth } = require('./auth');
+const { parseAnalyticsQuery, clickAnalytics, rolledUpDays, mergeCounts } = require('./analytics');
+const { initGeoIp, lookupGeo, normalizeIp, parseTrustedProxies } = require('./geoip');
+const { parseUserAgent } = require('./useragent');
+const { cache, getLink, invalidateLink } = require('./cache');
+const { enqueueClick, startClickQueue, stopClickQueue, pendingClicks } = require('./clickQueue');
+const { startJobs, stopJobs } = require('./jobs');
+const { checkLink, startLinkChecks, stopLinkChecks } = require('./linkHealth');
+const { QR_SOURCE_PARAM, QR_SOURCE_VALUE, parseQrOptions, qrTaggedLink, renderQr } = require('./qr');
+const { rateLimit } = require('./rateLimit');
+const { register: metricsRegister, metricsMiddleware, redirectMetrics, recordShortcodeCollision, recordShortcodeSaveRetry } = require('./metrics');
+const { checkDestination } = require('./destinationPolicy');
+const { renderUnlockPage } = require('./unlockPage');
+const { normalizeRules, selectDestination } = require('./rules');
+const { normalizeRedirectOptions, buildRedirectUrl } = require('./redirectOptions');
+const { normalizeLinkMeta, parseListQuery, encodeCursor } = require('./linkQuery');
+const { LINK_COLUMNS, CLICK_COLUMNS, DAILY_CLICK_COLUMNS, parseExportQuery, linkRecords, clickRecords, dailyClickRecords, streamExport } = require('./dataExport');
+const { parseImportOptions, parseImportBody, normalizeImportRow } = require('./linkImport');
+const {
+  MAX_SUBSCRIPTIONS_PER_USER, normalizeWebhookUrl, normalizeEvents, newWebhookSecret, invalidateSubscriptions,
+  emitWebhookEvent, linkEventData, notifyLinkExpired, replayDelivery, startWebhooks, stopWebhooks
+} = require('./webhooks');
+const {
+  normalizeHostname, refreshDomains, resolveRequestDomain, verificationRecord,
+  newVerificationToken, checkDomainOwnership, linkBase
+} = require('./domains');
 
 const app = express();
+// req.ip honours X-Forwarded-For only when the connecting peer is in TRUSTED_PROXIES
+app.set('trust proxy', parseTrustedProxies());
+// Mandatory logging middleware; first, so every later log line carries the request id
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
 app.use(helmet());
-app.use(bodyParser.json());
-app.use(cors({ origin: 'http://localhost:3000' })); // frontend will run on 3000
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(cors({ origin: 'http://localhost:3000', exposedHeaders: [REQUEST_ID_HEADER] })); // frontend will run on 3000
 
-// Mandatory logging middleware
-app.use(requestLogger);
+/**
+ * GET /metrics -> Prometheus text exposition
+ * When METRICS_TOKEN is set, scrapers must send it as a Bearer token. Registered ahead of
+ * `authenticate`, which would otherwise reject that token as an unknown API key.
+ */
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'metrics token required' });
+  }
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    return res.send(await metricsRegister.metrics());
+  } catch (err) {
+    logger.error('metrics error', { package: 'service', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// Resolve the caller from X-API-Key / Authorization (routes opt in via requireAuth)
+app.use(authenticate);
 
-// Reserved names to prevent route collisions or accidental overwrite
-const RESERVED_SHORTCODES = new Set(['shorturls', 'api', 'admin', 'health', 'favicon.ico']);
+// Page size bounds for the raw click list in GET /shorturls/:shortcode
+const DEFAULT_CLICKS_PAGE_SIZE = 50;
+const MAX_CLICKS_PAGE_SIZE = 200;
+
+// Upper bound on items accepted by POST /shorturls/batch
+const MAX_BATCH_ITEMS = Number(process.env.MAX_BATCH_ITEMS) || 500;
 
 // Health endpoint
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+async function checkMongo() {
+  const state = MONGO_STATES[mongoose.connection.readyState] || 'unknown';
+  if (mongoose.connection.readyState !== 1) return { status: 'down', state };
+  const started = Date.now();
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('ping timed out')), HEALTH_CHECK_TIMEOUT_MS).unref())
+    ]);
+    return { status: 'up', state, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { status: 'down', state, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * GET /health/live -> liveness: the process is up and serving requests
+ */
+app.get('/health/live', (req, res) => res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) }));
+
+/**
+ * GET /health (alias /health/ready) -> readiness: 200 when MongoDB answers a ping, otherwise 503
+ */
+async function readiness(req, res) {
+  const mongo = await checkMongo();
+  const ready = mongo.status === 'up';
+  if (!ready) logger.warn('readiness check failed', { package: 'service', mongo });
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: { mongo, clickQueue: { status: 'up', pending: pendingClicks() } }
+  });
+}
+app.get('/health', readiness);
+app.get('/health/ready', readiness);
+
+const MAX_CLIENT_LOG_BATCH = 100;
+const MAX_CLIENT_LOG_MESSAGE = 2000;
+
+/**
+ * POST /client-logs -> ingest a batch from the frontend log queue: { logs: [{ ts, level, package, message, requestId }] }
+ * Accepts text/plain too, because navigator.sendBeacon cannot send application/json cross-origin
+ * without a preflight. Entries go through the backend logger, so the browser needs no log token.
+ */
+app.post('/client-logs', bodyParser.text({ type: 'text/plain', limit: '64kb' }), rateLimit('logs'), (req, res) => {
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      return res.status(400).json({ error: 'body must be JSON' });
+    }
+  }
+  const logs = Array.isArray(body) ? body : body?.logs;
+  if (!Array.isArray(logs) || logs.length === 0) return res.status(400).json({ error: 'logs must be a non-empty array' });
+  if (logs.length > MAX_CLIENT_LOG_BATCH) return res.status(413).json({ error: `at most ${MAX_CLIENT_LOG_BATCH} entries per batch` });
 
-// DB connection - configure via MONGODB_URI env var
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+  let accepted = 0;
+  for (const e of logs) {
+    if (!e || typeof e !== 'object' || typeof e.message !== 'string') continue;
+    logFrontend(e.level, e.package, e.message.slice(0, MAX_CLIENT_LOG_MESSAGE), {
+      clientTs: typeof e.ts === 'string' ? e.ts : null,
+      // the id of the API call the browser event refers to, not of this ingest request
+      requestId: typeof e.requestId === 'string' ? e.requestId.slice(0, 128) : undefined,
+      userId: req.user ? String(req.user._id) : undefined,
+      page: typeof e.page === 'string' ? e.page.slice(0, 500) : undefined
+    });
+    accepted++;
+  }
+  return res.status(202).json({ accepted, rejected: logs.length - accepted });
+});
+
+/**
+ * POST /auth/register -> create an account and return its first API key
+ */
+app.post('/auth/register', rateLimit('auth'), async (req, res) => {
+  try {
+    const { email, password, name } = req.body || {};
+    if (!email || typeof email !== 'string' || !validator.isEmail(email)) {
+      return res.status(400).json({ error: 'a valid email is required' });
+    }
+    if (!password || typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'password must be at least 8 characters' });
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase().trim() }).lean();
+    if (existing) return res.status(409).json({ error: 'email already registered' });
 
-mongoose.connect(MONGODB_URI).catch(err => {
-  // log initial connection error (don't throw)
-  logger.error('Initial MongoDB connection failed', { package: 'db', error: err?.message || String(err) });
+    const user = await new User({ email, name: name || null, passwordHash: await hashPassword(password) }).save();
+    const key = await issueApiKey(user._id, 'default');
+    logger.info('user_registered', { package: 'auth', userId: String(user._id) });
+
+    return res.status(201).json({ user: { id: user._id, email: user.email, name: user.name }, apiKey: key.key });
+  } catch (err) {
+    logger.error('register error', { package: 'auth', error: err?.message || String(err) });
+    if (err && err.code === 11000) return res.status(409).json({ error: 'email already registered' });
+    return res.status(500).json({ error: 'internal server error' });
+  }
 });
 
-mongoose.connection.on('error', err =>
-  logger.error('MongoDB connection error', { package: 'db', error: err?.message || String(err) })
-);
+/**
+ * POST /auth/login -> exchange email/password for a new API key
+ */
+app.post('/auth/login', rateLimit('auth'), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).lean();
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      logger.warn('login_failed', { package: 'auth' });
+      return res.status(401).json({ error: 'invalid email or password' });
+    }
 
-mongoose.connection.once('open', () =>
-  logger.info('MongoDB connected', { package: 'db' })
-);
+    const key = await issueApiKey(user._id, 'login');
+    logger.info('user_login', { package: 'auth', userId: String(user._id) });
+    return res.json({ user: { id: user._id, email: user.email, name: user.name }, apiKey: key.key });
+  } catch (err) {
+    logger.error('login error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /auth/me -> the authenticated user
+ */
+app.get('/auth/me', requireAuth, (req, res) => {
+  return res.json({ id: req.user._id, email: req.user.email, name: req.user.name });
+});
+
+/**
+ * POST /auth/logout -> revoke the API key used for this request
+ */
+app.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await ApiKey.updateOne({ _id: req.apiKey._id }, { $set: { revokedAt: new Date() } });
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('logout error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
 
+/**
+ * GET /auth/keys -> list the caller's API keys (hashes are never returned)
+ * POST /auth/keys -> issue an additional API key
+ * DELETE /auth/keys/:id -> revoke a key
+ */
+app.get('/auth/keys', requireAuth, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 }).lean();
+    return res.json(keys.map(k => ({
+      id: k._id,
+      prefix: k.prefix,
+      label: k.label,
+      createdAt: k.createdAt,
+      lastUsedAt: k.lastUsedAt,
+      revokedAt: k.revokedAt
+    })));
+  } catch (err) {
+    logger.error('list keys error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+app.post('/auth/keys', requireAuth, async (req, res) => {
+  try {
+    const label = typeof req.body?.label === 'string' ? req.body.label.slice(0, 100) : null;
+    const key = await issueApiKey(req.user._id, label);
+    logger.info('api_key_issued', { package: 'auth', userId: String(req.user._id), prefix: key.prefix });
+    return res.status(201).json({ id: key.id, prefix: key.prefix, label: key.label, createdAt: key.createdAt, apiKey: key.key });
+  } catch (err) {
+    logger.error('issue key error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+app.delete('/auth/keys/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'api key not found' });
+    const result = await ApiKey.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ error: 'api key not found' });
+    logger.info('api_key_revoked', { package: 'auth', userId: String(req.user._id), keyId: req.params.id });
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('revoke key error', { package: 'auth', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+// Archived links keep their codes (see jobs.js), so a reissued code never inherits old clicks
+async function shortcodeTaken(shortcode, domain) {
+  const [live, archived] = await Promise.all([
+    ShortUrl.exists({ shortcode, domain }),
+    ArchivedShortUrl.exists({ shortcode, domain })
+  ]);
+  return !!(live || archived);
+}
 
 /**
- * Helper to ensure unique shortcode (tries to generate if not provided)
+ * Helper to ensure unique shortcode within a domain (generates one with `strategy` if not provided)
  */
-async function makeUniqueShortcode(desired) {
+async function makeUniqueShortcode(desired, domain = null, strategy) {
   if (desired) {
     const normalized = desired.toString().trim();
-    if (RESERVED_SHORTCODES.has(normalized.toLowerCase())) {
+    if (isReservedShortcode(normalized)) {
       throw { status: 400, message: 'shortcode not allowed' };
     }
-    const existing = await ShortUrl.findOne({ shortcode: normalized }).lean();
-    if (existing) throw { status: 409, message: 'shortcode already exists' };
+    if (await shortcodeTaken(normalized, domain)) throw { status: 409, message: 'shortcode already exists' };
     return normalized;
   }
 
-  for (let attempt = 0; attempt < 8; attempt++) {
-    const candidate = generateShortcode(6);
-    if (RESERVED_SHORTCODES.has(candidate.toLowerCase())) continue;
-    const exists = await ShortUrl.findOne({ shortcode: candidate }).lean();
-    if (!exists) return candidate;
+  return generateShortcode(strategy, {
+    isTaken: candidate => shortcodeTaken(candidate, domain),
+    onCollision: () => recordShortcodeCollision('lookup')
+  });
+}
+
+// A link's domain must be a verified domain owned by the caller; empty means the default domain
+async function ownedDomain(domain, req) {
+  if (domain === undefined || domain === null || domain === '') return null;
+  const hostname = normalizeHostname(domain);
+  if (!hostname) throw { status: 400, message: 'domain must be a valid hostname' };
+  const doc = await Domain.findOne({ hostname, owner: req.user._id, verifiedAt: { $ne: null } }).lean();
+  if (!doc) throw { status: 400, message: `domain '${hostname}' is not a verified domain of yours` };
+  return hostname;
+}
+
+// Routes under /shorturls/:shortcode address branded links with ?domain=<hostname>
+function requestedDomain(req) {
+  const d = req.query.domain;
+  if (d === undefined || d === '') return null;
+  const hostname = normalizeHostname(String(d));
+  if (!hostname) throw { status: 400, message: 'domain must be a valid hostname' };
+  return hostname;
+}
+
+// Link passwords reuse the account password hashing (scrypt + per-hash salt)
+async function hashLinkPassword(password) {
+  if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+    throw { status: 400, message: 'password must be a string of 4..128 characters' };
+  }
+  return hashPassword(password);
+}
+
+// Optional usage caps; empty strings (e.g. blank CSV cells) count as unset
+function parseUsageLimits({ maxClicks, notBefore }, expiryAt) {
+  const limits = { maxClicks: null, notBefore: null };
+  if (maxClicks !== undefined && maxClicks !== null && maxClicks !== '') {
+    const n = Number(maxClicks);
+    if (!Number.isInteger(n) || n <= 0) throw { status: 400, message: 'maxClicks must be a positive integer' };
+    limits.maxClicks = n;
+  }
+  if (notBefore !== undefined && notBefore !== null && notBefore !== '') {
+    const d = new Date(notBefore);
+    if (Number.isNaN(d.getTime())) throw { status: 400, message: 'notBefore must be a valid date' };
+    if (d >= expiryAt) throw { status: 400, message: 'notBefore must be before the link expires' };
+    limits.notBefore = d;
+  }
+  return limits;
+}
+
+// Rule destinations go through the same destination policy as originalUrl
+async function validateRules(rules, req) {
+  const normalized = normalizeRules(rules);
+  for (const ruleUrl of normalized.urls) {
+    await checkDestination(ruleUrl, { requestHost: req.get('host') });
   }
-  throw { status: 500, message: 'unable to generate unique shortcode, try again' };
+  return normalized.rules;
+}
+
+// The fallback served while the destination is down must pass the same policy; empty clears it
+async function validateFallbackUrl(fallbackUrl, req) {
+  if (fallbackUrl === undefined || fallbackUrl === null || fallbackUrl === '') return null;
+  if (typeof fallbackUrl !== 'string') throw { status: 400, message: 'fallbackUrl must be a string' };
+  await checkDestination(fallbackUrl, { requestHost: req.get('host') });
+  return fallbackUrl;
+}
+
+// The link-rot monitor's last result (see linkHealth.js)
+function healthResponse(doc) {
+  const h = doc.health || {};
+  return {
+    status: h.status || 'unknown',
+    statusCode: h.statusCode ?? null,
+    finalUrl: h.finalUrl || null,
+    responseTimeMs: h.responseTimeMs ?? null,
+    error: h.error || null,
+    checkedAt: h.checkedAt || null,
+    consecutiveFailures: h.consecutiveFailures || 0,
+    downSince: h.downSince || null
+  };
 }
 
 /**
- * POST /shorturls -> create short url
+ * Validate a single creation item and persist it. Besides { url, validity, shortcode } an item may
+ * carry password, maxClicks, notBefore, rules, redirect options (queryMode, utm, redirectStatus),
+ * a branded domain, title/notes/tags, a fallbackUrl (served while the destination is down) and
+ * shortcodeStrategy (how a code is generated when none is given). Throws { status, message } for client errors.
+ * `options` is for server-side callers only (imports): createdAt/expiryAt keep the original dates,
+ * dryRun validates and picks the shortcode without saving.
  */
-app.post('/shorturls', async (req, res) => {
-  try {
-    const { url, validity, shortcode } = req.body;
+async function createShortUrl({ url, validity, shortcode, shortcodeStrategy, password, maxClicks, notBefore, rules, queryMode, utm, redirectStatus, domain, title, notes, tags, fallbackUrl }, req, options = {}) {
+  if (!url || typeof url !== 'string') {
+    throw { status: 400, message: 'url is required and must be a string' };
+  }
+  const strategy = resolveStrategyName(shortcodeStrategy);
+  const linkDomain = await ownedDomain(domain, req);
+  await checkDestination(url, { requestHost: req.get('host') });
+  const normalizedRules = await validateRules(rules, req);
+  const fallback = await validateFallbackUrl(fallbackUrl, req);
+  const redirectOptions = normalizeRedirectOptions({ queryMode, utm, redirectStatus });
+  const meta = normalizeLinkMeta({ title, notes, tags });
+  const passwordHash = password ? await hashLinkPassword(password) : null;
 
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({ error: 'url is required and must be a string' });
-    }
-    if (!isValidUrl(url)) {
-      return res.status(400).json({ error: 'url must include protocol (http/https) and be a valid URL' });
+  // validity defaults to 30 minutes; empty values (e.g. blank CSV cells) count as unset
+  const validMinutes = validity === undefined || validity === null || validity === '' ? 30 : Number(validity);
+  if (!Number.isInteger(validMinutes) || validMinutes <= 0) throw { status: 400, message: 'validity must be a positive integer (minutes)' };
+
+  let chosen = null;
+  if (shortcode) {
+    const normalized = normalizeShortcode(shortcode);
+    if (!normalized) throw { status: 400, message: 'invalid shortcode — only A-Z a-z 0-9 _ - allowed, length 3..30' };
+    chosen = await makeUniqueShortcode(normalized, linkDomain);
+  } else {
+    chosen = await makeUniqueShortcode(null, linkDomain, strategy);
+  }
+
+  const now = options.createdAt || new Date();
+  const expiryAt = options.expiryAt || new Date(now.getTime() + validMinutes * 60000);
+  const limits = parseUsageLimits({ maxClicks, notBefore }, expiryAt);
+  // Build shortLink on the branded domain, or BASE_URL if provided (useful behind proxies)
+  const base = linkBase(req, linkDomain);
+  const response = code => ({
+    shortcode: code,
+    shortLink: `${base}/${code}`,
+    domain: linkDomain,
+    expiry: expiryAt.toISOString(),
+    passwordProtected: !!passwordHash,
+    redirectStatus: redirectOptions.redirectStatus,
+    maxClicks: limits.maxClicks,
+    notBefore: limits.notBefore ? limits.notBefore.toISOString() : null,
+    fallbackUrl: fallback
+  });
+  if (options.dryRun) return response(chosen);
+
+  // Attempt to save with retry for race conditions (duplicate key)
+  let savedDoc = null;
+  let lastSaveErr = null;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      savedDoc = await new ShortUrl({
+        shortcode: chosen,
+        domain: linkDomain,
+        originalUrl: url,
+        createdAt: now,
+        expiryAt,
+        validityMinutes: options.expiryAt ? Math.round((expiryAt.getTime() - now.getTime()) / 60000) : validMinutes,
+        passwordHash,
+        ...limits,
+        rules: normalizedRules,
+        fallbackUrl: fallback,
+        ...redirectOptions,
+        ...meta,
+        metadata: { createdFromIP: req.ip, userAgent: req.get('User-Agent') },
+        owner: req.user?._id
+      }).save();
+      lastSaveErr = null;
+      break;
+    } catch (e) {
+      lastSaveErr = e;
+      // duplicate key error -> choose a new shortcode and retry
+      if (e && e.code === 11000) {
+        logger.warn('Duplicate key on save - shortcode collision, regenerating', { package: 'db', error: e?.message || String(e) });
+        recordShortcodeCollision('save');
+        recordShortcodeSaveRetry();
+        chosen = await makeUniqueShortcode(null, linkDomain, strategy);
+        continue;
+      }
+      // other errors -> break out to outer catch
+      break;
     }
+  }
+
+  if (!savedDoc) {
+    logger.error('Failed to save ShortUrl after retries', { package: 'db', error: lastSaveErr?.message || String(lastSaveErr) });
+    throw { status: 500, message: 'internal server error' };
+  }
+
+  logger.info('Shortlink created', { package: 'handler', shortcode: chosen, domain: linkDomain, originalUrl: url, expiryAt: expiryAt.toISOString(), owner: String(req.user?._id) });
+  emitWebhookEvent('link.created', req.user?._id, {
+    ...linkEventData(savedDoc),
+    shortLink: `${base}/${chosen}`,
+    title: savedDoc.title || null,
+    tags: savedDoc.tags || [],
+    createdAt: now.toISOString()
+  });
+
+  return response(chosen);
+}
+
+// camelCase creation fields that may appear as CSV headers in any letter case
+const CSV_CREATE_COLUMNS = ['url', 'validity', 'shortcode', 'shortcodeStrategy', 'password', 'maxClicks', 'notBefore', 'queryMode', 'redirectStatus', 'domain', 'title', 'notes', 'tags', 'fallbackUrl'];
+
+// Whitelist of creation fields accepted from request bodies and batch items.
+// CSV rows arrive flat, so utm_source/utm_medium/... columns are folded into `utm`.
+function pickCreateFields(body) {
+  const { url, validity, shortcode, shortcodeStrategy, password, maxClicks, notBefore, rules, queryMode, redirectStatus, domain, title, notes, tags, fallbackUrl } = body;
+  let utm = body.utm;
+  if (utm === undefined) {
+    const flat = Object.fromEntries(Object.entries(body)
+      .filter(([k]) => k.startsWith('utm_'))
+      .map(([k, v]) => [k.slice(4), v]));
+    if (Object.keys(flat).length) utm = flat;
+  }
+  return { url, validity, shortcode, shortcodeStrategy, password, maxClicks, notBefore, rules, queryMode, utm, redirectStatus, domain, title, notes, tags, fallbackUrl };
+}
+
+/**
+ * POST /shorturls -> create short url
+ */
+app.post('/shorturls', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const created = await createShortUrl(pickCreateFields(req.body || {}), req);
+    return res.status(201).json(created);
+  } catch (err) {
+    logger.error('create shorturl error', { package: 'handler', error: err?.message || String(err), code: err?.code });
+    if (err && err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
 
-    const validMinutes = Number.isInteger(Number(validity)) && Number(validity) > 0 ? Number(validity) : 30;
-    if (validMinutes <= 0) return res.status(400).json({ error: 'validity must be a positive integer (minutes)' });
+// Batch creation and imports are charged one unit of the 'bulk' budget per item (or CSV line)
+function batchSize(req) {
+  if (typeof req.body === 'string') return req.body.split(/\r?\n/).filter(l => l.trim()).length;
+  if (Array.isArray(req.body)) return req.body.length;
+  const list = req.body?.items || req.body?.links;
+  return Array.isArray(list) ? list.length : 1;
+}
 
-    let chosen = null;
-    if (shortcode) {
-      const normalized = normalizeShortcode(shortcode);
-      if (!normalized) return res.status(400).json({ error: 'invalid shortcode — only A-Z a-z 0-9 _ - allowed, length 3..30' });
-      chosen = await makeUniqueShortcode(normalized);
+/**
+ * POST /shorturls/batch -> create many short urls in one request
+ * Accepts a JSON array (or { items: [...] }) of { url, validity, shortcode },
+ * or a text/csv body with a url,validity,shortcode header row.
+ * Items are processed in order so duplicate shortcodes within a batch resolve deterministically.
+ */
+app.post('/shorturls/batch', requireAuth, bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), rateLimit('bulk', { cost: batchSize }), async (req, res) => {
+  try {
+    let items;
+    if (typeof req.body === 'string') {
+      items = parseCsv(req.body, CSV_CREATE_COLUMNS);
+    } else if (Array.isArray(req.body)) {
+      items = req.body;
     } else {
-      chosen = await makeUniqueShortcode(null);
+      items = req.body?.items;
     }
 
-    const now = new Date();
-    const expiryAt = new Date(now.getTime() + validMinutes * 60000);
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'body must be a non-empty array of { url, validity, shortcode } items or a CSV file' });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `batch may contain at most ${MAX_BATCH_ITEMS} items` });
+    }
 
-    // Attempt to save with retry for race conditions (duplicate key)
-    let savedDoc = null;
-    let lastSaveErr = null;
-    for (let attempt = 0; attempt < 5; attempt++) {
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i] && typeof items[i] === 'object' ? items[i] : {};
       try {
-        savedDoc = await new ShortUrl({
-          shortcode: chosen,
-          originalUrl: url,
-          createdAt: now,
-          expiryAt,
-          validityMinutes: validMinutes,
-          metadata: { createdFromIP: req.ip, userAgent: req.get('User-Agent') }
-        }).save();
-        lastSaveErr = null;
-        break;
-      } catch (e) {
-        lastSaveErr = e;
-        // duplicate key error -> choose a new shortcode and retry
-        if (e && e.code === 11000) {
-          logger.warn('Duplicate key on save - shortcode collision, regenerating', { package: 'db', error: e?.message || String(e) });
-          chosen = await makeUniqueShortcode(null);
-          continue;
+        const created = await createShortUrl(pickCreateFields(item), req);
+        results.push({ index: i, url: item.url, success: true, ...created });
+      } catch (err) {
+        if (!err || !err.status) {
+          logger.error('batch item error', { package: 'handler', index: i, error: err?.message || String(err) });
         }
-        // other errors -> break out to outer catch
-        break;
+        results.push({ index: i, url: item.url, success: false, status: err?.status || 500, code: err?.code, error: err?.status ? err.message : 'internal server error' });
       }
     }
 
-    if (!savedDoc) {
-      logger.error('Failed to save ShortUrl after retries', { package: 'db', error: lastSaveErr?.message || String(lastSaveErr) });
-      return res.status(500).json({ error: 'internal server error' });
-    }
-
-    // Build shortLink using BASE_URL if provided (useful behind proxies)
-    const base = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
-    logger.info('Shortlink created', { package: 'handler', shortcode: chosen, originalUrl: url, expiryAt: expiryAt.toISOString() });
+    const created = results.filter(r => r.success).length;
+    logger.info('Batch shortlinks processed', { package: 'handler', total: results.length, created, failed: results.length - created });
 
-    return res.status(201).json({
-      shortLink: `${base}/${chosen}`,
-      expiry: expiryAt.toISOString()
-    });
+    return res.status(200).json({ total: results.length, created, failed: results.length - created, results });
   } catch (err) {
-    logger.error('create shorturl error', { package: 'handler', error: err?.message || String(err) });
-    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('batch shorturls error', { package: 'handler', error: err?.message || String(err) });
     return res.status(500).json({ error: 'internal server error' });
   }
 });
 
 /**
  * GET /shorturls/:shortcode -> stats
+ * Raw clicks are paginated: ?page=1&limit=50 (limit capped at MAX_CLICKS_PAGE_SIZE).
+ * Variant counts include the days the rollup job folded into daily totals; the click list does not.
+ * Bot/preview traffic is excluded unless ?includeBots=true.
+ * Links on a branded domain are addressed with ?domain=<hostname>.
  */
-app.get('/shorturls/:shortcode', async (req, res) => {
+app.get('/shorturls/:shortcode', requireAuth, rateLimit('stats'), async (req, res) => {
   try {
     const sc = req.params.shortcode;
-    const doc = await ShortUrl.findOne({ shortcode: sc }).lean();
+    const domain = requestedDomain(req);
+    const page = req.query.page ? Number(req.query.page) : 1;
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_CLICKS_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'page must be a positive integer' });
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CLICKS_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_CLICKS_PAGE_SIZE}` });
+    }
+
+    // scoped to the caller: other owners' links are indistinguishable from missing ones
+    const doc = await ShortUrl.findOne({ shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } }).lean();
     if (!doc) {
-      logger.warn('stats_not_found', { package: 'route', shortcode: sc });
+      logger.warn('stats_not_found', { package: 'route', shortcode: sc, domain });
       return res.status(404).json({ error: 'shortcode not found' });
     }
 
-    const clicks = await Click.find({ shortcode: sc }).sort({ clickedAt: -1 }).lean();
+    const includeBots = parseBoolean(req.query.includeBots);
+    const clickFilter = includeBots ? { shortcode: sc, domain } : { shortcode: sc, domain, isBot: { $ne: true } };
+    const [clicks, total, variants, days] = await Promise.all([
+      Click.find(clickFilter).sort({ clickedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Click.countDocuments(clickFilter),
+      Click.aggregate([
+        { $match: clickFilter },
+        { $group: { _id: { $ifNull: ['$variant', 'default'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      rolledUpDays(sc, domain)
+    ]);
 
     const clickDetails = clicks.map(c => ({
       timestamp: c.clickedAt,
       referrer: c.referrer,
       ip: c.ip,
       userAgent: c.userAgent,
+      ua: c.ua || {},
+      isBot: !!c.isBot,
+      variant: c.variant || null,
+      source: c.source || 'link',
       geo: c.geo || {}
     }));
 
     return res.json({
       shortcode: sc,
+      domain: doc.domain || null,
       originalUrl: doc.originalUrl,
+      title: doc.title || null,
+      notes: doc.notes || null,
+      tags: doc.tags || [],
+      status: doc.status || 'active',
+      disabledReason: doc.disabledReason || null,
+      passwordProtected: !!doc.passwordHash,
+      failedUnlockAttempts: doc.failedUnlockAttempts || 0,
+      maxClicks: doc.maxClicks || null,
+      usesCount: doc.usesCount || 0,
+      notBefore: doc.notBefore || null,
+      rules: doc.rules || [],
+      queryMode: doc.queryMode || 'none',
+      utm: doc.utm || null,
+      redirectStatus: doc.redirectStatus || 302,
+      fallbackUrl: doc.fallbackUrl || null,
+      health: healthResponse(doc),
+      variants: mergeCounts(variants, days.map(d => d.variants)).map(v => ({ variant: v._id, count: v.count })),
       createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
       expiryAt: doc.expiryAt,
-      clicksTotal: doc.clicksCount,
-      clicks: clickDetails
+      clicksTotal: includeBots ? doc.clicksCount + (doc.botClicksCount || 0) : doc.clicksCount,
+      botClicksTotal: doc.botClicksCount || 0,
+      includeBots,
+      clicks: clickDetails,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
     });
   } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
     logger.error('stats error', { package: 'handler', error: err?.message || String(err) });
     return res.status(500).json({ error: 'internal server error' });
   }
 });
 
 /**
- * GET /shorturls -> list (useful for frontend)
+ * GET /shorturls/:shortcode/analytics -> aggregated click analytics
+ * Query: from, to (ISO dates, default last 7 days), interval (hour|day|week), top (list sizes), includeBots
+ */
+app.get('/shorturls/:shortcode/analytics', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const sc = req.params.shortcode;
+    const domain = requestedDomain(req);
+    const doc = await ShortUrl.findOne({ shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } }).lean();
+    if (!doc) return res.status(404).json({ error: 'shortcode not found' });
+
+    const query = parseAnalyticsQuery(req.query);
+    const analytics = await clickAnalytics(sc, query, domain);
+    return res.json({ shortcode: sc, domain, ...analytics });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('analytics error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /shorturls/:shortcode/qr -> QR code of the short link
+ * Query: format (png|svg), size (px), margin (modules), ecl (L|M|Q|H), fg/bg (hex colours), domain.
+ * The encoded URL carries a tag so scans show up as click source 'qr'.
+ */
+app.get('/shorturls/:shortcode/qr', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const sc = req.params.shortcode;
+    const domain = requestedDomain(req);
+    const options = parseQrOptions(req.query);
+    const doc = await ShortUrl.findOne({ shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } }, { _id: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: 'shortcode not found' });
+
+    const { contentType, body } = await renderQr(qrTaggedLink(`${linkBase(req, domain)}/${sc}`), options);
+    res.set('Cache-Control', 'private, max-age=3600');
+    if (parseBoolean(req.query.download)) {
+      res.attachment(`${domain ? `${domain}-` : ''}${sc}-qr.${options.format}`);
+    }
+    return res.type(contentType).send(body);
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('qr error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PATCH /shorturls/:shortcode -> edit an existing link
+ * Body (all optional): { originalUrl, extendMinutes, disabled, password, rules }
+ * password: a string sets/replaces the link password, null removes it.
+ * rules: replaces the conditional redirect rules; null or [] removes them.
+ * queryMode / utm / redirectStatus: change redirect behaviour; omitted ones keep their values.
+ * title / notes / tags: replace the descriptive fields; null clears them.
+ * extendMinutes is added to the current expiry (or to now, if already expired).
+ */
+app.patch('/shorturls/:shortcode', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const sc = req.params.shortcode;
+    const domain = requestedDomain(req);
+    const { originalUrl, extendMinutes, disabled, password, rules, queryMode, utm, redirectStatus, title, notes, tags, fallbackUrl } = req.body || {};
+
+    if ([originalUrl, extendMinutes, disabled, password, rules, queryMode, utm, redirectStatus, title, notes, tags, fallbackUrl].every(v => v === undefined)) {
+      return res.status(400).json({ error: 'nothing to update — provide originalUrl, extendMinutes, disabled, password, rules, redirect options, title, notes, tags or fallbackUrl' });
+    }
+    const meta = normalizeLinkMeta({ title, notes, tags });
+    if (extendMinutes !== undefined && (!Number.isInteger(Number(extendMinutes)) || Number(extendMinutes) <= 0)) {
+      return res.status(400).json({ error: 'extendMinutes must be a positive integer (minutes)' });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be a boolean' });
+    }
+
+    const doc = await ShortUrl.findOne({ shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } });
+    if (!doc) return res.status(404).json({ error: 'shortcode not found' });
+
+    // new destinations, and links being re-enabled, must pass the current destination policy
+    if (originalUrl !== undefined || disabled === false) {
+      await checkDestination(originalUrl !== undefined ? originalUrl : doc.originalUrl, { requestHost: req.get('host') });
+    }
+
+    const now = new Date();
+    if (originalUrl !== undefined && originalUrl !== doc.originalUrl) {
+      doc.originalUrl = originalUrl;
+      // the old destination's health says nothing about the new one; check it on the next run
+      doc.health = { status: 'unknown' };
+      doc.healthCheckDueAt = null;
+    }
+    if (extendMinutes !== undefined) {
+      const from = doc.expiryAt > now ? doc.expiryAt : now;
+      doc.expiryAt = new Date(from.getTime() + Number(extendMinutes) * 60000);
+      doc.validityMinutes = Math.round((doc.expiryAt.getTime() - doc.createdAt.getTime()) / 60000);
+      // a renewed link reports its next expiry again
+      doc.expiryNotifiedAt = null;
+    }
+    if (disabled !== undefined) {
+      doc.status = disabled ? 'disabled' : 'active';
+      doc.disabledReason = null;
+    }
+    if (password !== undefined) {
+      doc.passwordHash = password === null ? null : await hashLinkPassword(password);
+      doc.failedUnlockAttempts = 0;
+    }
+    if (rules !== undefined) doc.rules = await validateRules(rules, req);
+    if (fallbackUrl !== undefined) doc.fallbackUrl = await validateFallbackUrl(fallbackUrl, req);
+    Object.assign(doc, meta);
+    if (queryMode !== undefined || utm !== undefined || redirectStatus !== undefined) {
+      Object.assign(doc, normalizeRedirectOptions({
+        queryMode: queryMode !== undefined ? queryMode : doc.queryMode,
+        utm: utm !== undefined ? utm : doc.utm,
+        redirectStatus: redirectStatus !== undefined ? redirectStatus : doc.redirectStatus
+      }));
+    }
+    doc.updatedAt = now;
+    await doc.save();
+    await invalidateLink(sc, domain);
+
+    logger.info('Shortlink updated', { package: 'handler', shortcode: sc, domain, originalUrl: doc.originalUrl, expiryAt: doc.expiryAt.toISOString(), status: doc.status });
+    // field names only: the values of passwords and rules stay out of the event
+    const changed = Object.entries({ originalUrl, extendMinutes, disabled, password, rules, queryMode, utm, redirectStatus, title, notes, tags, fallbackUrl })
+      .filter(([, v]) => v !== undefined)
+      .map(([k]) => k);
+    emitWebhookEvent('link.updated', req.user._id, {
+      ...linkEventData(doc),
+      status: doc.status,
+      title: doc.title || null,
+      tags: doc.tags || [],
+      changed,
+      updatedAt: now.toISOString()
+    });
+
+    return res.json({
+      shortcode: sc,
+      domain,
+      shortLink: `${linkBase(req, domain)}/${sc}`,
+      originalUrl: doc.originalUrl,
+      title: doc.title || null,
+      notes: doc.notes || null,
+      tags: doc.tags || [],
+      status: doc.status,
+      disabledReason: doc.disabledReason || null,
+      passwordProtected: !!doc.passwordHash,
+      rules: doc.rules || [],
+      queryMode: doc.queryMode,
+      utm: doc.utm,
+      redirectStatus: doc.redirectStatus,
+      fallbackUrl: doc.fallbackUrl || null,
+      health: healthResponse(doc),
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+      expiryAt: doc.expiryAt,
+      clicksTotal: doc.clicksCount
+    });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    logger.error('update shorturl error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /shorturls/:shortcode/check -> check the destination now and return the link's health
+ * The result is stored like a scheduled check, so it also counts towards flagging the link down.
+ */
+app.post('/shorturls/:shortcode/check', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const sc = req.params.shortcode;
+    const domain = requestedDomain(req);
+    const doc = await ShortUrl.findOne(
+      { shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } },
+      { shortcode: 1, domain: 1, originalUrl: 1, health: 1 }
+    ).lean();
+    if (!doc) return res.status(404).json({ error: 'shortcode not found' });
+
+    const health = await checkLink(doc);
+    // the destination was edited while the check ran
+    if (!health) return res.status(409).json({ error: 'destination changed during the check, try again' });
+    return res.json({ shortcode: sc, domain, originalUrl: doc.originalUrl, health: healthResponse({ health }) });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('link check error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /shorturls/:shortcode -> soft-delete a link
+ * The document is kept as a tombstone so the code is not reissued and the redirect answers 410.
+ */
+app.delete('/shorturls/:shortcode', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const sc = req.params.shortcode;
+    const domain = requestedDomain(req);
+    const now = new Date();
+    const result = await ShortUrl.updateOne(
+      { shortcode: sc, domain, owner: req.user._id, status: { $ne: 'deleted' } },
+      { $set: { status: 'deleted', deletedAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ error: 'shortcode not found' });
+    await invalidateLink(sc, domain);
+
+    logger.info('Shortlink deleted', { package: 'handler', shortcode: sc, domain });
+    return res.status(204).end();
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('delete shorturl error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /shorturls -> the caller's links, one page at a time: { items, nextCursor }
+ * Query: q (search), tag, status (all|active|expired|disabled), from/to (created), clicksMin/clicksMax,
+ * sort (created|clicks|expiry), order (asc|desc), limit, cursor (nextCursor of the previous page).
  */
-app.get('/shorturls', async (req, res) => {
+app.get('/shorturls', requireAuth, rateLimit('stats'), async (req, res) => {
   try {
-    const docs = await ShortUrl.find({}).sort({ createdAt: -1 }).limit(100).lean();
-    const base = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
-    const out = docs.map(d => ({
+    const { filter, sort, limit, cursorKey } = parseListQuery(req.query, req.user._id);
+    // one extra document tells whether another page exists
+    const docs = await ShortUrl.find(filter).sort(sort).limit(limit + 1).lean();
+    const page = docs.slice(0, limit);
+    const now = new Date();
+    const items = page.map(d => ({
       shortcode: d.shortcode,
-      shortLink: `${base}/${d.shortcode}`,
+      domain: d.domain || null,
+      shortLink: `${linkBase(req, d.domain)}/${d.shortcode}`,
       originalUrl: d.originalUrl,
+      title: d.title || null,
+      tags: d.tags || [],
+      status: d.status === 'active' && d.expiryAt <= now ? 'expired' : d.status || 'active',
+      health: healthResponse(d),
       createdAt: d.createdAt,
       expiryAt: d.expiryAt,
       clicksTotal: d.clicksCount
     }));
-    return res.json(out);
+    const nextCursor = docs.length > limit ? encodeCursor(page[page.length - 1], cursorKey) : null;
+    return res.json({ items, nextCursor });
   } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
     logger.error('list shorturls error', { package: 'handler', error: err?.message || String(err) });
     return res.status(500).json({ error: 'internal server error' });
   }
 });
 
+/**
+ * GET /tags -> the caller's tags with link counts, most used first
+ */
+app.get('/tags', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const tags = await ShortUrl.aggregate([
+      { $match: { owner: req.user._id, status: { $ne: 'deleted' } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 200 }
+    ]);
+    return res.json(tags.map(t => ({ tag: t._id, count: t.count })));
+  } catch (err) {
+    logger.error('list tags error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+function exportFilename(kind) {
+  return `${kind}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Once streaming has started the status is sent; a failure can only cut the download short
+function exportFailed(res, err, what) {
+  logger.error(`export ${what} error`, { package: 'handler', error: err?.message || String(err) });
+  if (res.headersSent) return res.destroy();
+  res.removeHeader('Content-Disposition');
+  if (err && err.status) return res.status(err.status).json({ error: err.message });
+  return res.status(500).json({ error: 'internal server error' });
+}
+
+/**
+ * GET /export/links -> download the caller's links
+ * Query: format (csv|ndjson|json, default csv), from/to (created), tag. Streamed from a cursor.
+ */
+app.get('/export/links', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const options = { owner: req.user._id, ...parseExportQuery(req.query) };
+    const records = linkRecords(options, d => `${linkBase(req, d.domain)}/${d.shortcode}`);
+    const count = await streamExport(res, records, { format: options.format, columns: LINK_COLUMNS, filename: exportFilename('links') });
+    logger.info('Links exported', { package: 'handler', format: options.format, count });
+  } catch (err) {
+    return exportFailed(res, err, 'links');
+  }
+});
+
+/**
+ * GET /export/clicks -> download the raw clicks of the caller's links
+ * Query: format, from/to (click time), tag (of the links), shortcode (+ domain) for a single link,
+ * view=daily for per-day totals that include the days already rolled up.
+ */
+app.get('/export/clicks', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const options = { owner: req.user._id, ...parseExportQuery(req.query) };
+    if (req.query.shortcode) {
+      options.shortcode = String(req.query.shortcode);
+      options.domain = requestedDomain(req);
+    }
+    const daily = options.view === 'daily';
+    const records = daily ? dailyClickRecords(options) : clickRecords(options);
+    const count = await streamExport(res, records, {
+      format: options.format,
+      columns: daily ? DAILY_CLICK_COLUMNS : CLICK_COLUMNS,
+      filename: exportFilename(daily ? 'clicks-daily' : 'clicks')
+    });
+    logger.info('Clicks exported', { package: 'handler', format: options.format, view: options.view, count });
+  } catch (err) {
+    return exportFailed(res, err, 'clicks');
+  }
+});
+
+const MAX_IMPORT_ROWS = Number(process.env.MAX_IMPORT_ROWS) || 5000;
+// imported links without an expiry get this validity (default one year); other shorteners rarely expire links
+const IMPORT_DEFAULT_VALIDITY_MINUTES = Number(process.env.IMPORT_DEFAULT_VALIDITY_MINUTES) || 525600;
+
+// conflict=overwrite: the caller's own live link takes the imported destination and expiry, and every
+// creation field the row carries (descriptive fields, rules, redirect options, fallback, caps); fields
+// the row leaves out keep their values
+async function overwriteImportedLink(shortcode, domain, fields, expiryAt, { dryRun, pending }, req) {
+  const doc = await ShortUrl.findOne({ shortcode, domain, owner: req.user._id, status: { $ne: 'deleted' } });
+  // in a dry run, a code imported by an earlier row of the same file is not in the database yet
+  if (!doc && !(dryRun && pending)) throw { status: 409, message: 'shortcode is taken by a link that cannot be overwritten' };
+  await checkDestination(fields.url, { requestHost: req.get('host') });
+  const updates = normalizeLinkMeta({ title: fields.title, notes: fields.notes, tags: fields.tags });
+  if (fields.rules !== undefined) updates.rules = await validateRules(fields.rules, req);
+  if (fields.fallbackUrl !== undefined) updates.fallbackUrl = await validateFallbackUrl(fields.fallbackUrl, req);
+  const limits = parseUsageLimits({ maxClicks: fields.maxClicks, notBefore: fields.notBefore }, expiryAt);
+  if (fields.maxClicks !== undefined) updates.maxClicks = limits.maxClicks;
+  if (fields.notBefore !== undefined) updates.notBefore = limits.notBefore;
+  const redirectFields = ['queryMode', 'utm', 'redirectStatus'].filter(k => fields[k] !== undefined);
+  if (redirectFields.length) {
+    const redirectOptions = normalizeRedirectOptions({
+      queryMode: fields.queryMode !== undefined ? fields.queryMode : doc?.queryMode,
+      utm: fields.utm !== undefined ? fields.utm : doc?.utm,
+      redirectStatus: fields.redirectStatus !== undefined ? fields.redirectStatus : doc?.redirectStatus
+    });
+    for (const k of redirectFields) updates[k] = redirectOptions[k];
+  }
+  if (dryRun) return;
+
+  if (doc.originalUrl !== fields.url) {
+    doc.health = { status: 'unknown' };
+    doc.healthCheckDueAt = null;
+  }
+  doc.originalUrl = fields.url;
+  Object.assign(doc, updates);
+  doc.expiryAt = expiryAt;
+  doc.validityMinutes = Math.round((expiryAt.getTime() - doc.createdAt.getTime()) / 60000);
+  doc.expiryNotifiedAt = null;
+  doc.updatedAt = new Date();
+  await doc.save();
+  await invalidateLink(shortcode, domain);
+  emitWebhookEvent('link.updated', req.user._id, {
+    ...linkEventData(doc),
+    status: doc.status,
+    title: doc.title || null,
+    tags: doc.tags || [],
+    changed: ['originalUrl', 'expiryAt', ...Object.keys(updates)],
+    updatedAt: doc.updatedAt.toISOString()
+  });
+}
+
+/**
+ * Import one record and describe the outcome for the report:
+ * { row, url, shortcode, action: created | updated | renamed | skipped | failed, ... }.
+ * `seen` holds the codes of earlier rows, so duplicates within a file follow the conflict policy too.
+ */
+async function importRecord(raw, index, { dryRun, conflict, seen }, req) {
+  const row = index + 1;
+  let url = typeof raw?.url === 'string' ? raw.url : null;
+  try {
+    const { fields, createdAt, expiryAt: importedExpiry } = normalizeImportRow(raw);
+    url = fields.url;
+    const minutes = fields.validity !== undefined ? Number(fields.validity) : IMPORT_DEFAULT_VALIDITY_MINUTES;
+    if (!Number.isInteger(minutes) || minutes <= 0) throw { status: 400, message: 'validity must be a positive integer (minutes)' };
+    const expiryAt = importedExpiry || new Date(Date.now() + minutes * 60000);
+    if (expiryAt <= new Date()) throw { status: 400, message: 'link has already expired' };
+    if (createdAt && createdAt >= expiryAt) throw { status: 400, message: 'createdAt must be before expiryAt' };
+
+    const domain = await ownedDomain(fields.domain, req);
+    const code = fields.shortcode ? normalizeShortcode(fields.shortcode) : null;
+    if (fields.shortcode && !code) throw { status: 400, message: 'invalid shortcode — only A-Z a-z 0-9 _ - allowed, length 3..30' };
+    const key = `${domain || ''}/${code}`;
+    const options = { createdAt, expiryAt, dryRun };
+
+    if (code && (seen.has(key) || await shortcodeTaken(code, domain))) {
+      if (conflict === 'skip') return { row, url, shortcode: code, domain, action: 'skipped', error: 'shortcode already exists' };
+      if (conflict === 'overwrite') {
+        await overwriteImportedLink(code, domain, fields, expiryAt, { dryRun, pending: seen.has(key) }, req);
+        return { row, url, shortcode: code, domain, shortLink: `${linkBase(req, domain)}/${code}`, action: 'updated' };
+      }
+      const renamed = await createShortUrl(pickCreateFields({ ...fields, shortcode: undefined }), req, options);
+      seen.add(`${domain || ''}/${renamed.shortcode}`);
+      return { row, url, shortcode: renamed.shortcode, requestedShortcode: code, domain, shortLink: renamed.shortLink, action: 'renamed' };
+    }
+
+    const created = await createShortUrl(pickCreateFields({ ...fields, shortcode: code || undefined }), req, options);
+    seen.add(`${domain || ''}/${created.shortcode}`);
+    return { row, url, shortcode: created.shortcode, domain, shortLink: created.shortLink, action: 'created' };
+  } catch (err) {
+    if (!err || !err.status) {
+      logger.error('import row error', { package: 'handler', row, error: err?.message || String(err) });
+    }
+    return { row, url, action: 'failed', status: err?.status || 500, code: err?.code, error: err?.status ? err.message : 'internal server error' };
+  }
+}
+
+/**
+ * POST /import/links -> create links from another system's data
+ * Body: CSV with a header row (this app's export or batch columns, Bitly's export, ...), NDJSON,
+ * or a JSON array. Query: dryRun=true validates and reports without writing; conflict
+ * (skip|overwrite|rename, default skip) decides what happens to shortcodes that are taken.
+ * Answers with a per-row report; rows are processed in order.
+ */
+app.post('/import/links',
+  requireAuth,
+  bodyParser.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson'], limit: '5mb' }),
+  rateLimit('bulk', { cost: batchSize }),
+  async (req, res) => {
+    try {
+      const { dryRun, conflict } = parseImportOptions(req.query);
+      const records = parseImportBody(req.body);
+      if (records.length === 0) return res.status(400).json({ error: 'nothing to import' });
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `an import may contain at most ${MAX_IMPORT_ROWS} rows` });
+      }
+
+      const seen = new Set();
+      const rows = [];
+      for (let i = 0; i < records.length; i++) {
+        rows.push(await importRecord(records[i], i, { dryRun, conflict, seen }, req));
+      }
+      const counts = { created: 0, updated: 0, renamed: 0, skipped: 0, failed: 0 };
+      for (const r of rows) counts[r.action]++;
+
+      logger.info(dryRun ? 'Link import checked (dry run)' : 'Links imported', { package: 'handler', total: rows.length, conflict, ...counts });
+      return res.json({ dryRun, conflict, total: rows.length, ...counts, rows });
+    } catch (err) {
+      if (err && err.status) return res.status(err.status).json({ error: err.message });
+      logger.error('import links error', { package: 'handler', error: err?.message || String(err) });
+      return res.status(500).json({ error: 'internal server error' });
+    }
+  }
+);
+
+function domainResponse(d) {
+  return {
+    hostname: d.hostname,
+    verified: !!d.verifiedAt,
+    verifiedAt: d.verifiedAt || null,
+    lastCheckedAt: d.lastCheckedAt || null,
+    createdAt: d.createdAt,
+    verification: verificationRecord(d)
+  };
+}
+
+/**
+ * POST /domains -> register a branded domain
+ * Body: { hostname }. The domain serves links only after its DNS TXT record is verified.
+ */
+app.post('/domains', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const hostname = normalizeHostname(req.body?.hostname);
+    if (!hostname) return res.status(400).json({ error: 'hostname must be a valid domain name' });
+
+    const existing = await Domain.findOne({ hostname }).lean();
+    if (existing) return res.status(409).json({ error: 'domain already registered' });
+
+    const doc = await Domain.create({ hostname, owner: req.user._id, verificationToken: newVerificationToken() });
+    logger.info('Domain registered', { package: 'domain', hostname, owner: String(req.user._id) });
+    return res.status(201).json(domainResponse(doc));
+  } catch (err) {
+    if (err && err.code === 11000) return res.status(409).json({ error: 'domain already registered' });
+    logger.error('create domain error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /domains -> the caller's domains with their verification records
+ */
+app.get('/domains', requireAuth, async (req, res) => {
+  try {
+    const docs = await Domain.find({ owner: req.user._id }).sort({ createdAt: -1 }).lean();
+    return res.json(docs.map(domainResponse));
+  } catch (err) {
+    logger.error('list domains error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /domains/:hostname/verify -> look up the TXT record and mark the domain verified
+ */
+app.post('/domains/:hostname/verify', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const hostname = normalizeHostname(req.params.hostname);
+    const doc = hostname && await Domain.findOne({ hostname, owner: req.user._id });
+    if (!doc) return res.status(404).json({ error: 'domain not found' });
+
+    const ok = await checkDomainOwnership(doc);
+    doc.lastCheckedAt = new Date();
+    if (ok && !doc.verifiedAt) doc.verifiedAt = doc.lastCheckedAt;
+    await doc.save();
+    if (ok) await refreshDomains();
+
+    logger.info(ok ? 'Domain verified' : 'Domain verification failed', { package: 'domain', hostname });
+    if (!ok) {
+      return res.status(422).json({
+        error: 'verification TXT record not found',
+        verification: verificationRecord(doc)
+      });
+    }
+    return res.json(domainResponse(doc));
+  } catch (err) {
+    logger.error('verify domain error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /domains/:hostname -> remove a domain; links on it stop resolving
+ */
+app.delete('/domains/:hostname', requireAuth, async (req, res) => {
+  try {
+    const hostname = normalizeHostname(req.params.hostname);
+    const result = hostname ? await Domain.deleteOne({ hostname, owner: req.user._id }) : { deletedCount: 0 };
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'domain not found' });
+    await refreshDomains();
+
+    logger.info('Domain removed', { package: 'domain', hostname });
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('delete domain error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+function webhookResponse(w) {
+  return {
+    id: w._id,
+    url: w.url,
+    events: w.events,
+    description: w.description || null,
+    active: w.active,
+    consecutiveFailures: w.consecutiveFailures || 0,
+    lastDeliveryAt: w.lastDeliveryAt || null,
+    lastDeliveryStatus: w.lastDeliveryStatus || null,
+    createdAt: w.createdAt,
+    updatedAt: w.updatedAt || null
+  };
+}
+
+function deliveryResponse(d, { detail = false } = {}) {
+  return {
+    id: d._id,
+    event: d.event,
+    eventId: d.eventId,
+    status: d.status,
+    attemptCount: d.attemptCount,
+    nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : null,
+    lastError: d.lastError || null,
+    replayOf: d.replayOf || null,
+    createdAt: d.createdAt,
+    deliveredAt: d.deliveredAt || null,
+    // listed field by field: attempts recorded by older versions also held response bodies
+    ...(detail && { payload: d.payload, attempts: (d.attempts || []).map(a => ({ at: a.at, statusCode: a.statusCode, durationMs: a.durationMs, error: a.error })) })
+  };
+}
+
+async function ownedWebhook(id, req) {
+  const doc = mongoose.isValidObjectId(id) && await WebhookSubscription.findOne({ _id: id, owner: req.user._id }).lean();
+  if (!doc) throw { status: 404, message: 'webhook not found' };
+  return doc;
+}
+
+function normalizeDescription(description) {
+  if (description === undefined || description === null || description === '') return null;
+  if (typeof description !== 'string') throw { status: 400, message: 'description must be a string' };
+  return description.trim().slice(0, 200) || null;
+}
+
+/**
+ * POST /webhooks -> subscribe an endpoint to link events
+ * Body: { url, events?: ['link.created', 'link.clicked', 'link.updated', 'link.expired'] | ['*'], description? }.
+ * The signing secret is returned only here and by POST /webhooks/:id/secret.
+ */
+app.post('/webhooks', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const { url, events, description } = req.body || {};
+    const doc = {
+      owner: req.user._id,
+      url: normalizeWebhookUrl(url),
+      events: normalizeEvents(events),
+      description: normalizeDescription(description),
+      secret: newWebhookSecret()
+    };
+    const count = await WebhookSubscription.countDocuments({ owner: req.user._id });
+    if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return res.status(409).json({ error: `at most ${MAX_SUBSCRIPTIONS_PER_USER} webhooks per account` });
+    }
+
+    const created = await WebhookSubscription.create(doc);
+    invalidateSubscriptions(req.user._id);
+    logger.info('Webhook created', { package: 'handler', webhookId: String(created._id), url: created.url, events: created.events });
+    return res.status(201).json({ ...webhookResponse(created), secret: created.secret });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('create webhook error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * GET /webhooks -> the caller's webhook subscriptions (secrets are never listed)
+ */
+app.get('/webhooks', requireAuth, async (req, res) => {
+  try {
+    const docs = await WebhookSubscription.find({ owner: req.user._id }).sort({ createdAt: -1 }).lean();
+    return res.json(docs.map(webhookResponse));
+  } catch (err) {
+    logger.error('list webhooks error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+app.get('/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    return res.json(webhookResponse(await ownedWebhook(req.params.id, req)));
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('get webhook error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * PATCH /webhooks/:id -> change url, events, description or active
+ * Re-activating a subscription resets its failure counter; queued deliveries are not revived (replay them).
+ */
+app.patch('/webhooks/:id', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const existing = await ownedWebhook(req.params.id, req);
+    const { url, events, description, active } = req.body || {};
+    if ([url, events, description, active].every(v => v === undefined)) {
+      return res.status(400).json({ error: 'nothing to update — provide url, events, description or active' });
+    }
+    if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: 'active must be a boolean' });
+
+    const set = { updatedAt: new Date() };
+    if (url !== undefined) set.url = normalizeWebhookUrl(url);
+    if (events !== undefined) set.events = normalizeEvents(events);
+    if (description !== undefined) set.description = normalizeDescription(description);
+    if (active !== undefined) {
+      set.active = active;
+      if (active && !existing.active) set.consecutiveFailures = 0;
+    }
+    const doc = await WebhookSubscription.findOneAndUpdate({ _id: existing._id }, { $set: set }, { new: true }).lean();
+    invalidateSubscriptions(req.user._id);
+
+    logger.info('Webhook updated', { package: 'handler', webhookId: String(doc._id), url: doc.url, events: doc.events, active: doc.active });
+    return res.json(webhookResponse(doc));
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('update webhook error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /webhooks/:id/secret -> rotate the signing secret; deliveries signed from now on use the new one
+ */
+app.post('/webhooks/:id/secret', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const existing = await ownedWebhook(req.params.id, req);
+    const secret = newWebhookSecret();
+    await WebhookSubscription.updateOne({ _id: existing._id }, { $set: { secret, updatedAt: new Date() } });
+    logger.info('Webhook secret rotated', { package: 'handler', webhookId: String(existing._id) });
+    return res.json({ id: existing._id, secret });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('rotate webhook secret error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id -> remove a subscription with its queued deliveries and history
+ */
+app.delete('/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const existing = await ownedWebhook(req.params.id, req);
+    await WebhookSubscription.deleteOne({ _id: existing._id });
+    await WebhookDelivery.deleteMany({ subscription: existing._id });
+    invalidateSubscriptions(req.user._id);
+
+    logger.info('Webhook removed', { package: 'handler', webhookId: String(existing._id) });
+    return res.status(204).end();
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('delete webhook error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'dead'];
+
+/**
+ * GET /webhooks/:id/deliveries -> delivery history, newest first
+ * Query: status (pending|delivering|succeeded|dead), event, limit (default 25, max 100),
+ * before (a delivery id, for the next page).
+ */
+app.get('/webhooks/:id/deliveries', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    const sub = await ownedWebhook(req.params.id, req);
+    const filter = { subscription: sub._id };
+    if (req.query.status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.event) filter.event = String(req.query.event);
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) return res.status(400).json({ error: 'before must be a delivery id' });
+      filter._id = { $lt: new mongoose.Types.ObjectId(String(req.query.before)) };
+    }
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+    const docs = await WebhookDelivery.find(filter, { payload: 0, attempts: 0 }).sort({ _id: -1 }).limit(limit + 1).lean();
+    const page = docs.slice(0, limit);
+    return res.json({
+      items: page.map(d => deliveryResponse(d)),
+      nextBefore: docs.length > limit ? page[page.length - 1]._id : null
+    });
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('list webhook deliveries error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+async function ownedDelivery(req) {
+  const sub = await ownedWebhook(req.params.id, req);
+  const doc = mongoose.isValidObjectId(req.params.deliveryId) &&
+    await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: sub._id }).lean();
+  if (!doc) throw { status: 404, message: 'delivery not found' };
+  return doc;
+}
+
+/**
+ * GET /webhooks/:id/deliveries/:deliveryId -> one delivery with its payload and every attempt
+ */
+app.get('/webhooks/:id/deliveries/:deliveryId', requireAuth, rateLimit('stats'), async (req, res) => {
+  try {
+    return res.json(deliveryResponse(await ownedDelivery(req), { detail: true }));
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('get webhook delivery error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/replay -> queue the same event again (e.g. a dead-lettered one)
+ */
+app.post('/webhooks/:id/deliveries/:deliveryId/replay', requireAuth, rateLimit('create'), async (req, res) => {
+  try {
+    const delivery = await ownedDelivery(req);
+    const replay = await replayDelivery(delivery);
+    logger.info('Webhook delivery replayed', { package: 'handler', deliveryId: String(delivery._id), replayId: String(replay._id), event: delivery.event });
+    return res.status(202).json(deliveryResponse(replay.toObject()));
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ error: err.message });
+    logger.error('replay webhook delivery error', { package: 'handler', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'internal server error' });
+  }
+});
+
+/**
+ * Decide whether a link may be followed. Returns null when usable, otherwise the { status, body }
+ * to answer with (deleted 410, disabled 403, not yet active 425, expired 410).
+ * Exhaustion of maxClicks is decided atomically in consumeUse, not here.
+ */
+function unavailableLinkResponse(doc, sc) {
+  if (doc.status === 'deleted') {
+    logger.info('redirect_deleted', { package: 'route', shortcode: sc });
+    return { status: 410, body: { error: 'shortcode deleted', status: 'deleted' } };
+  }
+  if (doc.status === 'disabled') {
+    logger.info('redirect_disabled', { package: 'route', shortcode: sc });
+    return { status: 403, body: { error: 'shortcode disabled', status: 'disabled' } };
+  }
+  const now = new Date();
+  if (now > doc.expiryAt) {
+    logger.info('redirect_expired', { package: 'route', shortcode: sc, expiryAt: doc.expiryAt.toISOString() });
+    return { status: 410, body: { error: 'shortcode expired', status: 'expired' } };
+  }
+  if (doc.notBefore && now < doc.notBefore) {
+    logger.info('redirect_not_yet_active', { package: 'route', shortcode: sc, notBefore: doc.notBefore.toISOString() });
+    return {
+      status: 425,
+      body: { error: 'shortcode not yet active', status: 'not_yet_active', activeFrom: doc.notBefore.toISOString() },
+      retryAfter: Math.ceil((doc.notBefore.getTime() - now.getTime()) / 1000)
+    };
+  }
+  return null;
+}
+
+// The first request to reach an expired link reports it, ahead of the periodic notify-expired job
+function reportExpired(doc, unavailable) {
+  if (unavailable.body.status !== 'expired') return;
+  notifyLinkExpired(doc).catch(err =>
+    logger.error('expiry notification failed', { package: 'route', shortcode: doc.shortcode, error: err?.message || String(err) })
+  );
+}
+
+function sendUnavailable(res, unavailable) {
+  if (unavailable.retryAfter) res.set('Retry-After', String(unavailable.retryAfter));
+  return res.status(unavailable.status).json(unavailable.body);
+}
+
+/**
+ * Reserve one use of a capped link. The conditional $inc makes check-and-consume a single
+ * atomic operation, so two concurrent clicks cannot both take the last allowed use.
+ */
+async function consumeUse(doc, sc) {
+  if (!doc.maxClicks) return true;
+  const updated = await ShortUrl.findOneAndUpdate(
+    { shortcode: sc, domain: doc.domain || null, $expr: { $lt: [{ $ifNull: ['$usesCount', 0] }, '$maxClicks'] } },
+    { $inc: { usesCount: 1 } },
+    { projection: { _id: 1 } }
+  ).lean();
+  return !!updated;
+}
+
+/**
+ * Record the click asynchronously and send the redirect: the queue batch-inserts clicks and
+ * batch-increments clicksCount/botClicksCount, so the response does not wait on Mongo.
+ * Usage-capped links first reserve a use; bots and link previews never consume one and are not redirected.
+ * The destination comes from the link's rules (device/country/language/A-B split), else originalUrl,
+ * then gets UTM parameters and the visitor's query string applied per the link's redirect options.
+ */
+async function followLink(req, res, doc, sc, { fromForm = false } = {}) {
+  const clientIp = normalizeIp(req.ip);
+  const userAgent = req.get('User-Agent');
+  const { isBot, ...ua } = parseUserAgent(userAgent);
+
+  if (doc.maxClicks) {
+    if (isBot) {
+      logger.info('redirect_capped_bot_refused', { package: 'route', shortcode: sc });
+      return res.status(403).json({ error: 'usage-limited links are not served to bots or link previews', status: 'bot_refused' });
+    }
+    if (!(await consumeUse(doc, sc))) {
+      logger.info('redirect_exhausted', { package: 'route', shortcode: sc, maxClicks: doc.maxClicks });
+      return res.status(410).json({ error: 'shortcode usage limit reached', status: 'exhausted' });
+    }
+  }
+
+  const geo = lookupGeo(clientIp);
+  const selected = selectDestination(doc, {
+    ...ua,
+    country: geo.country,
+    ip: clientIp,
+    userAgent,
+    acceptLanguage: req.get('Accept-Language'),
+    acceptsLanguages: langs => req.acceptsLanguages(langs)
+  });
+  // cached links carry the monitor's down flag, documents read from Mongo the full health record
+  const destinationDown = doc.destinationDown ?? doc.health?.status === 'down';
+  const useFallback = selected.variant === 'default' && destinationDown && !!doc.fallbackUrl;
+  const url = useFallback ? doc.fallbackUrl : selected.url;
+  const variant = useFallback ? 'fallback' : selected.variant;
+
+  // the QR tag only identifies the click source; it is never forwarded to the destination
+  const search = new URL(req.originalUrl, 'http://localhost').searchParams;
+  const source = search.get(QR_SOURCE_PARAM) === QR_SOURCE_VALUE ? 'qr' : 'link';
+  search.delete(QR_SOURCE_PARAM);
+
+  const clickedAt = new Date();
+  enqueueClick({
+    shortcode: sc,
+    domain: doc.domain || null,
+    clickedAt,
+    referrer: req.get('Referer') || null,
+    ip: clientIp,
+    userAgent,
+    ua,
+    isBot,
+    variant,
+    source,
+    geo
+  });
+
+  const target = buildRedirectUrl(url, search, doc);
+  // after the unlock form, 303 makes the browser GET the destination; a 307/308 would re-POST
+  // the form body, password included, to it
+  const status = fromForm ? 303 : doc.redirectStatus || 302;
+
+  logger.info('redirect', { package: 'route', shortcode: sc, domain: doc.domain || null, to: target, variant, source, status, isBot });
+  // visitor IPs are never sent to webhooks
+  emitWebhookEvent('link.clicked', doc.owner, {
+    ...linkEventData(doc),
+    destination: target,
+    clickedAt: clickedAt.toISOString(),
+    referrer: req.get('Referer') || null,
+    country: geo.country || null,
+    deviceType: ua.deviceType || null,
+    browser: ua.browser || null,
+    os: ua.os || null,
+    isBot,
+    source,
+    variant
+  });
+
+  // keep browsers from caching even 301/308 so later edits and click tracking still apply
+  res.set('Cache-Control', 'private, max-age=0');
+  return res.redirect(status, target);
+}
+
+// Password prompts are HTML for browsers and JSON for API clients
+function sendPasswordPrompt(req, res, status, sc, error) {
+  if (req.accepts(['html', 'json']) === 'html') {
+    const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    return res.status(status).type('html').send(renderUnlockPage({ shortcode: sc, error, search }));
+  }
+  return res.status(status).json({ error: error || 'password required', status: 'password_required' });
+}
+
 /**
  * GET /:shortcode -> redirect
  * NOTE: This route is intentionally placed AFTER the /shorturls routes to avoid collisions.
+ * The Host header picks the branded domain; unknown hosts resolve against the default domain.
  */
-app.get('/:shortcode', async (req, res) => {
+app.get('/:shortcode', redirectMetrics, rateLimit('redirect'), async (req, res) => {
   try {
     const sc = req.params.shortcode;
 
     // protect reserved shortcodes explicitly
-    if (RESERVED_SHORTCODES.has(sc.toLowerCase())) {
+    if (isReservedShortcode(sc)) {
       logger.warn('redirect_attempt_reserved_shortcode', { package: 'route', shortcode: sc });
       return res.status(404).json({ error: 'shortcode not found' });
     }
 
-    const doc = await ShortUrl.findOne({ shortcode: sc });
+    // served from cache when possible; the Mongo lookup only runs on a miss
+    const domain = await resolveRequestDomain(req);
+    const doc = await getLink(sc, domain, () => ShortUrl.findOne({ shortcode: sc, domain }).lean());
     if (!doc) {
-      logger.warn('redirect_not_found', { package: 'route', shortcode: sc });
+      logger.warn('redirect_not_found', { package: 'route', shortcode: sc, domain });
       return res.status(404).json({ error: 'shortcode not found' });
     }
-    const now = new Date();
-    if (now > doc.expiryAt) {
-      logger.info('redirect_expired', { package: 'route', shortcode: sc, expiryAt: doc.expiryAt.toISOString() });
-      return res.status(410).json({ error: 'shortcode expired' });
+    const unavailable = unavailableLinkResponse(doc, sc);
+    if (unavailable) {
+      reportExpired(doc, unavailable);
+      return sendUnavailable(res, unavailable);
     }
 
-    // record click
-    const click = new Click({
-      shortcode: sc,
-      referrer: req.get('Referer') || null,
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
-      geo: { country: null } // optionally enhance via GeoIP
-    });
-    await click.save();
-
-    // atomic increment
-    await ShortUrl.updateOne({ shortcode: sc }, { $inc: { clicksCount: 1 } });
-
-    logger.info('redirect', { package: 'route', shortcode: sc, to: doc.originalUrl });
+    if (doc.passwordProtected) {
+      logger.info('redirect_password_required', { package: 'route', shortcode: sc });
+      return sendPasswordPrompt(req, res, 401, sc, null);
+    }
 
-    return res.redirect(302, doc.originalUrl);
+    return await followLink(req, res, doc, sc);
   } catch (err) {
     logger.error('redirect error', { package: 'route', error: err?.message || String(err) });
     return res.status(500).json({ error: 'internal server error' });
   }
 });
 
+/**
+ * POST /:shortcode/unlock -> check the password of a protected link, then redirect
+ * Accepts a form post from the unlock page or JSON { password }; attempts are throttled per IP per shortcode.
+ */
+app.post('/:shortcode/unlock',
+  redirectMetrics,
+  bodyParser.urlencoded({ extended: false }),
+  rateLimit('unlock', { scope: req => req.params.shortcode }),
+  async (req, res) => {
+    try {
+      const sc = req.params.shortcode;
+      const domain = await resolveRequestDomain(req);
+      const doc = await ShortUrl.findOne({ shortcode: sc, domain }).lean();
+      if (!doc || !doc.passwordHash) return res.status(404).json({ error: 'shortcode not found' });
+
+      const unavailable = unavailableLinkResponse(doc, sc);
+      if (unavailable) {
+        reportExpired(doc, unavailable);
+        return sendUnavailable(res, unavailable);
+      }
+
+      const password = req.body?.password;
+      if (typeof password !== 'string' || !(await verifyPassword(password, doc.passwordHash))) {
+        await ShortUrl.updateOne({ _id: doc._id }, { $inc: { failedUnlockAttempts: 1 } });
+        logger.warn('unlock_failed', { package: 'route', shortcode: sc });
+        return sendPasswordPrompt(req, res, 401, sc, 'Incorrect password');
+      }
+
+      logger.info('unlock_success', { package: 'route', shortcode: sc });
+      return await followLink(req, res, doc, sc, { fromForm: true });
+    } catch (err) {
+      logger.error('unlock error', { package: 'route', error: err?.message || String(err) });
+      return res.status(500).json({ error: 'internal server error' });
+    }
+  }
+);
+
 // global error handler fallback
 app.use((err, req, res, next) => {
   logger.error('Unhandled error', { package: 'handler', error: err?.message || String(err) });
   res.status(500).json({ error: 'internal server error' });
 });
 
-// Graceful shutdown handlers
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received — shutting down', { package: 'system' });
+// Graceful shutdown handlers: persist buffered clicks before the DB connection goes away
+async function shutdown(signal) {
+  logger.info(`${signal} received — shutting down`, { package: 'service' });
+  try { await stopJobs(); } catch (e) { /* ignore */ }
+  try { await stopWebhooks(); } catch (e) { /* ignore */ }
+  try { await stopLinkChecks(); } catch (e) { /* ignore */ }
+  try { await stopClickQueue(); } catch (e) { /* ignore */ }
+  try { await cache.quit(); } catch (e) { /* ignore */ }
   try { await mongoose.disconnect(); } catch (e) { /* ignore */ }
+  try { await closeLogger(); } catch (e) { /* ignore */ }
   process.exit(0);
-});
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received — shutting down', { package: 'system' });
-  try { await mongoose.disconnect(); } catch (e) { /* ignore */ }
-  process.exit(0);
-});
+}
+/**
+ * Connect to MongoDB, start the background workers and listen. Only runs when server.js is the
+ * entry point; tests require the module for `app` without any of it.
+ */
+function startServer() {
+  // DB connection - configure via MONGODB_URI env var
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+
+  mongoose.connect(MONGODB_URI).catch(err => {
+    // log initial connection error (don't throw)
+    logger.error('Initial MongoDB connection failed', { package: 'db', error: err?.message || String(err) });
+  });
+
+  mongoose.connection.on('error', err =>
+    logger.error('MongoDB connection error', { package: 'db', error: err?.message || String(err) })
+  );
+
+  mongoose.connection.once('open', () => {
+    logger.info('MongoDB connected', { package: 'db' });
+    refreshDomains();
+    startJobs();
+    startWebhooks();
+    startLinkChecks();
+  });
+
+  initGeoIp();
+  startClickQueue();
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, () => logger.info(`URL Shortener microservice listening on port ${PORT}`, { package: 'service', port: PORT }));
+}
+
+if (require.main === module) startServer();
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => logger.info(`URL Shortener microservice listening on port ${PORT}`, { package: 'system', port: PORT }));
+module.exports = { app };
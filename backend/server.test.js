@@ -0,0 +1,485 @@
+// server.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const mongoose = require('mongoose');
+
+// no DNS, webhooks or rate limits in route tests; set before the modules read their config
+process.env.DESTINATION_RESOLVE_DNS = 'false';
+process.env.WEBHOOKS_ENABLED = 'false';
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { ShortUrl, ArchivedShortUrl, ApiKey, User, Domain, Click, ClickDaily } = require('./models');
+const { hashPassword, verifyPassword } = require('./auth');
+const { app } = require('./server');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'owner@example.com' };
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+// Requests carrying an API key authenticate as `user`
+function signIn(t) {
+  t.mock.method(ApiKey, 'findOne', () => ({ lean: async () => ({ _id: 'key', user: user._id }) }));
+  t.mock.method(User, 'findById', () => ({ lean: async () => user }));
+  t.mock.method(ApiKey, 'updateOne', async () => ({}));
+}
+
+// An in-memory ShortUrl collection for creation: returns the saved documents
+function mockLinkStore(t, existing = []) {
+  const saved = [];
+  const taken = filter => existing.includes(filter.shortcode) || saved.some(d => d.shortcode === filter.shortcode);
+  t.mock.method(ShortUrl, 'exists', async filter => (taken(filter) ? { _id: 'x' } : null));
+  t.mock.method(ArchivedShortUrl, 'exists', async () => null);
+  t.mock.method(ShortUrl.prototype, 'save', async function save() {
+    saved.push(this.toObject());
+    return this;
+  });
+  return saved;
+}
+
+// The redirect routes read `doc` (lean) for any shortcode; no custom domains are verified.
+// The redirect cache is in memory, so every test serves its own shortcodes.
+function serveLink(t, doc) {
+  t.mock.method(Domain, 'find', () => ({ lean: async () => [] }));
+  return t.mock.method(ShortUrl, 'findOne', () => ({ lean: async () => doc }));
+}
+
+async function api(path, { method = 'GET', body, type = 'application/json', key = 'sk_test', headers: extra = {} } = {}) {
+  const headers = { ...(key && { 'X-API-Key': key }), ...extra };
+  if (body !== undefined) headers['Content-Type'] = type;
+  const res = await fetch(base + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    redirect: 'manual'
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // HTML pages and redirects
+  }
+  return { status: res.status, headers: res.headers, json, text };
+}
+
+test('POST /shorturls rejects a validity that is not a positive integer', async t => {
+  signIn(t);
+  mockLinkStore(t);
+  for (const validity of [-5, 0, 1.5, 'abc']) {
+    const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', validity } });
+    assert.equal(res.status, 400, String(validity));
+    assert.match(res.json.error, /validity/);
+  }
+});
+
+test('POST /shorturls defaults to a 30 minute validity', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t);
+  const before = Date.now();
+  const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', shortcode: 'mylink' } });
+  assert.equal(res.status, 201);
+  assert.equal(res.json.shortcode, 'mylink');
+  const minutes = (new Date(res.json.expiry).getTime() - before) / 60000;
+  assert.ok(minutes > 29.9 && minutes <= 30.1, String(minutes));
+  assert.equal(saved[0].owner.toString(), user._id.toString());
+});
+
+test('POST /shorturls requires an API key', async () => {
+  const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/' }, key: null });
+  assert.equal(res.status, 401);
+});
+
+test('POST /shorturls/batch reports a result per item, in order', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t, ['taken']);
+  const res = await api('/shorturls/batch', {
+    method: 'POST',
+    body: [
+      { url: 'https://example.com/a', shortcode: 'first' },
+      { url: 'not a url' },
+      { url: 'https://example.com/b', shortcode: 'taken' },
+      { url: 'https://example.com/c', shortcode: 'first' },
+      { url: 'https://example.com/d', validity: 60 }
+    ]
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.total, res.json.created, res.json.failed], [5, 2, 3]);
+  assert.deepEqual(res.json.results.map(r => [r.index, r.success, r.status]), [
+    [0, true, undefined], [1, false, 400], [2, false, 409], [3, false, 409], [4, true, undefined]
+  ]);
+  assert.equal(saved.length, 2);
+});
+
+test('POST /shorturls/batch accepts a CSV body', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t);
+  const csv = 'url,validity,shortcode\r\nhttps://example.com/x,10,csv-one\r\nhttps://example.com/y,,csv-two\r\n';
+  const res = await api('/shorturls/batch', { method: 'POST', body: csv, type: 'text/csv' });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.created, 2);
+  assert.deepEqual(saved.map(d => [d.shortcode, d.validityMinutes]), [['csv-one', 10], ['csv-two', 30]]);
+});
+
+test('POST /shorturls/batch rejects empty bodies', async t => {
+  signIn(t);
+  const res = await api('/shorturls/batch', { method: 'POST', body: [] });
+  assert.equal(res.status, 400);
+});
+
+test('an overwriting import applies every creation field the row carries', async t => {
+  signIn(t);
+  const link = new ShortUrl({
+    shortcode: 'promo',
+    domain: null,
+    originalUrl: 'https://example.com/old',
+    createdAt: new Date(),
+    expiryAt: new Date(Date.now() + 3600000),
+    owner: user._id,
+    title: 'Old title',
+    redirectStatus: 302,
+    queryMode: 'merge',
+    maxClicks: 5
+  });
+  t.mock.method(ShortUrl, 'exists', async () => ({ _id: link._id }));
+  t.mock.method(ArchivedShortUrl, 'exists', async () => null);
+  t.mock.method(ShortUrl, 'findOne', async () => link);
+  const save = t.mock.method(link, 'save', async () => link);
+
+  const row = {
+    url: 'https://example.com/new',
+    shortcode: 'promo',
+    rules: [{ name: 'ios', when: { os: 'iOS' }, url: 'https://example.com/ios' }],
+    utm: { source: 'import' },
+    redirectStatus: 301,
+    fallbackUrl: 'https://example.com/down',
+    notBefore: new Date(Date.now() + 60000).toISOString()
+  };
+  const res = await api('/import/links?conflict=overwrite', { method: 'POST', body: [row] });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.rows[0].action, 'updated');
+  assert.equal(save.mock.calls.length, 1);
+
+  assert.equal(link.originalUrl, 'https://example.com/new');
+  assert.deepEqual(link.rules.map(r => [r.name, r.url]), [['ios', 'https://example.com/ios']]);
+  assert.equal(link.utm.source, 'import');
+  assert.equal(link.redirectStatus, 301);
+  assert.equal(link.fallbackUrl, 'https://example.com/down');
+  assert.equal(link.notBefore.toISOString(), row.notBefore);
+  // left out of the row: kept
+  assert.equal(link.title, 'Old title');
+  assert.equal(link.queryMode, 'merge');
+  assert.equal(link.maxClicks, 5);
+});
+
+test('an overwriting dry run reports invalid fields without saving', async t => {
+  signIn(t);
+  const link = new ShortUrl({ shortcode: 'promo', originalUrl: 'https://example.com/old', createdAt: new Date(), expiryAt: new Date(Date.now() + 3600000), owner: user._id });
+  t.mock.method(ShortUrl, 'exists', async () => ({ _id: link._id }));
+  t.mock.method(ArchivedShortUrl, 'exists', async () => null);
+  t.mock.method(ShortUrl, 'findOne', async () => link);
+  const save = t.mock.method(link, 'save', async () => link);
+
+  const res = await api('/import/links?conflict=overwrite&dryRun=true', {
+    method: 'POST',
+    body: [{ url: 'https://example.com/new', shortcode: 'promo', redirectStatus: 303 }]
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.rows[0].action, 'failed');
+  assert.match(res.json.rows[0].error, /redirectStatus/);
+  assert.equal(save.mock.calls.length, 0);
+});
+
+test('POST /auth/register creates the account and returns its first API key', async t => {
+  t.mock.method(User, 'findOne', () => ({ lean: async () => null }));
+  const users = t.mock.method(User.prototype, 'save', async function save() { return this; });
+  const keys = t.mock.method(ApiKey.prototype, 'save', async function save() { return this; });
+
+  const res = await api('/auth/register', { method: 'POST', body: { email: 'New@Example.com', password: 'long enough' }, key: null });
+  assert.equal(res.status, 201);
+  assert.equal(res.json.user.email, 'new@example.com');
+  assert.match(res.json.apiKey, /^sk_/);
+  // only the hash of the key is stored
+  const stored = keys.mock.calls[0].this;
+  assert.notEqual(stored.keyHash, res.json.apiKey);
+  assert.equal(String(stored.user), String(users.mock.calls[0].this._id));
+
+  const short = await api('/auth/register', { method: 'POST', body: { email: 'a@example.com', password: 'short' }, key: null });
+  assert.equal(short.status, 400);
+});
+
+test('POST /auth/login rejects a wrong password', async t => {
+  const passwordHash = await hashPassword('right password');
+  t.mock.method(User, 'findOne', () => ({ lean: async () => ({ ...user, passwordHash }) }));
+  t.mock.method(ApiKey.prototype, 'save', async function save() { return this; });
+
+  const wrong = await api('/auth/login', { method: 'POST', body: { email: user.email, password: 'wrong password' }, key: null });
+  assert.equal(wrong.status, 401);
+  const right = await api('/auth/login', { method: 'POST', body: { email: user.email, password: 'right password' }, key: null });
+  assert.equal(right.status, 200);
+  assert.match(right.json.apiKey, /^sk_/);
+});
+
+test('DELETE /auth/keys/:id only revokes keys of the caller', async t => {
+  signIn(t);
+  const keyId = new mongoose.Types.ObjectId().toString();
+  const revoke = t.mock.method(ApiKey, 'updateOne', async filter => ({ matchedCount: filter._id === keyId ? 1 : 0 }));
+
+  assert.equal((await api(`/auth/keys/${keyId}`, { method: 'DELETE' })).status, 204);
+  const [filter, update] = revoke.mock.calls.find(c => c.arguments[1].$set.revokedAt).arguments;
+  assert.deepEqual(filter, { _id: keyId, user: user._id, revokedAt: null });
+  assert.ok(update.$set.revokedAt instanceof Date);
+  assert.equal((await api(`/auth/keys/${new mongoose.Types.ObjectId()}`, { method: 'DELETE' })).status, 404);
+});
+
+test('link routes only see links owned by the caller', async t => {
+  signIn(t);
+  const findOne = t.mock.method(ShortUrl, 'findOne', () => ({ lean: async () => null }));
+  const res = await api('/shorturls/someone-elses');
+  assert.equal(res.status, 404);
+  assert.equal(findOne.mock.calls[0].arguments[0].owner, user._id);
+});
+
+function ownedLink(fields) {
+  const createdAt = new Date(Date.now() - 3600000);
+  return new ShortUrl({ domain: null, originalUrl: 'https://example.com/', createdAt, expiryAt: new Date(Date.now() + 600000), owner: user._id, ...fields });
+}
+
+test('PATCH /shorturls/:shortcode extends the expiry and disables the link', async t => {
+  signIn(t);
+  const link = ownedLink({ shortcode: 'edit-me' });
+  const expiry = link.expiryAt.getTime();
+  const findOne = t.mock.method(ShortUrl, 'findOne', async () => link);
+  t.mock.method(link, 'save', async () => link);
+
+  const res = await api('/shorturls/edit-me', { method: 'PATCH', body: { extendMinutes: 60, disabled: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.status, 'disabled');
+  assert.equal(new Date(res.json.expiryAt).getTime(), expiry + 3600000);
+  assert.equal(findOne.mock.calls[0].arguments[0].owner, user._id);
+
+  assert.equal((await api('/shorturls/edit-me', { method: 'PATCH', body: {} })).status, 400);
+  assert.equal((await api('/shorturls/edit-me', { method: 'PATCH', body: { extendMinutes: -1 } })).status, 400);
+});
+
+test('PATCH /shorturls/:shortcode checks a new destination against the policy', async t => {
+  signIn(t);
+  const link = ownedLink({ shortcode: 'edit-dest' });
+  t.mock.method(ShortUrl, 'findOne', async () => link);
+  const save = t.mock.method(link, 'save', async () => link);
+
+  const res = await api('/shorturls/edit-dest', { method: 'PATCH', body: { originalUrl: 'http://127.0.0.1/admin' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.json.code, 'DESTINATION_PRIVATE_HOST');
+  assert.equal(save.mock.calls.length, 0);
+});
+
+test('DELETE /shorturls/:shortcode leaves a tombstone that answers 410', async t => {
+  signIn(t);
+  const update = t.mock.method(ShortUrl, 'updateOne', async () => ({ matchedCount: 1 }));
+  assert.equal((await api('/shorturls/gone', { method: 'DELETE' })).status, 204);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(filter.owner, user._id);
+  assert.equal(change.$set.status, 'deleted');
+
+  serveLink(t, { ...ownedLink({ shortcode: 'gone' }).toObject(), status: 'deleted' });
+  const redirect = await api('/gone', { key: null });
+  assert.equal(redirect.status, 410);
+  assert.equal(redirect.json.status, 'deleted');
+
+  update.mock.mockImplementation(async () => ({ matchedCount: 0 }));
+  assert.equal((await api('/shorturls/not-mine', { method: 'DELETE' })).status, 404);
+});
+
+test('disabled links answer 403 instead of redirecting', async t => {
+  serveLink(t, { ...ownedLink({ shortcode: 'switched-off' }).toObject(), status: 'disabled' });
+  const res = await api('/switched-off', { key: null });
+  assert.equal(res.status, 403);
+  assert.equal(res.json.status, 'disabled');
+});
+
+test('GET /shorturls/:shortcode/analytics validates the query for owned links', async t => {
+  signIn(t);
+  const findOne = t.mock.method(ShortUrl, 'findOne', () => ({ lean: async () => ownedLink({ shortcode: 'stats' }).toObject() }));
+  const res = await api('/shorturls/stats/analytics?interval=month');
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /interval/);
+  assert.equal(findOne.mock.calls[0].arguments[0].owner, user._id);
+
+  findOne.mock.mockImplementation(() => ({ lean: async () => null }));
+  assert.equal((await api('/shorturls/stats/analytics')).status, 404);
+});
+
+test('GET /shorturls/:shortcode leaves bot clicks out unless includeBots is set', async t => {
+  signIn(t);
+  t.mock.method(ShortUrl, 'findOne', () => ({ lean: async () => ownedLink({ shortcode: 'bots' }).toObject() }));
+  const chain = { sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => [] };
+  const find = t.mock.method(Click, 'find', () => chain);
+  t.mock.method(Click, 'countDocuments', async () => 0);
+  t.mock.method(Click, 'aggregate', async () => []);
+  t.mock.method(ClickDaily, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+
+  assert.equal((await api('/shorturls/bots')).status, 200);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { shortcode: 'bots', domain: null, isBot: { $ne: true } });
+  assert.equal((await api('/shorturls/bots?includeBots=true')).status, 200);
+  assert.deepEqual(find.mock.calls[1].arguments[0], { shortcode: 'bots', domain: null });
+});
+
+test('POST /shorturls stores only a hash of the link password', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t);
+  const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', shortcode: 'secret', password: 'open sesame' } });
+  assert.equal(res.status, 201);
+  assert.notEqual(saved[0].passwordHash, 'open sesame');
+  assert.equal(await verifyPassword('open sesame', saved[0].passwordHash), true);
+
+  const short = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', password: 'abc' } });
+  assert.equal(short.status, 400);
+});
+
+test('protected links ask for the password instead of redirecting', async t => {
+  const link = { ...ownedLink({ shortcode: 'locked' }).toObject(), passwordHash: await hashPassword('open sesame') };
+  serveLink(t, link);
+  const html = await api('/locked', { key: null, headers: { Accept: 'text/html' } });
+  assert.equal(html.status, 401);
+  assert.match(html.headers.get('content-type'), /html/);
+  assert.match(html.text, /<form[^>]+action="\/locked\/unlock"/);
+
+  const json = await api('/locked', { key: null, headers: { Accept: 'application/json' } });
+  assert.equal(json.status, 401);
+  assert.equal(json.json.status, 'password_required');
+});
+
+test('POST /:shortcode/unlock counts failures and redirects with 303 on success', async t => {
+  const link = { ...ownedLink({ shortcode: 'unlock-me', originalUrl: 'https://example.com/private' }).toObject(), passwordHash: await hashPassword('open sesame') };
+  serveLink(t, link);
+  const failures = t.mock.method(ShortUrl, 'updateOne', async () => ({}));
+
+  const wrong = await api('/unlock-me/unlock', { method: 'POST', body: { password: 'guess' }, key: null, headers: { Accept: 'application/json' } });
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(failures.mock.calls[0].arguments, [{ _id: link._id }, { $inc: { failedUnlockAttempts: 1 } }]);
+
+  const form = await api('/unlock-me/unlock', { method: 'POST', body: 'password=open+sesame', type: 'application/x-www-form-urlencoded', key: null });
+  assert.equal(form.status, 303);
+  assert.equal(form.headers.get('location'), 'https://example.com/private');
+  assert.equal(failures.mock.calls.length, 1);
+});
+
+test('POST /shorturls validates click caps and start times', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t);
+  for (const body of [
+    { maxClicks: 0 },
+    { maxClicks: 2.5 },
+    { notBefore: 'soon' },
+    // the link would expire before it starts
+    { validity: 10, notBefore: new Date(Date.now() + 3600000).toISOString() }
+  ]) {
+    const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', ...body } });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  const notBefore = new Date(Date.now() + 60000).toISOString();
+  const res = await api('/shorturls', { method: 'POST', body: { url: 'https://example.com/', shortcode: 'capped', maxClicks: '3', notBefore } });
+  assert.equal(res.status, 201);
+  assert.equal(saved[0].maxClicks, 3);
+  assert.equal(saved[0].notBefore.toISOString(), notBefore);
+});
+
+test('links answer 425 with Retry-After until their start time', async t => {
+  serveLink(t, ownedLink({ shortcode: 'later', notBefore: new Date(Date.now() + 90000) }).toObject());
+  const res = await api('/later', { key: null });
+  assert.equal(res.status, 425);
+  assert.equal(res.json.status, 'not_yet_active');
+  assert.ok(Math.abs(Number(res.headers.get('retry-after')) - 90) <= 1);
+});
+
+test('capped links consume a use per visit and answer 410 once exhausted', async t => {
+  serveLink(t, ownedLink({ shortcode: 'three-uses', originalUrl: 'https://example.com/offer', maxClicks: 3 }).toObject());
+  let uses = 2;
+  const consume = t.mock.method(ShortUrl, 'findOneAndUpdate', () => ({ lean: async () => (uses < 3 ? (uses++, { _id: 'x' }) : null) }));
+  const browser = { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36' };
+
+  const last = await api('/three-uses', { key: null, headers: browser });
+  assert.equal(last.status, 302);
+  assert.equal(last.headers.get('location'), 'https://example.com/offer');
+  const [filter, update] = consume.mock.calls[0].arguments;
+  assert.deepEqual(filter.$expr, { $lt: [{ $ifNull: ['$usesCount', 0] }, '$maxClicks'] });
+  assert.deepEqual(update, { $inc: { usesCount: 1 } });
+
+  const exhausted = await api('/three-uses', { key: null, headers: browser });
+  assert.equal(exhausted.status, 410);
+  assert.equal(exhausted.json.status, 'exhausted');
+
+  // link previews never use one up
+  const preview = await api('/three-uses', { key: null, headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' } });
+  assert.equal(preview.status, 403);
+  assert.equal(consume.mock.calls.length, 2);
+});
+
+test('the redirect follows the first matching rule', async t => {
+  const rules = [{ name: 'ios', when: { os: ['ios'], deviceType: [], country: [], language: [] }, url: 'https://apps.example.com/ios' }];
+  serveLink(t, ownedLink({ shortcode: 'by-device', originalUrl: 'https://example.com/web', rules }).toObject());
+  const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+  assert.equal((await api('/by-device', { key: null, headers: { 'User-Agent': iphone } })).headers.get('location'), 'https://apps.example.com/ios');
+  assert.equal((await api('/by-device', { key: null, headers: { 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) Firefox/125.0' } })).headers.get('location'), 'https://example.com/web');
+});
+
+test('POST /shorturls holds rule destinations to the destination policy', async t => {
+  signIn(t);
+  const saved = mockLinkStore(t);
+  const res = await api('/shorturls', {
+    method: 'POST',
+    body: { url: 'https://example.com/', rules: [{ when: { country: 'US' }, url: 'http://169.254.169.254/latest' }] }
+  });
+  assert.equal(res.status, 400);
+  assert.equal(saved.length, 0);
+});
+
+test('GET /shorturls/:shortcode/qr renders a tagged QR code for owned links', async t => {
+  signIn(t);
+  const findOne = t.mock.method(ShortUrl, 'findOne', () => ({ lean: async () => ({ _id: 'x' }) }));
+  const res = await api('/shorturls/scan-me/qr?format=svg&download=true');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /image\/svg\+xml/);
+  assert.match(res.headers.get('content-disposition'), /attachment; filename="scan-me-qr\.svg"/);
+  assert.match(res.text, /^<svg/);
+  assert.equal(findOne.mock.calls[0].arguments[0].owner, user._id);
+
+  assert.equal((await api('/shorturls/scan-me/qr?size=10')).status, 400);
+});
+
+test('the QR tag is stripped before the visitor query string is forwarded', async t => {
+  serveLink(t, ownedLink({ shortcode: 'scanned', originalUrl: 'https://example.com/landing', queryMode: 'merge' }).toObject());
+  const res = await api('/scanned?_src=qr&ref=poster', { key: null });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), 'https://example.com/landing?ref=poster');
+});
+
+test('responses echo the caller\'s X-Request-Id, or a new one', async () => {
+  const echoed = await api('/shorturls', { key: null, headers: { 'X-Request-Id': 'frontend-42' } });
+  assert.equal(echoed.headers.get('x-request-id'), 'frontend-42');
+  const fresh = await api('/shorturls', { key: null, headers: { 'X-Request-Id': '<script>' } });
+  assert.match(fresh.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  assert.equal((await api('/shorturls', { key: null, headers: { Origin: 'http://localhost:3000' } })).headers.get('access-control-expose-headers'), 'X-Request-Id');
+});
+
+test('GET /metrics accepts the scrape token as a Bearer token', async t => {
+  process.env.METRICS_TOKEN = 'scrape-secret';
+  t.after(() => delete process.env.METRICS_TOKEN);
+  const apiKeyLookup = t.mock.method(ApiKey, 'findOne', () => ({ lean: async () => null }));
+
+  assert.equal((await api('/metrics', { key: null })).status, 401);
+  const res = await api('/metrics', { key: null, headers: { Authorization: 'Bearer scrape-secret' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  // the scrape token is not an API key
+  assert.equal(apiKeyLookup.mock.calls.length, 0);
+});
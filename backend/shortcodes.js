@@ -0,0 +1,276 @@
+// shortcodes.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { Counter } = require('./models');
+const { logger } = require('./logging');
+
+const DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// characters easily confused with one another when read aloud or printed
+const LOOKALIKES = '0O1lI';
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+// draws per call before a fixed-length strategy gives up
+const MAX_GENERATION_ATTEMPTS = 10;
+
+// path segments used by routes; a shortcode equal to one of them could never be reached
+const ROUTE_WORDS = ['shorturls', 'api', 'admin', 'auth', 'client-logs', 'domains', 'export', 'health', 'import', 'metrics', 'tags', 'webhooks', 'favicon.ico'];
+
+function intFromEnv(name, fallback, min, max) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const n = Number(raw);
+  if (Number.isInteger(n) && n >= min && n <= max) return n;
+  logger.warn(`${name} must be an integer between ${min} and ${max}, using ${fallback}`, { package: 'config', value: raw });
+  return fallback;
+}
+
+function loadAlphabet(env = process.env) {
+  let chars = [...new Set(env.SHORTCODE_ALPHABET || DEFAULT_ALPHABET)];
+  const invalid = chars.filter(c => !/[A-Za-z0-9_-]/.test(c));
+  if (invalid.length) {
+    logger.warn('SHORTCODE_ALPHABET may only use A-Z a-z 0-9 _ -, ignoring the others', { package: 'config', invalid: invalid.join('') });
+    chars = chars.filter(c => !invalid.includes(c));
+  }
+  if (env.SHORTCODE_EXCLUDE_LOOKALIKES === 'true') chars = chars.filter(c => !LOOKALIKES.includes(c));
+  if (chars.length < 2) {
+    logger.warn('SHORTCODE_ALPHABET needs at least 2 usable characters, using the default', { package: 'config' });
+    return DEFAULT_ALPHABET;
+  }
+  return chars.join('');
+}
+
+const ALPHABET = loadAlphabet();
+const LENGTH = intFromEnv('SHORTCODE_LENGTH', 6, MIN_LENGTH, MAX_LENGTH);
+const ADAPTIVE_MAX_LENGTH = Math.max(LENGTH, intFromEnv('SHORTCODE_MAX_LENGTH', 12, MIN_LENGTH, MAX_LENGTH));
+// the adaptive strategy grows once the collision rate over a window of draws exceeds this
+const ADAPTIVE_GROW_THRESHOLD = Number(process.env.SHORTCODE_GROW_THRESHOLD) || 0.05;
+const ADAPTIVE_WINDOW = 200;
+// secret key of the counter strategy's permutation; changing it (or the alphabet) re-maps future codes.
+// Without it anyone who has the source can turn a counter code into its neighbours
+const COUNTER_SALT = process.env.SHORTCODE_COUNTER_SALT || '';
+const FEISTEL_ROUNDS = 10;
+
+// Reserved words: the route names plus RESERVED_SHORTCODES (comma list) and RESERVED_SHORTCODES_FILE
+// (one word per line, # comments). Matching ignores case.
+function loadReservedWords(env = process.env) {
+  const words = [...ROUTE_WORDS, ...(env.RESERVED_SHORTCODES || '').split(',')];
+  if (env.RESERVED_SHORTCODES_FILE) {
+    try {
+      words.push(...fs.readFileSync(env.RESERVED_SHORTCODES_FILE, 'utf8').split(/\r?\n/).map(l => l.replace(/#.*/, '')));
+    } catch (err) {
+      logger.error('could not read RESERVED_SHORTCODES_FILE', { package: 'config', file: env.RESERVED_SHORTCODES_FILE, error: err?.message || String(err) });
+    }
+  }
+  return new Set(words.map(w => w.trim().toLowerCase()).filter(Boolean));
+}
+
+const reservedWords = loadReservedWords();
+
+function isReservedShortcode(code) {
+  return reservedWords.has(String(code).toLowerCase());
+}
+
+function randomString(length, alphabet = ALPHABET) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += alphabet[crypto.randomInt(alphabet.length)];
+  return out;
+}
+
+// --- adaptive: random codes whose length follows the observed collision rate ---
+
+let adaptiveLength = LENGTH;
+let windowDraws = 0;
+let windowCollisions = 0;
+
+function recordAdaptiveDraw(collided) {
+  windowDraws++;
+  if (collided) windowCollisions++;
+  if (windowDraws < ADAPTIVE_WINDOW) return;
+  const rate = windowCollisions / windowDraws;
+  if (rate > ADAPTIVE_GROW_THRESHOLD && adaptiveLength < ADAPTIVE_MAX_LENGTH) {
+    adaptiveLength++;
+    logger.info('shortcode length increased', { package: 'service', length: adaptiveLength, collisionRate: rate });
+  }
+  windowDraws = 0;
+  windowCollisions = 0;
+}
+
+// --- pronounceable and word codes ---
+
+const CONSONANTS = 'bdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+const ADJECTIVES = [
+  'amber', 'azure', 'bold', 'brave', 'bright', 'brisk', 'calm', 'clever', 'cosmic', 'crisp', 'daring', 'eager',
+  'early', 'fancy', 'fast', 'fresh', 'gentle', 'giant', 'glad', 'golden', 'grand', 'happy', 'hidden', 'humble',
+  'jolly', 'keen', 'kind', 'lively', 'lucky', 'lunar', 'merry', 'mighty', 'misty', 'noble', 'quick', 'quiet',
+  'rapid', 'rare', 'ready', 'royal', 'rustic', 'shiny', 'silent', 'silver', 'simple', 'sleek', 'smart', 'snowy',
+  'solar', 'sunny', 'swift', 'tidy', 'tiny', 'vivid', 'warm', 'wild', 'wise', 'witty', 'young', 'zesty'
+];
+const NOUNS = [
+  'acorn', 'anchor', 'badger', 'beacon', 'breeze', 'brook', 'canyon', 'cedar', 'comet', 'coral', 'crane', 'delta',
+  'dune', 'eagle', 'ember', 'falcon', 'fern', 'fjord', 'forest', 'fox', 'garden', 'glacier', 'harbor', 'hawk',
+  'heron', 'island', 'lagoon', 'lantern', 'maple', 'meadow', 'meteor', 'mountain', 'nebula', 'oasis', 'orchid', 'otter',
+  'panda', 'pebble', 'pine', 'planet', 'prairie', 'quartz', 'raven', 'reef', 'river', 'robin', 'sparrow', 'summit',
+  'thunder', 'tiger', 'tulip', 'valley', 'willow', 'wolf', 'zebra', 'birch', 'lotus', 'cobalt', 'pixel', 'rocket'
+];
+
+function pick(list) {
+  return list[crypto.randomInt(list.length)];
+}
+
+// alternating consonant/vowel letters, e.g. "bakotu"
+function pronounceable(length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += i % 2 === 0 ? pick(CONSONANTS) : pick(VOWELS);
+  return out;
+}
+
+// --- counter: a global sequence mapped through a keyed permutation ---
+
+function saltedHash(label) {
+  return BigInt(`0x${crypto.createHash('sha256').update(`${COUNTER_SALT}:${label}`).digest('hex')}`);
+}
+
+// the alphabet in a salt-dependent order, so the same counter gives different codes per deployment
+const COUNTER_ALPHABET = (() => {
+  const chars = [...ALPHABET];
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = Number(saltedHash(`shuffle:${i}`) % BigInt(i + 1));
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+})();
+
+// Feistel round function: keyed, so neighbouring counter values give unrelated codes
+function roundValue(width, round, half, modulus) {
+  const mac = crypto.createHmac('sha256', COUNTER_SALT).update(`${width}:${round}:${half}`).digest('hex');
+  return BigInt(`0x${mac}`) % modulus;
+}
+
+/**
+ * Keyed permutation of [0, base^width): a Feistel network over the two halves of the code's
+ * digits, each round adding the round function of one half to the other (as in NIST FF1).
+ * Every round can be undone, so the whole map is a bijection.
+ */
+function permute(n, width, base) {
+  const u = Math.floor(width / 2);
+  const v = width - u;
+  const [lowU, lowV] = [base ** BigInt(u), base ** BigInt(v)];
+  let a = n / lowV;
+  let b = n % lowV;
+  for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+    // a holds u digits before even rounds and v digits before odd ones
+    const modulus = round % 2 === 0 ? lowU : lowV;
+    [a, b] = [b, (a + roundValue(width, round, b, modulus)) % modulus];
+  }
+  return a * lowV + b;
+}
+
+/**
+ * Encode a counter value as a code of at least LENGTH characters. Each width covers its own
+ * range of values and the mapping within a width is a bijection, so distinct values never share a code.
+ * Codes only look random: without SHORTCODE_COUNTER_SALT they can be reversed, and with it they
+ * still give away roughly how many links exist from their length.
+ */
+function encodeCounter(value) {
+  const n = BigInt(value);
+  const base = BigInt(COUNTER_ALPHABET.length);
+  let width = LENGTH;
+  while (base ** BigInt(width) <= n) width++;
+  let x = permute(n, width, base);
+  let out = '';
+  for (let i = 0; i < width; i++) {
+    out = COUNTER_ALPHABET[Number(x % base)] + out;
+    x /= base;
+  }
+  return out;
+}
+
+async function nextCounterValue() {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const doc = await Counter.findOneAndUpdate({ name: 'shortcode' }, { $inc: { seq: 1 } }, { upsert: true, new: true }).lean();
+      return doc.seq;
+    } catch (err) {
+      // two instances creating the counter document at once; the loser retries the increment
+      if (err?.code !== 11000 || attempt > 0) throw err;
+    }
+  }
+}
+
+/**
+ * Strategies: generate({ attempt }) returns a candidate code; attempt counts earlier collisions
+ * within the same call. record(collided) lets a strategy learn from the outcome.
+ */
+const STRATEGIES = {
+  // crypto-random, fixed length over the configured alphabet
+  random: {
+    generate: () => randomString(LENGTH)
+  },
+  // crypto-random; grows by one character when collisions become frequent, and within a call
+  // every second collision adds a character, so generation does not give up
+  adaptive: {
+    generate: ({ attempt }) => randomString(Math.min(MAX_LENGTH, adaptiveLength + Math.floor(attempt / 2))),
+    record: recordAdaptiveDraw,
+    unbounded: true
+  },
+  // lowercase consonant/vowel codes that are easy to say and type (the alphabet setting does not apply)
+  pronounceable: {
+    generate: ({ attempt }) => pronounceable(Math.min(MAX_LENGTH, LENGTH + Math.floor(attempt / 3)))
+  },
+  // adjective-noun-number, e.g. "brave-otter-42"
+  words: {
+    generate: () => `${pick(ADJECTIVES)}-${pick(NOUNS)}-${crypto.randomInt(10, 100)}`
+  },
+  // never repeats: every code comes from a new value of a global counter (opt-in, see encodeCounter)
+  counter: {
+    generate: async () => encodeCounter(await nextCounterValue()),
+    unbounded: true
+  }
+};
+
+const DEFAULT_STRATEGY = (() => {
+  const name = (process.env.SHORTCODE_STRATEGY || 'random').toLowerCase();
+  if (STRATEGIES[name]) return name;
+  logger.warn(`unknown SHORTCODE_STRATEGY '${name}', using random`, { package: 'config' });
+  return 'random';
+})();
+if (DEFAULT_STRATEGY === 'counter' && !COUNTER_SALT) {
+  logger.warn('SHORTCODE_STRATEGY=counter without SHORTCODE_COUNTER_SALT: codes can be guessed from one another', { package: 'config' });
+}
+
+// The strategy a request asked for (body field shortcodeStrategy), else SHORTCODE_STRATEGY
+function resolveStrategyName(name) {
+  if (name === undefined || name === null || name === '') return DEFAULT_STRATEGY;
+  const key = String(name).trim().toLowerCase();
+  if (!STRATEGIES[key]) throw { status: 400, message: `shortcodeStrategy must be one of ${Object.keys(STRATEGIES).join(', ')}` };
+  return key;
+}
+
+/**
+ * Generate a code that is neither reserved nor taken. `isTaken(code)` checks the database;
+ * `onCollision()` is called for every taken candidate. Throws { status: 503 } when a
+ * fixed-length strategy keeps colliding (its code space is nearly full).
+ */
+async function generateShortcode(strategyName, { isTaken, onCollision = () => {} }) {
+  const strategy = STRATEGIES[resolveStrategyName(strategyName)];
+  const attempts = strategy.unbounded ? MAX_GENERATION_ATTEMPTS * 3 : MAX_GENERATION_ATTEMPTS;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const candidate = await strategy.generate({ attempt });
+    if (isReservedShortcode(candidate)) continue;
+    const taken = await isTaken(candidate);
+    if (strategy.record) strategy.record(taken);
+    if (!taken) return candidate;
+    onCollision();
+  }
+  throw { status: 503, message: 'unable to generate a unique shortcode — try again, or use a longer length or another strategy' };
+}
+
+module.exports = {
+  SHORTCODE_STRATEGIES: Object.keys(STRATEGIES),
+  DEFAULT_STRATEGY,
+  isReservedShortcode,
+  resolveStrategyName,
+  generateShortcode,
+  encodeCounter
+};
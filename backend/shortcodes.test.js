@@ -0,0 +1,60 @@
+// shortcodes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// a tiny code space, so whole widths can be enumerated; set before the module reads its config
+process.env.SHORTCODE_ALPHABET = 'abc';
+process.env.SHORTCODE_LENGTH = '3';
+process.env.SHORTCODE_STRATEGY = 'random';
+process.env.SHORTCODE_COUNTER_SALT = 'test-salt';
+process.env.RESERVED_SHORTCODES = 'Promo, launch';
+
+const { Counter } = require('./models');
+const { isReservedShortcode, resolveStrategyName, generateShortcode, encodeCounter } = require('./shortcodes');
+
+test('counter codes are a bijection within each width', () => {
+  const codes = Array.from({ length: 81 }, (_, i) => encodeCounter(i));
+  assert.equal(new Set(codes).size, 81);
+  assert.ok(codes.slice(0, 27).every(c => /^[abc]{3}$/.test(c)));
+  assert.ok(codes.slice(27).every(c => /^[abc]{4}$/.test(c)));
+});
+
+test('consecutive counter values do not give consecutive codes', () => {
+  const codes = Array.from({ length: 27 }, (_, i) => encodeCounter(i));
+  assert.notDeepEqual(codes, [...codes].sort());
+});
+
+test('route names and configured words are reserved, ignoring case', () => {
+  assert.equal(isReservedShortcode('shorturls'), true);
+  assert.equal(isReservedShortcode('PROMO'), true);
+  assert.equal(isReservedShortcode('launch'), true);
+  assert.equal(isReservedShortcode('abcabc'), false);
+});
+
+test('resolveStrategyName falls back to the default and rejects unknown names', () => {
+  assert.equal(resolveStrategyName(undefined), 'random');
+  assert.equal(resolveStrategyName(' Words '), 'words');
+  assert.throws(() => resolveStrategyName('sequential'), { status: 400 });
+});
+
+test('taken candidates are reported and skipped', async () => {
+  const seen = [];
+  let collisions = 0;
+  const code = await generateShortcode('random', {
+    isTaken: async c => { seen.push(c); return seen.length < 3; },
+    onCollision: () => { collisions++; }
+  });
+  assert.equal(code, seen[2]);
+  assert.equal(collisions, 2);
+});
+
+test('a fixed-length strategy gives up with 503 when every code is taken', async () => {
+  await assert.rejects(generateShortcode('words', { isTaken: async () => true }), { status: 503 });
+});
+
+test('the counter strategy encodes the next counter value', async t => {
+  let seq = 40;
+  t.mock.method(Counter, 'findOneAndUpdate', () => ({ lean: async () => ({ seq: ++seq }) }));
+  const code = await generateShortcode('counter', { isTaken: async () => false });
+  assert.equal(code, encodeCounter(41));
+});
@@ -0,0 +1,40 @@
+// unlockPage.js
+// Minimal self-contained HTML for password-protected links (no scripts, so helmet's default CSP applies).
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// `search` is the visitor's original query string, kept so passthrough still applies after unlocking
+function renderUnlockPage({ shortcode, error = null, search = '' }) {
+  const sc = escapeHtml(shortcode);
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Protected link</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f7fb; display: flex; justify-content: center; padding-top: 12vh; margin: 0; }
+    form { background: #fff; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,.12); padding: 24px; width: 320px; }
+    h1 { font-size: 1.2rem; margin: 0 0 8px; }
+    p { color: #555; font-size: .9rem; }
+    input { width: 100%; box-sizing: border-box; padding: 8px; margin: 8px 0 12px; border: 1px solid #ccc; border-radius: 6px; }
+    button { width: 100%; padding: 10px; border: 0; border-radius: 6px; background: #1976d2; color: #fff; font-weight: 600; cursor: pointer; }
+    .error { color: #d32f2f; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/${encodeURIComponent(shortcode)}/unlock${escapeHtml(search)}">
+    <h1>This link is password protected</h1>
+    <p>Enter the password to continue to /${sc}.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="password" name="password" autocomplete="current-password" autofocus required>
+    <button type="submit">Unlock</button>
+  </form>
+</body>
+</html>`;
+}
+
+module.exports = { renderUnlockPage };
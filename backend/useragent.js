@@ -0,0 +1,35 @@
+// useragent.js
+const UAParser = require('ua-parser-js');
+const { isbot } = require('isbot');
+
+// Extra site-specific crawlers/monitors, e.g. EXTRA_BOT_PATTERNS=internal-healthcheck,acme-monitor
+const EXTRA_BOT_PATTERNS = (process.env.EXTRA_BOT_PATTERNS || '')
+  .split(',')
+  .map(p => p.trim())
+  .filter(Boolean)
+  .map(p => new RegExp(p, 'i'));
+
+function isBotUserAgent(ua) {
+  if (!ua) return false;
+  return isbot(ua) || EXTRA_BOT_PATTERNS.some(re => re.test(ua));
+}
+
+/**
+ * Parse a raw User-Agent into the fields stored on each Click.
+ * Link-preview fetchers (Slack, Twitter, Facebook…), uptime checkers and search bots are flagged via isBot.
+ */
+function parseUserAgent(ua) {
+  const bot = isBotUserAgent(ua);
+  const r = new UAParser(ua || '').getResult();
+  return {
+    browser: r.browser.name || null,
+    browserVersion: r.browser.major || null,
+    os: r.os.name || null,
+    osVersion: r.os.version || null,
+    // ua-parser leaves device.type empty for desktops
+    deviceType: bot ? 'bot' : (r.device.type || (ua ? 'desktop' : null)),
+    isBot: bot
+  };
+}
+
+module.exports = { parseUserAgent, isBotUserAgent };
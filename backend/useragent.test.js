@@ -0,0 +1,47 @@
+// useragent.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUserAgent, isBotUserAgent } = require('./useragent');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+test('parseUserAgent reports browser, OS and device type', () => {
+  assert.deepEqual(parseUserAgent(CHROME_WINDOWS), {
+    browser: 'Chrome',
+    browserVersion: '124',
+    os: 'Windows',
+    osVersion: '10',
+    deviceType: 'desktop',
+    isBot: false
+  });
+  const iphone = parseUserAgent(SAFARI_IPHONE);
+  assert.equal(iphone.browser, 'Mobile Safari');
+  assert.equal(iphone.os, 'iOS');
+  assert.equal(iphone.deviceType, 'mobile');
+});
+
+test('link previews, crawlers and monitors are flagged as bots', () => {
+  for (const ua of [
+    'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+    'Twitterbot/1.0',
+    'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    'curl/8.4.0'
+  ]) {
+    assert.equal(isBotUserAgent(ua), true, ua);
+    assert.equal(parseUserAgent(ua).deviceType, 'bot', ua);
+  }
+  assert.equal(isBotUserAgent(CHROME_WINDOWS), false);
+});
+
+test('a missing User-Agent is neither a bot nor a device', () => {
+  assert.deepEqual(parseUserAgent(undefined), {
+    browser: null,
+    browserVersion: null,
+    os: null,
+    osVersion: null,
+    deviceType: null,
+    isBot: false
+  });
+});
@@ -13,13 +13,66 @@ function normalizeShortcode(code) {
   return cleaned;
 }
 
-function generateShortcode(length = 6) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let out = '';
-  for (let i = 0; i < length; i++) {
-    out += chars.charAt(Math.floor(Math.random() * chars.length));
+// Query-string flags: "true", "1", "yes" (any case) are truthy
+function parseBoolean(v) {
+  if (typeof v === 'boolean') return v;
+  return typeof v === 'string' && ['true', '1', 'yes'].includes(v.trim().toLowerCase());
+}
+
+// Object key for a counted value (rolled-up click breakdowns): keys from user data (variant names)
+// may not contain '.' or start with '$'
+function countKey(value) {
+  return String(value ?? 'unknown').replace(/\./g, '_').replace(/^\$/, '_') || 'unknown';
+}
+
+// Split CSV text into rows of fields; handles quoted fields, escaped quotes and CRLF.
+function splitCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
   }
-  return out;
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Parse CSV text into objects. Uses the header row when present,
+// otherwise assumes the column order url,validity,shortcode.
+// Header names matching one of `knownColumns` case-insensitively are mapped to that spelling.
+function parseCsv(text, knownColumns = []) {
+  const rows = splitCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  const hasHeader = !isValidUrl(rows[0][0]?.trim()) && header.some(h => h.toLowerCase() === 'url');
+  const canonical = new Map(['url', ...knownColumns].map(c => [c.toLowerCase(), c]));
+  const columns = hasHeader
+    ? header.map(h => canonical.get(h.toLowerCase()) || h.toLowerCase())
+    : ['url', 'validity', 'shortcode'];
+  return rows.slice(hasHeader ? 1 : 0).map(r => {
+    const obj = {};
+    columns.forEach((col, idx) => {
+      const value = (r[idx] ?? '').trim();
+      if (col && value !== '') obj[col] = value;
+    });
+    return obj;
+  });
 }
 
-module.exports = { isValidUrl, normalizeShortcode, generateShortcode };
+module.exports = { isValidUrl, normalizeShortcode, splitCsvRows, parseCsv, parseBoolean, countKey };
@@ -0,0 +1,333 @@
+// webhooks.js
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const validator = require('validator');
+const { ShortUrl, WebhookSubscription, WebhookDelivery } = require('./models');
+const { logger } = require('./logging');
+const { isPrivateIp, publicLookup } = require('./destinationPolicy');
+const { recordWebhookDelivery } = require('./metrics');
+
+const WEBHOOK_EVENTS = ['link.created', 'link.clicked', 'link.updated', 'link.expired'];
+
+const WEBHOOKS_ENABLED = process.env.WEBHOOKS_ENABLED !== 'false';
+const WEBHOOK_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000;
+const WEBHOOK_CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY) || 5;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+// after this many failed attempts a delivery is dead-lettered; it can still be replayed
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30000;
+const WEBHOOK_BACKOFF_MAX_MS = Number(process.env.WEBHOOK_BACKOFF_MAX_MS) || 6 * 3600 * 1000;
+// local development: WEBHOOK_ALLOW_PRIVATE_TARGETS=true accepts localhost and private addresses
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+const MAX_SUBSCRIPTIONS_PER_USER = Number(process.env.MAX_WEBHOOKS_PER_USER) || 20;
+// subscriptions are read once per owner per interval, not once per click
+const SUBSCRIPTION_CACHE_MS = 30000;
+// a delivery left in 'delivering' by a crashed instance is claimed again after this
+const DELIVERY_LEASE_MS = WEBHOOK_TIMEOUT_MS * 3;
+const MAX_ATTEMPT_LOG = 20;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const subscriptionCache = new Map();
+let timer = null;
+let polling = null;
+let stopping = false;
+
+/**
+ * Webhook targets must be absolute http(s) URLs on public hosts, since the server posts to them.
+ * Returns the URL; throws { status: 400, message } otherwise. Names are resolved and checked
+ * again on every delivery (see post), since DNS can change after the subscription was saved.
+ */
+function normalizeWebhookUrl(url) {
+  if (typeof url !== 'string' || !validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: !WEBHOOK_ALLOW_PRIVATE_TARGETS })) {
+    throw { status: 400, message: 'url must be an absolute http(s) URL' };
+  }
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const local = host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateIp(host));
+  if (local && !WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+    throw { status: 400, message: 'url must not point at a private, loopback or link-local address' };
+  }
+  return url;
+}
+
+// null while `url` still passes normalizeWebhookUrl, else why it no longer does
+function targetRejection(url) {
+  try {
+    normalizeWebhookUrl(url);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Event types a subscription receives; '*' (the default) stands for all of them
+function normalizeEvents(events) {
+  if (events === undefined || events === null) return ['*'];
+  const list = Array.isArray(events) ? events : String(events).split(',');
+  const out = [...new Set(list.map(e => String(e).trim()).filter(Boolean))];
+  if (out.length === 0) throw { status: 400, message: 'events must name at least one event' };
+  const unknown = out.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw { status: 400, message: `unknown events ${unknown.join(', ')} — use ${WEBHOOK_EVENTS.join(', ')} or *` };
+  return out.includes('*') ? ['*'] : out;
+}
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+ * Receivers recompute the HMAC with their secret and should reject stale timestamps.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function invalidateSubscriptions(owner) {
+  subscriptionCache.delete(String(owner));
+}
+
+async function subscriptionsOf(owner) {
+  const key = String(owner);
+  const hit = subscriptionCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.subs;
+  const subs = await WebhookSubscription.find({ owner, active: true }, { events: 1 }).lean();
+  subscriptionCache.set(key, { subs, expiresAt: Date.now() + SUBSCRIPTION_CACHE_MS });
+  return subs;
+}
+
+async function enqueueEvent(event, owner, data) {
+  const subs = (await subscriptionsOf(owner)).filter(s => s.events.includes('*') || s.events.includes(event));
+  if (subs.length === 0) return 0;
+  const now = new Date();
+  const payload = { id: crypto.randomUUID(), type: event, createdAt: now.toISOString(), data };
+  await WebhookDelivery.insertMany(subs.map(s => ({
+    subscription: s._id,
+    owner,
+    event,
+    eventId: payload.id,
+    payload,
+    nextAttemptAt: now
+  })));
+  if (timer) setImmediate(pollDeliveries);
+  return subs.length;
+}
+
+/**
+ * Queue `event` for every active subscription of `owner` that listens to it.
+ * Never throws and never waits on Mongo, so request handlers can call it inline.
+ */
+function emitWebhookEvent(event, owner, data) {
+  if (!WEBHOOKS_ENABLED || !owner) return;
+  enqueueEvent(event, owner, data).catch(err =>
+    logger.error('webhook event enqueue failed', { package: 'service', event, error: err?.message || String(err) })
+  );
+}
+
+// The link fields every link.* event carries
+function linkEventData(link) {
+  return {
+    shortcode: link.shortcode,
+    domain: link.domain || null,
+    originalUrl: link.originalUrl,
+    expiryAt: link.expiryAt ? new Date(link.expiryAt).toISOString() : null
+  };
+}
+
+/**
+ * Emit link.expired once per expiry: the flag is set atomically, so the redirect route and the
+ * expiry job can both call this for the same link. Resolves to true when the event was emitted.
+ */
+async function notifyLinkExpired(link) {
+  if (!WEBHOOKS_ENABLED) return false;
+  const result = await ShortUrl.updateOne(
+    { shortcode: link.shortcode, domain: link.domain || null, status: { $ne: 'deleted' }, expiryNotifiedAt: null },
+    { $set: { expiryNotifiedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) return false;
+  emitWebhookEvent('link.expired', link.owner, linkEventData(link));
+  return true;
+}
+
+// exponential backoff with jitter: base, 2x base, 4x base, ... capped at WEBHOOK_BACKOFF_MAX_MS
+function backoffDelay(attemptCount) {
+  const delay = Math.min(WEBHOOK_BACKOFF_MAX_MS, WEBHOOK_BACKOFF_BASE_MS * 2 ** Math.max(0, attemptCount - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function claimDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { $or: [{ status: 'pending', nextAttemptAt: { $lte: now } }, { status: 'delivering', lockedUntil: { $lt: now } }] },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + DELIVERY_LEASE_MS), lockedBy: WORKER_ID } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+}
+
+async function post(sub, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  try {
+    const res = await axios.post(sub.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'url-shortener-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        [SIGNATURE_HEADER]: signPayload(sub.secret, body)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: WEBHOOK_ALLOW_PRIVATE_TARGETS ? undefined : publicLookup,
+      // only the status is recorded; response bodies are never read, stored or shown
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+    res.data.destroy();
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      ok,
+      attempt: {
+        at: new Date(started),
+        statusCode: res.status,
+        durationMs: Date.now() - started,
+        error: ok ? null : `HTTP ${res.status}`
+      }
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      attempt: { at: new Date(started), statusCode: null, durationMs: Date.now() - started, error: err?.code || err?.message || String(err) }
+    };
+  }
+}
+
+/**
+ * Make one attempt and record it: success completes the delivery, failure reschedules it with
+ * backoff until WEBHOOK_MAX_ATTEMPTS, after which it is dead-lettered.
+ */
+async function attemptDelivery(delivery) {
+  const sub = await WebhookSubscription.findById(delivery.subscription).lean();
+  // the target is checked again on every attempt, in case the policy or settings changed since
+  const rejected = sub && targetRejection(sub.url);
+  if (!sub || !sub.active || rejected) {
+    const reason = !sub ? 'subscription removed' : !sub.active ? 'subscription disabled' : `target rejected: ${rejected}`;
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'dead', lockedUntil: null, lockedBy: null, lastError: reason }
+    });
+    recordWebhookDelivery('dead');
+    return;
+  }
+
+  const { ok, attempt } = await post(sub, delivery);
+  const attemptCount = delivery.attemptCount + 1;
+  const now = new Date();
+  let update;
+  let outcome;
+  if (ok) {
+    outcome = 'succeeded';
+    update = { status: 'succeeded', deliveredAt: now, lastError: null };
+  } else if (attemptCount >= WEBHOOK_MAX_ATTEMPTS) {
+    outcome = 'dead';
+    update = { status: 'dead', lastError: attempt.error };
+  } else {
+    outcome = 'retry';
+    update = { status: 'pending', nextAttemptAt: new Date(now.getTime() + backoffDelay(attemptCount)), lastError: attempt.error };
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: { ...update, attemptCount, lockedUntil: null, lockedBy: null },
+    $push: { attempts: { $each: [attempt], $slice: -MAX_ATTEMPT_LOG } }
+  });
+  await WebhookSubscription.updateOne({ _id: sub._id }, ok
+    ? { $set: { lastDeliveryAt: now, lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    : { $set: { lastDeliveryAt: now, lastDeliveryStatus: outcome === 'dead' ? 'dead' : 'failed' }, $inc: { consecutiveFailures: 1 } });
+  recordWebhookDelivery(outcome);
+
+  const meta = { package: 'service', deliveryId: String(delivery._id), event: delivery.event, attempt: attemptCount, statusCode: attempt.statusCode, durationMs: attempt.durationMs };
+  if (outcome === 'succeeded') logger.info('webhook delivered', meta);
+  else if (outcome === 'dead') logger.warn('webhook delivery dead-lettered', { ...meta, error: attempt.error });
+  else logger.info('webhook delivery failed, will retry', { ...meta, error: attempt.error, nextAttemptAt: update.nextAttemptAt.toISOString() });
+}
+
+async function drainQueue() {
+  const worker = async () => {
+    while (!stopping) {
+      const delivery = await claimDelivery();
+      if (!delivery) return;
+      await attemptDelivery(delivery);
+    }
+  };
+  await Promise.all(Array.from({ length: WEBHOOK_CONCURRENCY }, worker));
+}
+
+// Deliver everything that is due; overlapping ticks share the in-flight run
+function pollDeliveries() {
+  if (polling) return polling;
+  polling = drainQueue()
+    .catch(err => logger.error('webhook delivery run failed', { package: 'service', error: err?.message || String(err) }))
+    .finally(() => { polling = null; });
+  return polling;
+}
+
+/**
+ * Queue another delivery of a past event to its subscription, with the same event id and
+ * payload. The original delivery and its attempt history are left untouched. Throws
+ * { status: 400 } when the subscription's URL no longer passes normalizeWebhookUrl.
+ */
+async function replayDelivery(delivery) {
+  const sub = await WebhookSubscription.findById(delivery.subscription, { url: 1 }).lean();
+  if (!sub) throw { status: 404, message: 'webhook not found' };
+  const rejected = targetRejection(sub.url);
+  if (rejected) throw { status: 400, message: rejected };
+  const replay = await WebhookDelivery.create({
+    subscription: delivery.subscription,
+    owner: delivery.owner,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    nextAttemptAt: new Date()
+  });
+  if (timer) setImmediate(pollDeliveries);
+  return replay;
+}
+
+function startWebhooks() {
+  if (timer || !WEBHOOKS_ENABLED) return;
+  stopping = false;
+  timer = setInterval(() => { pollDeliveries(); }, WEBHOOK_POLL_INTERVAL_MS);
+  timer.unref();
+  logger.info('webhook delivery started', { package: 'service', intervalMs: WEBHOOK_POLL_INTERVAL_MS, concurrency: WEBHOOK_CONCURRENCY });
+}
+
+// Stop claiming deliveries and wait for the attempts in flight to be recorded
+async function stopWebhooks() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  stopping = true;
+  if (polling) await polling;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_SUBSCRIPTIONS_PER_USER,
+  SIGNATURE_HEADER,
+  normalizeWebhookUrl,
+  normalizeEvents,
+  newWebhookSecret,
+  signPayload,
+  invalidateSubscriptions,
+  emitWebhookEvent,
+  linkEventData,
+  notifyLinkExpired,
+  replayDelivery,
+  pollDeliveries,
+  startWebhooks,
+  stopWebhooks
+};
@@ -0,0 +1,41 @@
+// webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload, normalizeWebhookUrl, normalizeEvents } = require('./webhooks');
+
+test('signPayload signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  const body = JSON.stringify({ event: 'link.created' });
+  const header = signPayload('whsec_test', body, 1700000000);
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+  assert.equal(header, `t=1700000000,v1=${expected}`);
+  assert.notEqual(signPayload('whsec_other', body, 1700000000), header);
+  assert.notEqual(signPayload('whsec_test', body, 1700000001), header);
+});
+
+test('normalizeWebhookUrl accepts public http(s) URLs', () => {
+  assert.equal(normalizeWebhookUrl('https://hooks.example.com/in'), 'https://hooks.example.com/in');
+});
+
+test('normalizeWebhookUrl rejects private targets in any notation', () => {
+  for (const url of [
+    'http://127.0.0.1/',
+    'http://169.254.169.254/latest',
+    'http://[::1]/',
+    'http://[::ffff:a9fe:a9fe]/latest',
+    'http://[::ffff:127.0.0.1]/',
+    'http://localhost/',
+    'ftp://example.com/',
+    'not a url'
+  ]) {
+    assert.throws(() => normalizeWebhookUrl(url), { status: 400 }, url);
+  }
+});
+
+test('normalizeEvents defaults to all events and rejects unknown ones', () => {
+  assert.deepEqual(normalizeEvents(undefined), ['*']);
+  assert.deepEqual(normalizeEvents('link.created, link.clicked,link.created'), ['link.created', 'link.clicked']);
+  assert.deepEqual(normalizeEvents(['link.expired', '*']), ['*']);
+  assert.throws(() => normalizeEvents(['link.deleted']), { status: 400 });
+  assert.throws(() => normalizeEvents([]), { status: 400 });
+});
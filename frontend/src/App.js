@@ -1,5 +1,5 @@
 // src/App.jsx
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
   ThemeProvider,
   createTheme,
@@ -26,38 +26,90 @@ import {
   CircularProgress,
   Tooltip,
   InputAdornment,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Pagination,
+  ToggleButton,
+  ToggleButtonGroup,
+  Switch,
+  FormControlLabel,
+  MenuItem,
+  Menu,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
 } from "@mui/material";
 import AddIcon from "@mui/icons-material/Add";
 import ContentCopyIcon from "@mui/icons-material/ContentCopy";
 import LaunchIcon from "@mui/icons-material/Launch";
 import RefreshIcon from "@mui/icons-material/Refresh";
+import DeleteIcon from "@mui/icons-material/Delete";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import EditIcon from "@mui/icons-material/Edit";
+import ScheduleIcon from "@mui/icons-material/Schedule";
+import BlockIcon from "@mui/icons-material/Block";
+import PlayArrowIcon from "@mui/icons-material/PlayArrow";
+import LockIcon from "@mui/icons-material/Lock";
+import TuneIcon from "@mui/icons-material/Tune";
+import DownloadIcon from "@mui/icons-material/Download";
+import SearchIcon from "@mui/icons-material/Search";
+import NetworkCheckIcon from "@mui/icons-material/NetworkCheck";
 import { BrowserRouter as Router, Routes, Route, Link } from "react-router-dom";
 import axios from "axios";
+import { clientLog } from "./logger";
 
 /*
   This App.jsx is a modernized Material UI frontend for URL Shortener.
-  It expects an axios `api` base and `clientLog` function for logging.
-  If you already have those, remove the local definitions and import them.
+  It expects an axios `api` base; logging goes through ./logger (clientLog) only.
 */
 
-// ====== minimal api & logging helpers (replace with your existing ones if present) ======
+// ====== api ======
 const BASE_API = process.env.REACT_APP_BASE_API || "http://localhost:4000";
-const LOG_ENDPOINT = "http://20.244.56.144/evaluation-service/logs";
-const LOG_TOKEN = process.env.REACT_APP_LOGGING_AUTH_TOKEN || "";
 
-async function clientLog(stack = "frontend", level = "info", pkg = "component", message = "") {
-  if (!LOG_TOKEN) return;
+const api = axios.create({ baseURL: BASE_API, timeout: 12000 });
+
+// ====== auth (API key kept in localStorage, sent as X-API-Key) ======
+const API_KEY_STORAGE = "urlShortener.apiKey";
+
+function getApiKey() {
   try {
-    await axios.post(
-      LOG_ENDPOINT,
-      { stack, level, package: pkg, message },
-      { headers: { Authorization: `Bearer ${LOG_TOKEN}` }, timeout: 3000 }
-    );
+    return localStorage.getItem(API_KEY_STORAGE) || "";
   } catch (e) {
-    // swallow
+    return "";
+  }
+}
+function setApiKey(key) {
+  try {
+    if (key) localStorage.setItem(API_KEY_STORAGE, key);
+    else localStorage.removeItem(API_KEY_STORAGE);
+  } catch (e) {
+    // storage unavailable (private mode) — key lives for this page only
   }
 }
-const api = axios.create({ baseURL: BASE_API, timeout: 12000 });
+
+// ====== request correlation (X-Request-Id, echoed back by the backend and attached to its logs) ======
+function newRequestId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// id of the API call behind a response or axios error
+function requestIdOf(resOrErr) {
+  const res = resOrErr?.response || resOrErr;
+  return res?.headers?.["x-request-id"] || resOrErr?.config?.headers?.["X-Request-Id"] || null;
+}
+
+api.interceptors.request.use((config) => {
+  const key = getApiKey();
+  if (key) config.headers["X-API-Key"] = key;
+  if (!config.headers["X-Request-Id"]) config.headers["X-Request-Id"] = newRequestId();
+  return config;
+});
 
 // ====== theme ======
 const theme = createTheme({
@@ -86,17 +138,49 @@ function validateShortcode(code) {
 }
 
 // ====== Main App ======
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+const EMPTY_ROW = {
+  url: "", validity: 30, shortcode: "", password: "", maxClicks: "", notBefore: "",
+  utm: {}, queryMode: "none", redirectStatus: 302, shortcodeStrategy: "", title: "", tags: "", fallbackUrl: "", showOptions: false,
+};
+// How the backend generates a code when none is given; "" leaves it to the server default
+const SHORTCODE_STRATEGIES = [
+  { value: "", label: "Server default" },
+  { value: "random", label: "Random" },
+  { value: "adaptive", label: "Random (grows when busy)" },
+  { value: "pronounceable", label: "Pronounceable" },
+  { value: "words", label: "Words (brave-otter-42)" },
+  { value: "counter", label: "Counter (never collides)" },
+];
+
+// Mirrors the backend: utm_* params are added only when the destination doesn't already set them
+function previewUtmUrl(url, utm) {
+  if (!validateUrl(url)) return "";
+  const u = new URL(url);
+  for (const f of UTM_FIELDS) {
+    if (utm?.[f] && !u.searchParams.has(`utm_${f}`)) u.searchParams.set(`utm_${f}`, utm[f]);
+  }
+  return u.toString();
+}
+
 function ShortenForm({ onResult }) {
-  const [rows, setRows] = useState([{ url: "", validity: 30, shortcode: "" }]);
+  const [rows, setRows] = useState([{ ...EMPTY_ROW }]);
   const [loading, setLoading] = useState(false);
   const [toast, setToast] = useState(null);
+  const [domains, setDomains] = useState([]);
+  const [domain, setDomain] = useState("");
+
+  useEffect(() => {
+    api.get("/domains")
+      .then((res) => setDomains(res.data.filter((d) => d.verified).map((d) => d.hostname)))
+      .catch((err) => clientLog("frontend", "error", "api", "fetch_domains_error", requestIdOf(err)));
+  }, []);
 
   function addRow() {
-    if (rows.length >= 5) {
-      setToast({ severity: "info", message: "Maximum 5 URLs allowed" });
-      return;
-    }
-    setRows((s) => [...s, { url: "", validity: 30, shortcode: "" }]);
+    setRows((s) => [...s, { ...EMPTY_ROW }]);
+  }
+  function removeRow(i) {
+    setRows((s) => (s.length > 1 ? s.filter((_, idx) => idx !== i) : s));
   }
   function updateRow(i, changes) {
     setRows((s) => s.map((r, idx) => (idx === i ? { ...r, ...changes } : r)));
@@ -121,33 +205,96 @@ function ShortenForm({ onResult }) {
         setToast({ severity: "error", message: "Shortcode must be 3-30 chars (letters, numbers, - or _)" });
         return;
       }
+      if (r.password && (r.password.length < 4 || r.password.length > 128)) {
+        setToast({ severity: "error", message: "Password must be 4-128 characters" });
+        return;
+      }
+      if (r.maxClicks && (!Number.isInteger(Number(r.maxClicks)) || Number(r.maxClicks) <= 0)) {
+        setToast({ severity: "error", message: "Max clicks must be a positive integer" });
+        return;
+      }
+      if (r.fallbackUrl && !validateUrl(r.fallbackUrl)) {
+        setToast({ severity: "error", message: `Invalid fallback URL: ${r.fallbackUrl}` });
+        return;
+      }
     }
 
+    const items = rows.map((p) => ({
+      url: p.url,
+      validity: p.validity ? Number(p.validity) : undefined,
+      shortcode: p.shortcode || undefined,
+      shortcodeStrategy: p.shortcode ? undefined : p.shortcodeStrategy || undefined,
+      password: p.password || undefined,
+      maxClicks: p.maxClicks ? Number(p.maxClicks) : undefined,
+      // datetime-local is in the browser's zone; send an absolute instant
+      notBefore: p.notBefore ? new Date(p.notBefore).toISOString() : undefined,
+      utm: UTM_FIELDS.some((f) => p.utm[f]) ? p.utm : undefined,
+      queryMode: p.queryMode,
+      redirectStatus: Number(p.redirectStatus),
+      domain: domain || undefined,
+      title: p.title || undefined,
+      tags: p.tags || undefined,
+      fallbackUrl: p.fallbackUrl || undefined,
+    }));
+    await submitBatch(items, { "Content-Type": "application/json" });
+  }
+
+  async function uploadCsv(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const text = await file.text();
+    await submitBatch(text, { "Content-Type": "text/csv" });
+  }
+
+  async function submitBatch(body, headers) {
     setLoading(true);
-    const created = [];
-    for (const p of rows) {
-      try {
-        clientLog("frontend", "info", "api", `create_shorturl ${p.url}`);
-        const res = await api.post("/shorturls", {
-          url: p.url,
-          validity: p.validity ? Number(p.validity) : undefined,
-          shortcode: p.shortcode || undefined,
-        });
-        created.push({ original: p.url, shortLink: res.data.shortLink, expiry: res.data.expiry });
-        clientLog("frontend", "info", "api", `created ${res.data.shortLink}`);
-      } catch (err) {
-        const msg = err?.response?.data?.error || err.message;
-        created.push({ original: p.url, error: msg });
-        clientLog("frontend", "error", "api", `create_error ${msg}`);
+    try {
+      clientLog("frontend", "info", "api", `create_shorturls_batch ${Array.isArray(body) ? body.length : "csv"}`);
+      const res = await api.post("/shorturls/batch", body, { headers });
+      const created = res.data.results.map((r) =>
+        r.success
+          ? {
+              original: r.url,
+              shortcode: r.shortcode,
+              domain: r.domain,
+              shortLink: r.shortLink,
+              expiry: r.expiry,
+              passwordProtected: r.passwordProtected,
+            }
+          : { original: r.url || `Row ${r.index + 1}`, error: r.error }
+      );
+      clientLog("frontend", "info", "api", `created_batch ${res.data.created}/${res.data.total}`, requestIdOf(res));
+      onResult(created);
+      if (res.data.failed > 0) {
+        setToast({ severity: "warning", message: `${res.data.failed} of ${res.data.total} links failed` });
       }
+    } catch (err) {
+      const msg = err?.response?.data?.error || err.message;
+      const requestId = requestIdOf(err);
+      clientLog("frontend", "error", "api", `create_batch_error ${msg}`, requestId);
+      setToast({ severity: "error", message: requestId ? `${msg} (request ${requestId})` : msg });
+    } finally {
+      setLoading(false);
     }
-    setLoading(false);
-    onResult(created);
   }
 
   return (
     <Card sx={{ mb: 3 }}>
       <CardContent>
+        {domains.length > 0 && (
+          <TextField
+            select
+            size="small"
+            label="Short domain"
+            value={domain}
+            onChange={(e) => setDomain(e.target.value)}
+            sx={{ mb: 2, minWidth: 240 }}
+          >
+            <MenuItem value="">Default</MenuItem>
+            {domains.map((d) => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+          </TextField>
+        )}
         <Grid container spacing={2} alignItems="center">
           {rows.map((r, i) => (
             <Grid container item spacing={1} key={i} alignItems="center">
@@ -160,7 +307,7 @@ function ShortenForm({ onResult }) {
                   onChange={(e) => updateRow(i, { url: e.target.value })}
                 />
               </Grid>
-              <Grid item xs={6} md={3}>
+              <Grid item xs={6} md={2}>
                 <TextField
                   fullWidth
                   size="small"
@@ -179,6 +326,142 @@ function ShortenForm({ onResult }) {
                   onChange={(e) => updateRow(i, { shortcode: e.target.value })}
                 />
               </Grid>
+              <Grid item xs={12} md={1} sx={{ display: "flex", justifyContent: "flex-end" }}>
+                <Tooltip title="More options">
+                  <IconButton size="small" onClick={() => updateRow(i, { showOptions: !r.showOptions })} aria-label="row-options">
+                    <TuneIcon fontSize="small" color={r.showOptions ? "primary" : "inherit"} />
+                  </IconButton>
+                </Tooltip>
+                {rows.length > 1 && (
+                  <IconButton size="small" onClick={() => removeRow(i)} aria-label="remove-url"><DeleteIcon fontSize="small" /></IconButton>
+                )}
+              </Grid>
+              {r.showOptions && (
+                <>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Title (optional)"
+                      value={r.title}
+                      onChange={(e) => updateRow(i, { title: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Tags (comma separated)"
+                      value={r.tags}
+                      onChange={(e) => updateRow(i, { tags: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="password"
+                      autoComplete="new-password"
+                      label="Password (optional)"
+                      value={r.password}
+                      onChange={(e) => updateRow(i, { password: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={6} md={3}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Max clicks (optional)"
+                      value={r.maxClicks}
+                      onChange={(e) => updateRow(i, { maxClicks: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={6} md={5}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="datetime-local"
+                      label="Active from (optional)"
+                      InputLabelProps={{ shrink: true }}
+                      value={r.notBefore}
+                      onChange={(e) => updateRow(i, { notBefore: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={6} md={4}>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label="Visitor query string"
+                      value={r.queryMode}
+                      onChange={(e) => updateRow(i, { queryMode: e.target.value })}
+                    >
+                      <MenuItem value="none">Drop</MenuItem>
+                      <MenuItem value="merge">Merge (destination wins)</MenuItem>
+                      <MenuItem value="override">Override (visitor wins)</MenuItem>
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={6} md={3}>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label="Redirect status"
+                      value={r.redirectStatus}
+                      onChange={(e) => updateRow(i, { redirectStatus: e.target.value })}
+                    >
+                      {[302, 301, 307, 308].map((code) => <MenuItem key={code} value={code}>{code}</MenuItem>)}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12} md={5}>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label="Shortcode style"
+                      value={r.shortcodeStrategy}
+                      disabled={!!r.shortcode}
+                      helperText={r.shortcode ? "Custom shortcode set" : undefined}
+                      onChange={(e) => updateRow(i, { shortcodeStrategy: e.target.value })}
+                      SelectProps={{ displayEmpty: true }}
+                      InputLabelProps={{ shrink: true }}
+                    >
+                      {SHORTCODE_STRATEGIES.map((o) => <MenuItem key={o.value || "default"} value={o.value}>{o.label}</MenuItem>)}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Fallback URL (served while the destination is down)"
+                      value={r.fallbackUrl}
+                      error={!!r.fallbackUrl && !validateUrl(r.fallbackUrl)}
+                      onChange={(e) => updateRow(i, { fallbackUrl: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Typography variant="caption" color="text.secondary">UTM builder</Typography>
+                  </Grid>
+                  {UTM_FIELDS.map((f) => (
+                    <Grid item xs={6} md key={f}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label={`utm_${f}`}
+                        value={r.utm[f] || ""}
+                        onChange={(e) => updateRow(i, { utm: { ...r.utm, [f]: e.target.value } })}
+                      />
+                    </Grid>
+                  ))}
+                  {UTM_FIELDS.some((f) => r.utm[f]) && previewUtmUrl(r.url, r.utm) && (
+                    <Grid item xs={12}>
+                      <Typography variant="caption" sx={{ wordBreak: "break-all" }}>
+                        Destination: {previewUtmUrl(r.url, r.utm)}
+                      </Typography>
+                    </Grid>
+                  )}
+                </>
+              )}
               {i < rows.length - 1 && <Grid item xs={12}><Divider sx={{ my: 1 }} /></Grid>}
             </Grid>
           ))}
@@ -186,7 +469,7 @@ function ShortenForm({ onResult }) {
       </CardContent>
       <CardActions sx={{ justifyContent: "space-between", px: 2, pb: 2 }}>
         <Box>
-          <Tooltip title="Add another URL (up to 5)">
+          <Tooltip title="Add another URL">
             <Fab size="small" color="primary" onClick={addRow} aria-label="add-url">
               <AddIcon />
             </Fab>
@@ -200,13 +483,17 @@ function ShortenForm({ onResult }) {
           >
             Create Short Links
           </Button>
+          <Button sx={{ ml: 1 }} component="label" disabled={loading} startIcon={<UploadFileIcon />}>
+            Upload CSV
+            <input hidden type="file" accept=".csv,text/csv" onChange={uploadCsv} />
+          </Button>
         </Box>
         <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
           <Tooltip title="Refresh">
             <IconButton onClick={() => window.location.reload()}><RefreshIcon /></IconButton>
           </Tooltip>
           <Typography variant="caption" color="text.secondary">
-            Max 5 URLs • Validity defaults to 30 mins
+            CSV columns: url, validity, shortcode, shortcodeStrategy, password, maxClicks, notBefore, domain, title, tags, fallbackUrl, utm_* • Validity defaults to 30 mins
           </Typography>
         </Box>
       </CardActions>
@@ -218,6 +505,61 @@ function ShortenForm({ onResult }) {
   );
 }
 
+// QR images come from an authenticated endpoint, so they are fetched as blobs rather than <img src>
+function QrCode({ shortcode, domain, size = 160 }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    api.get(`/shorturls/${shortcode}/qr`, { params: { size: size * 2, ...domainParams(domain) }, responseType: "blob" })
+      .then((res) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(res.data);
+        setSrc(url);
+      })
+      .catch((err) => clientLog("frontend", "error", "api", `fetch_qr_error ${shortcode}`, requestIdOf(err)));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [shortcode, domain, size]);
+
+  async function download(format) {
+    try {
+      clientLog("frontend", "info", "api", `download_qr ${shortcode} ${format}`);
+      const res = await api.get(`/shorturls/${shortcode}/qr`, {
+        params: { format, size: 1024, ...domainParams(domain) },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(res.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${domain ? `${domain}-` : ""}${shortcode}-qr.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      clientLog("frontend", "error", "api", `download_qr_error ${shortcode}`, requestIdOf(e));
+    }
+  }
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+      {src ? (
+        <img src={src} alt={`QR code for ${shortcode}`} width={size} height={size} />
+      ) : (
+        <Box sx={{ width: size, height: size, display: "flex", alignItems: "center", justifyContent: "center" }}>
+          <CircularProgress size={20} />
+        </Box>
+      )}
+      <Box sx={{ display: "flex", flexDirection: "column", gap: 0.5 }}>
+        <Button size="small" startIcon={<DownloadIcon />} onClick={() => download("png")}>PNG</Button>
+        <Button size="small" startIcon={<DownloadIcon />} onClick={() => download("svg")}>SVG</Button>
+      </Box>
+    </Box>
+  );
+}
+
 function ResultsList({ results }) {
   const [copied, setCopied] = useState(null);
   return (
@@ -240,6 +582,7 @@ function ResultsList({ results }) {
                           <a href={r.shortLink} target="_blank" rel="noreferrer">{r.shortLink}</a>
                         </Typography>
                         <Typography variant="caption" color="text.secondary">Expiry: {new Date(r.expiry).toLocaleString()}</Typography>
+                        {r.passwordProtected && <Chip size="small" icon={<LockIcon />} label="Password" sx={{ ml: 1 }} />}
                       </Box>
                       <Box>
                         <Tooltip title="Open link">
@@ -263,6 +606,11 @@ function ResultsList({ results }) {
                       </Box>
                     </Box>
                     {copied === r.shortLink && <Typography variant="caption" color="primary">Copied!</Typography>}
+                    {r.shortcode && (
+                      <Box sx={{ mt: 1 }}>
+                        <QrCode shortcode={r.shortcode} domain={r.domain} size={120} />
+                      </Box>
+                    )}
                   </>
                 )}
               </CardContent>
@@ -285,33 +633,587 @@ function ShortenerPage() {
   );
 }
 
+// ====== analytics ======
+const CLICKS_PAGE_SIZE = 20;
+const ANALYTICS_RANGES = [
+  { label: "24h", hours: 24, interval: "hour" },
+  { label: "7d", hours: 24 * 7, interval: "day" },
+  { label: "30d", hours: 24 * 30, interval: "day" },
+  { label: "90d", hours: 24 * 90, interval: "week" },
+];
+
+function formatBucket(bucket, interval) {
+  const d = new Date(bucket);
+  return interval === "hour" ? d.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit" }) : d.toLocaleDateString();
+}
+
+function describeRule(when) {
+  const parts = ["os", "deviceType", "country", "language"]
+    .filter((k) => when?.[k]?.length)
+    .map((k) => `${k}: ${when[k].join("/")}`);
+  return parts.length ? parts.join(", ") : "everyone";
+}
+
+function formatGeo(geo) {
+  const parts = [geo?.city, geo?.region, geo?.countryName || geo?.country].filter(Boolean);
+  return parts.length ? parts.join(", ") : "Unknown";
+}
+
+// Minimal column chart built from Boxes (no chart dependency)
+function BarChart({ data, height = 120 }) {
+  const max = Math.max(1, ...data.map((d) => d.value));
+  if (data.length === 0) return <Typography variant="body2" color="text.secondary">No clicks in this range</Typography>;
+  return (
+    <Box sx={{ display: "flex", alignItems: "flex-end", gap: "2px", height, borderBottom: 1, borderColor: "divider" }}>
+      {data.map((d) => (
+        <Tooltip key={d.label} title={`${d.label}: ${d.value}`}>
+          <Box sx={{ flex: 1, minWidth: 4, height: `${(d.value / max) * 100}%`, bgcolor: "primary.main", borderRadius: "2px 2px 0 0" }} />
+        </Tooltip>
+      ))}
+    </Box>
+  );
+}
+
+function TopTable({ title, rows }) {
+  return (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 0.5 }}>{title}</Typography>
+      {rows.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">—</Typography>
+      ) : (
+        <Table size="small">
+          <TableBody>
+            {rows.map((r, i) => (
+              <TableRow key={i}>
+                <TableCell sx={{ wordBreak: "break-all" }}>{r.label || "Direct / unknown"}</TableCell>
+                <TableCell align="right">{r.count}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+}
+
+// Links on a branded domain are addressed with ?domain=; the default domain sends nothing
+function domainParams(domain) {
+  return domain ? { domain } : {};
+}
+
+function AnalyticsPanel({ shortcode, domain, includeBots }) {
+  const [range, setRange] = useState(ANALYTICS_RANGES[1]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    async function load() {
+      setLoading(true);
+      try {
+        clientLog("frontend", "info", "api", `fetch_analytics ${shortcode} ${range.label}`);
+        const to = new Date();
+        const from = new Date(to.getTime() - range.hours * 3600 * 1000);
+        const res = await api.get(`/shorturls/${shortcode}/analytics`, {
+          params: { from: from.toISOString(), to: to.toISOString(), interval: range.interval, includeBots, ...domainParams(domain) },
+        });
+        if (!cancelled) setData(res.data);
+      } catch (e) {
+        clientLog("frontend", "error", "api", `fetch_analytics_error ${shortcode}`, requestIdOf(e));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    load();
+    return () => { cancelled = true; };
+  }, [shortcode, domain, range, includeBots]);
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+        <Typography variant="subtitle2">Analytics</Typography>
+        <ToggleButtonGroup size="small" exclusive value={range.label}
+          onChange={(e, label) => label && setRange(ANALYTICS_RANGES.find((r) => r.label === label))}>
+          {ANALYTICS_RANGES.map((r) => <ToggleButton key={r.label} value={r.label}>{r.label}</ToggleButton>)}
+        </ToggleButtonGroup>
+      </Box>
+      {loading && !data ? (
+        <Box sx={{ display: "flex", justifyContent: "center", p: 2 }}><CircularProgress size={24} /></Box>
+      ) : data && (
+        <>
+          <Box sx={{ display: "flex", gap: 3, mb: 1 }}>
+            <Typography variant="body2">Clicks: <b>{data.totalClicks}</b></Typography>
+            <Typography variant="body2">Unique visitors: <b>{data.uniqueVisitors}</b></Typography>
+          </Box>
+          <BarChart data={data.timeseries.map((b) => ({ label: formatBucket(b.bucket, data.interval), value: b.count }))} />
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Top referrers" rows={data.topReferrers.map((r) => ({ label: r.referrer, count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Browsers" rows={data.topBrowsers.map((r) => ({ label: r.browser, count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Operating systems" rows={data.topOperatingSystems.map((r) => ({ label: r.os, count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Device types" rows={data.deviceTypes.map((r) => ({ label: r.deviceType, count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Sources" rows={data.sources.map((r) => ({ label: r.source === "qr" ? "QR scan" : "Link", count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Countries" rows={data.geo.countries.map((r) => ({ label: r.name || r.country, count: r.count }))} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TopTable title="Cities" rows={data.geo.cities.map((r) => ({ label: [r.city, r.country].join(", "), count: r.count }))} />
+            </Grid>
+            <Grid item xs={12}>
+              <TopTable title="Top user agents" rows={data.topUserAgents.map((r) => ({ label: r.userAgent, count: r.count }))} />
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+}
+
+// destination health from the backend's link-rot monitor; unchecked links get no badge
+const HEALTH_BADGES = {
+  healthy: { label: "Up", color: "success" },
+  failing: { label: "Failing", color: "warning" },
+  down: { label: "Down", color: "error" },
+};
+
+function healthSummary(health) {
+  const result = health.statusCode ? `HTTP ${health.statusCode}` : health.error;
+  const checked = health.checkedAt ? `checked ${new Date(health.checkedAt).toLocaleString()}` : null;
+  return [result, checked].filter(Boolean).join(" • ");
+}
+
+function HealthBadge({ health, ...props }) {
+  const badge = HEALTH_BADGES[health?.status];
+  if (!badge) return null;
+  return (
+    <Tooltip title={healthSummary(health)}>
+      <Chip size="small" color={badge.color} label={badge.label} {...props} />
+    </Tooltip>
+  );
+}
+
+function LinkHealth({ details, onChecked }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const health = details.health || { status: "unknown" };
+
+  async function checkNow() {
+    setBusy(true);
+    setError(null);
+    try {
+      clientLog("frontend", "info", "api", `check_link ${details.shortcode}`);
+      await api.post(`/shorturls/${details.shortcode}/check`, null, { params: domainParams(details.domain) });
+      onChecked(details);
+    } catch (err) {
+      const msg = err?.response?.data?.error || err.message;
+      clientLog("frontend", "error", "api", `check_link_error ${msg}`, requestIdOf(err));
+      setError(msg);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Box sx={{ mt: 1, display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap" }}>
+      {HEALTH_BADGES[health.status] ? <HealthBadge health={health} /> : <Chip size="small" label="Not checked yet" />}
+      <Typography variant="caption" color="text.secondary">
+        {healthSummary(health)}
+        {health.responseTimeMs != null && ` • ${health.responseTimeMs} ms`}
+        {health.finalUrl && health.finalUrl !== details.originalUrl && ` • ends at ${health.finalUrl}`}
+        {health.status === "down" && health.downSince && ` • down since ${new Date(health.downSince).toLocaleString()}`}
+        {health.status === "down" && (details.fallbackUrl ? " • serving the fallback URL" : " • no fallback URL set")}
+      </Typography>
+      <Button size="small" startIcon={busy ? <CircularProgress size={14} /> : <NetworkCheckIcon />} disabled={busy} onClick={checkNow}>
+        Check now
+      </Button>
+      {error && <Typography variant="caption" color="error">{error}</Typography>}
+    </Box>
+  );
+}
+
+// editable form of a link's title / notes / tags
+function linkMetaOf(details) {
+  return { title: details.title || "", notes: details.notes || "", tags: (details.tags || []).join(", ") };
+}
+
+function LinkControls({ details, onChanged, onDeleted }) {
+  const [url, setUrl] = useState(details.originalUrl);
+  const [fallback, setFallback] = useState(details.fallbackUrl || "");
+  const [meta, setMeta] = useState(linkMetaOf(details));
+  const [extend, setExtend] = useState(30);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => { setUrl(details.originalUrl); setError(null); }, [details.shortcode, details.originalUrl]);
+  useEffect(() => { setFallback(details.fallbackUrl || ""); }, [details.shortcode, details.fallbackUrl]);
+  useEffect(() => { setMeta(linkMetaOf(details)); }, [details]);
+
+  const metaChanged = JSON.stringify(meta) !== JSON.stringify(linkMetaOf(details));
+
+  async function update(changes, action) {
+    setBusy(true);
+    setError(null);
+    try {
+      clientLog("frontend", "info", "api", `${action} ${details.shortcode}`);
+      await api.patch(`/shorturls/${details.shortcode}`, changes, { params: domainParams(details.domain) });
+      onChanged(details);
+    } catch (err) {
+      const msg = err?.response?.data?.error || err.message;
+      clientLog("frontend", "error", "api", `${action}_error ${msg}`, requestIdOf(err));
+      setError(msg);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove() {
+    if (!window.confirm(`Delete ${details.shortcode}? The short link will stop working.`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      clientLog("frontend", "info", "api", `delete_link ${details.shortcode}`);
+      await api.delete(`/shorturls/${details.shortcode}`, { params: domainParams(details.domain) });
+      onDeleted(details);
+    } catch (err) {
+      const msg = err?.response?.data?.error || err.message;
+      clientLog("frontend", "error", "api", `delete_link_error ${msg}`, requestIdOf(err));
+      setError(msg);
+      setBusy(false);
+    }
+  }
+
+  const disabled = details.status === "disabled";
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Grid container spacing={1} alignItems="center">
+        <Grid item xs={12} md={5}>
+          <TextField fullWidth size="small" label="Title" value={meta.title} onChange={(e) => setMeta({ ...meta, title: e.target.value })} />
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <TextField fullWidth size="small" label="Tags (comma separated)" value={meta.tags} onChange={(e) => setMeta({ ...meta, tags: e.target.value })} />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Button fullWidth variant="outlined" startIcon={<EditIcon />} disabled={busy || !metaChanged}
+            onClick={() => update({ title: meta.title || null, notes: meta.notes || null, tags: meta.tags }, "edit_link_details")}>
+            Save details
+          </Button>
+        </Grid>
+        <Grid item xs={12}>
+          <TextField fullWidth size="small" multiline minRows={2} label="Notes" value={meta.notes}
+            onChange={(e) => setMeta({ ...meta, notes: e.target.value })} />
+        </Grid>
+        <Grid item xs={12} md={9}>
+          <TextField fullWidth size="small" label="Destination URL" value={url} onChange={(e) => setUrl(e.target.value)} />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Button fullWidth variant="outlined" startIcon={<EditIcon />} disabled={busy || url === details.originalUrl || !validateUrl(url)}
+            onClick={() => update({ originalUrl: url }, "edit_link")}>
+            Save
+          </Button>
+        </Grid>
+        <Grid item xs={12} md={9}>
+          <TextField fullWidth size="small" label="Fallback URL (served while the destination is down)" value={fallback}
+            onChange={(e) => setFallback(e.target.value)} />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Button fullWidth variant="outlined" startIcon={<EditIcon />}
+            disabled={busy || fallback === (details.fallbackUrl || "") || (!!fallback && !validateUrl(fallback))}
+            onClick={() => update({ fallbackUrl: fallback || null }, "edit_fallback")}>
+            {fallback || !details.fallbackUrl ? "Save fallback" : "Remove fallback"}
+          </Button>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <TextField fullWidth size="small" label="Extend by" value={extend} onChange={(e) => setExtend(e.target.value)}
+            InputProps={{ endAdornment: <InputAdornment position="end">mins</InputAdornment> }} />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <Button fullWidth variant="outlined" startIcon={<ScheduleIcon />}
+            disabled={busy || !Number.isInteger(Number(extend)) || Number(extend) <= 0}
+            onClick={() => update({ extendMinutes: Number(extend) }, "extend_link")}>
+            Extend
+          </Button>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <Button fullWidth variant="outlined" color="warning" startIcon={disabled ? <PlayArrowIcon /> : <BlockIcon />} disabled={busy}
+            onClick={() => update({ disabled: !disabled }, disabled ? "enable_link" : "disable_link")}>
+            {disabled ? "Enable" : "Disable"}
+          </Button>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <Button fullWidth variant="outlined" color="error" startIcon={<DeleteIcon />} disabled={busy} onClick={remove}>
+            Delete
+          </Button>
+        </Grid>
+      </Grid>
+      {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+    </Box>
+  );
+}
+
+const EXPORTS = [
+  { kind: "links", format: "csv", label: "Links (CSV)" },
+  { kind: "links", format: "ndjson", label: "Links (NDJSON)" },
+  { kind: "links", format: "json", label: "Links (JSON)" },
+  { kind: "clicks", format: "csv", label: "Clicks (CSV)" },
+  { kind: "clicks", format: "ndjson", label: "Clicks (NDJSON)" },
+];
+const IMPORT_CONFLICTS = [
+  { value: "skip", label: "Skip rows whose shortcode is taken" },
+  { value: "overwrite", label: "Overwrite my existing links" },
+  { value: "rename", label: "Import under a new shortcode" },
+];
+
+// Content types the import endpoint reads as text (JSON too, so its larger body limit applies)
+function importContentType(fileName) {
+  if (/\.csv$/i.test(fileName)) return "text/csv";
+  if (/\.(ndjson|jsonl)$/i.test(fileName)) return "application/x-ndjson";
+  return "text/plain";
+}
+
+function DataTransfer({ tags, onImported }) {
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [file, setFile] = useState(null);
+  const [conflict, setConflict] = useState("skip");
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function download({ kind, format }) {
+    setMenuAnchor(null);
+    try {
+      clientLog("frontend", "info", "api", `export_${kind} ${format}`);
+      const res = await api.get(`/export/${kind}`, {
+        params: { format, tag: tags.length ? tags.join(",") : undefined },
+        responseType: "blob",
+        timeout: 0,
+      });
+      const url = URL.createObjectURL(res.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${kind}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      clientLog("frontend", "error", "api", `export_${kind}_error`, requestIdOf(e));
+    }
+  }
+
+  function chooseFile(e) {
+    const chosen = e.target.files?.[0];
+    e.target.value = "";
+    if (!chosen) return;
+    setFile(chosen);
+    setReport(null);
+    setError(null);
+  }
+
+  async function runImport(dryRun) {
+    setBusy(true);
+    setError(null);
+    try {
+      clientLog("frontend", "info", "api", `import_links ${dryRun ? "dry_run" : "commit"} ${conflict}`);
+      const text = await file.text();
+      const res = await api.post("/import/links", text, {
+        params: { dryRun, conflict },
+        headers: { "Content-Type": importContentType(file.name) },
+        timeout: 0,
+      });
+      setReport(res.data);
+      if (!dryRun) onImported();
+    } catch (e) {
+      const msg = e?.response?.data?.error || e.message;
+      const requestId = requestIdOf(e);
+      clientLog("frontend", "error", "api", `import_links_error ${msg}`, requestId);
+      setError(requestId ? `${msg} (request ${requestId})` : msg);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function close() {
+    setFile(null);
+    setReport(null);
+    setError(null);
+  }
+
+  const problems = report ? report.rows.filter((r) => r.action === "failed" || r.action === "skipped") : [];
+
+  return (
+    <>
+      <Tooltip title="Export">
+        <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)}><DownloadIcon /></IconButton>
+      </Tooltip>
+      <Menu anchorEl={menuAnchor} open={!!menuAnchor} onClose={() => setMenuAnchor(null)}>
+        {EXPORTS.map((x) => (
+          <MenuItem key={`${x.kind}-${x.format}`} onClick={() => download(x)}>{x.label}</MenuItem>
+        ))}
+      </Menu>
+      <Tooltip title="Import links (CSV, NDJSON, JSON)">
+        <IconButton component="label">
+          <UploadFileIcon />
+          <input hidden type="file" accept=".csv,.json,.ndjson,.jsonl,text/csv,application/json" onChange={chooseFile} />
+        </IconButton>
+      </Tooltip>
+      <Dialog open={!!file} onClose={busy ? undefined : close} fullWidth maxWidth="sm">
+        <DialogTitle>Import links</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>{file?.name}</Typography>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="When a shortcode is taken"
+            value={conflict}
+            onChange={(e) => { setConflict(e.target.value); setReport(null); }}
+          >
+            {IMPORT_CONFLICTS.map((c) => <MenuItem key={c.value} value={c.value}>{c.label}</MenuItem>)}
+          </TextField>
+          {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+          {report && (
+            <Box sx={{ mt: 2 }}>
+              <Alert severity={report.failed > 0 ? "warning" : "success"}>
+                {report.dryRun ? "Dry run: " : ""}
+                {`${report.created} created, ${report.updated} updated, ${report.renamed} renamed, ${report.skipped} skipped, ${report.failed} failed of ${report.total}`}
+              </Alert>
+              {problems.length > 0 && (
+                <Table size="small" sx={{ mt: 1 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>URL</TableCell>
+                      <TableCell>Result</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {problems.slice(0, 100).map((r) => (
+                      <TableRow key={r.row}>
+                        <TableCell>{r.row}</TableCell>
+                        <TableCell sx={{ wordBreak: "break-all" }}>{r.url || "—"}</TableCell>
+                        <TableCell>{`${r.action}: ${r.error}`}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {busy && <CircularProgress size={20} sx={{ mr: 1 }} />}
+          <Button onClick={close} disabled={busy}>Close</Button>
+          <Button onClick={() => runImport(true)} disabled={busy}>Dry run</Button>
+          <Button variant="contained" onClick={() => runImport(false)} disabled={busy || (report && !report.dryRun)}>Import</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+const LIST_PAGE_SIZE = 25;
+
 function StatsPage() {
   const [list, setList] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [details, setDetails] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [includeBots, setIncludeBots] = useState(false);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  // responses of superseded searches are ignored
+  const listSeq = useRef(0);
 
-  useEffect(() => { fetchList(); }, []);
+  useEffect(() => {
+    const t = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(t);
+  }, [searchInput]);
+  const listParams = useCallback((cursor) => ({
+    limit: LIST_PAGE_SIZE,
+    q: search || undefined,
+    tag: selectedTags.length ? selectedTags.join(",") : undefined,
+    cursor: cursor || undefined,
+  }), [search, selectedTags]);
 
-  async function fetchList() {
+  const fetchList = useCallback(async () => {
+    const seq = ++listSeq.current;
     setLoading(true);
     try {
       clientLog("frontend", "info", "api", "fetch_list");
-      const res = await api.get("/shorturls");
-      setList(res.data);
+      const res = await api.get("/shorturls", { params: listParams() });
+      if (seq !== listSeq.current) return;
+      setList(res.data.items);
+      setNextCursor(res.data.nextCursor);
     } catch (e) {
-      clientLog("frontend", "error", "api", "fetch_list_error");
+      clientLog("frontend", "error", "api", "fetch_list_error", requestIdOf(e));
     } finally {
-      setLoading(false);
+      if (seq === listSeq.current) setLoading(false);
     }
+  }, [listParams]);
+
+  // a new fetchList (changed search or tags) refetches the first page
+  useEffect(() => { fetchList(); }, [fetchList]);
+  useEffect(() => { fetchTags(); }, []);
+
+  async function fetchMore() {
+    if (!nextCursor || loading || loadingMore) return;
+    const seq = listSeq.current;
+    setLoadingMore(true);
+    try {
+      const res = await api.get("/shorturls", { params: listParams(nextCursor) });
+      if (seq !== listSeq.current) return;
+      setList((l) => [...l, ...res.data.items]);
+      setNextCursor(res.data.nextCursor);
+    } catch (e) {
+      clientLog("frontend", "error", "api", "fetch_list_more_error", requestIdOf(e));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function fetchTags() {
+    try {
+      const res = await api.get("/tags");
+      setTags(res.data);
+    } catch (e) {
+      clientLog("frontend", "error", "api", "fetch_tags_error", requestIdOf(e));
+    }
+  }
+
+  function refresh() {
+    fetchList();
+    fetchTags();
+  }
+
+  function toggleTag(tag) {
+    setSelectedTags((t) => (t.includes(tag) ? t.filter((x) => x !== tag) : [...t, tag]));
+  }
+
+  // infinite scroll: load the next page when the list is scrolled near its end
+  function onListScroll(e) {
+    const el = e.currentTarget;
+    if (el.scrollTop + el.clientHeight >= el.scrollHeight - 48) fetchMore();
   }
 
-  async function fetchDetails(sc) {
+  async function fetchDetails({ shortcode: sc, domain }, page = 1, bots = includeBots) {
     try {
-      clientLog("frontend", "info", "api", `fetch_details ${sc}`);
-      const res = await api.get(`/shorturls/${sc}`);
+      clientLog("frontend", "info", "api", `fetch_details ${domain ? `${domain}/` : ""}${sc}`);
+      const res = await api.get(`/shorturls/${sc}`, {
+        params: { page, limit: CLICKS_PAGE_SIZE, includeBots: bots, ...domainParams(domain) },
+      });
       setDetails(res.data);
     } catch (e) {
-      clientLog("frontend", "error", "api", `fetch_details_error ${sc}`);
+      clientLog("frontend", "error", "api", `fetch_details_error ${sc}`, requestIdOf(e));
     }
   }
 
@@ -323,26 +1225,71 @@ function StatsPage() {
             <CardContent>
               <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
                 <Typography variant="h6">Short Links</Typography>
-                <Tooltip title="Refresh"><IconButton onClick={fetchList}><RefreshIcon /></IconButton></Tooltip>
+                <Box>
+                  <DataTransfer tags={selectedTags} onImported={refresh} />
+                  <Tooltip title="Refresh"><IconButton onClick={refresh}><RefreshIcon /></IconButton></Tooltip>
+                </Box>
               </Box>
-              {loading ? <Box sx={{ display: "flex", justifyContent: "center", p: 2 }}><CircularProgress /></Box> : (
-                <List dense sx={{ maxHeight: "60vh", overflow: "auto" }}>
+              <TextField
+                fullWidth
+                size="small"
+                placeholder="Search URL, title or shortcode"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
+              />
+              {tags.length > 0 && (
+                <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mt: 1 }}>
+                  {tags.slice(0, 20).map((t) => (
+                    <Chip
+                      key={t.tag}
+                      size="small"
+                      label={`${t.tag} (${t.count})`}
+                      color={selectedTags.includes(t.tag) ? "primary" : "default"}
+                      variant={selectedTags.includes(t.tag) ? "filled" : "outlined"}
+                      onClick={() => toggleTag(t.tag)}
+                    />
+                  ))}
+                </Box>
+              )}
+              {loading && list.length === 0 ? <Box sx={{ display: "flex", justifyContent: "center", p: 2 }}><CircularProgress /></Box> : (
+                <List dense sx={{ maxHeight: "60vh", overflow: "auto", mt: 1 }} onScroll={onListScroll}>
                   {list.map((item) => (
-                    <React.Fragment key={item.shortcode}>
+                    <React.Fragment key={`${item.domain || ""}/${item.shortcode}`}>
                       <ListItem
                         button
-                        onClick={() => fetchDetails(item.shortcode)}
+                        onClick={() => fetchDetails(item)}
                         sx={{ alignItems: "flex-start" }}
                       >
                         <ListItemText
-                          primary={item.originalUrl}
-                          secondary={`${item.shortLink} • clicks: ${item.clicksTotal || 0}`}
+                          primary={item.title || item.originalUrl}
+                          primaryTypographyProps={{ sx: { wordBreak: "break-all" } }}
+                          secondary={
+                            <>
+                              {`${item.shortLink} • clicks: ${item.clicksTotal || 0}${item.status && item.status !== "active" ? ` • ${item.status}` : ""}`}
+                              {(item.tags?.length > 0 || HEALTH_BADGES[item.health?.status]) && (
+                                <Box component="span" sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mt: 0.5 }}>
+                                  <HealthBadge health={item.health} component="span" />
+                                  {(item.tags || []).map((t) => <Chip key={t} size="small" variant="outlined" label={t} component="span" />)}
+                                </Box>
+                              )}
+                            </>
+                          }
                         />
                       </ListItem>
                       <Divider component="li" />
                     </React.Fragment>
                   ))}
-                  {list.length === 0 && <Typography variant="body2" color="text.secondary">No short links yet</Typography>}
+                  {list.length === 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                      {search || selectedTags.length ? "No links match" : "No short links yet"}
+                    </Typography>
+                  )}
+                  {nextCursor && (
+                    <Box sx={{ display: "flex", justifyContent: "center", p: 1 }}>
+                      {loadingMore ? <CircularProgress size={20} /> : <Button size="small" onClick={fetchMore}>Load more</Button>}
+                    </Box>
+                  )}
                 </List>
               )}
             </CardContent>
@@ -353,20 +1300,110 @@ function StatsPage() {
           {details ? (
             <Card>
               <CardContent>
-                <Typography variant="h6">Details for {details.shortcode}</Typography>
-                <Typography variant="body2" sx={{ mb: 1 }}>{details.originalUrl}</Typography>
-                <Typography variant="caption" color="text.secondary">Created: {new Date(details.createdAt).toLocaleString()}</Typography><br/>
-                <Typography variant="caption" color="text.secondary">Expiry: {new Date(details.expiryAt).toLocaleString()}</Typography>
-                <Box sx={{ mt: 2 }}>
-                  <Typography variant="subtitle2">Click events</Typography>
-                  {details.clicks.length === 0 && <Typography variant="body2" color="text.secondary">No clicks yet</Typography>}
-                  {details.clicks.map((c, i) => (
-                    <Card key={i} variant="outlined" sx={{ mt: 1, p: 1 }}>
-                      <Typography variant="body2">At: {new Date(c.timestamp).toLocaleString()}</Typography>
-                      <Typography variant="body2">Referrer: {c.referrer || "—"}</Typography>
-                      <Typography variant="body2">Geo: {c.geo?.country || "Unknown"}</Typography>
-                    </Card>
-                  ))}
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <Typography variant="h6">Details for {details.domain ? `${details.domain}/` : ""}{details.shortcode}</Typography>
+                  {details.status && details.status !== "active" && (
+                    <Chip size="small" color="warning" label={details.disabledReason ? `${details.status}: ${details.disabledReason}` : details.status} />
+                  )}
+                </Box>
+                <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 2, flexWrap: "wrap" }}>
+                  <Box>
+                    {details.title && <Typography variant="subtitle1">{details.title}</Typography>}
+                    <Typography variant="body2" sx={{ mb: 1 }}>{details.originalUrl}</Typography>
+                    {details.tags?.length > 0 && (
+                      <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mb: 1 }}>
+                        {details.tags.map((t) => <Chip key={t} size="small" label={t} />)}
+                      </Box>
+                    )}
+                    <Typography variant="caption" color="text.secondary">Created: {new Date(details.createdAt).toLocaleString()}</Typography><br/>
+                    <Typography variant="caption" color="text.secondary">Expiry: {new Date(details.expiryAt).toLocaleString()}</Typography>
+                  </Box>
+                  <QrCode shortcode={details.shortcode} domain={details.domain} />
+                </Box>
+                {(details.maxClicks || details.notBefore) && (
+                  <Box sx={{ mt: 1, display: "flex", gap: 1, flexWrap: "wrap" }}>
+                    {details.maxClicks && <Chip size="small" label={`Uses: ${details.usesCount || 0} / ${details.maxClicks}`} />}
+                    {details.notBefore && <Chip size="small" label={`Active from ${new Date(details.notBefore).toLocaleString()}`} />}
+                  </Box>
+                )}
+                {details.passwordProtected && (
+                  <Box sx={{ mt: 1, display: "flex", alignItems: "center", gap: 1 }}>
+                    <Chip size="small" icon={<LockIcon />} label="Password protected" />
+                    <Typography variant="caption" color={details.failedUnlockAttempts ? "error" : "text.secondary"}>
+                      Failed unlock attempts: {details.failedUnlockAttempts || 0}
+                    </Typography>
+                  </Box>
+                )}
+                <LinkHealth details={details} onChecked={(link) => { fetchDetails(link); refresh(); }} />
+                <LinkControls
+                  details={details}
+                  onChanged={(link) => { fetchDetails(link); refresh(); }}
+                  onDeleted={() => { setDetails(null); refresh(); }}
+                />
+                <FormControlLabel
+                  sx={{ mt: 2 }}
+                  control={
+                    <Switch size="small" checked={includeBots} onChange={(e) => {
+                      setIncludeBots(e.target.checked);
+                      fetchDetails(details, 1, e.target.checked);
+                    }} />
+                  }
+                  label={<Typography variant="body2">Include bots &amp; link previews ({details.botClicksTotal || 0})</Typography>}
+                />
+                <AnalyticsPanel shortcode={details.shortcode} domain={details.domain} includeBots={includeBots} />
+                {details.rules?.length > 0 && (
+                  <Box sx={{ mt: 3 }}>
+                    <Typography variant="subtitle2">Redirect rules</Typography>
+                    {details.rules.map((rule) => (
+                      <Typography key={rule.name} variant="body2" sx={{ wordBreak: "break-all" }}>
+                        <b>{rule.name}</b> ({describeRule(rule.when)}) →{" "}
+                        {rule.url || rule.split.map((v) => `${v.name}: ${v.url} (×${v.weight})`).join(", ")}
+                      </Typography>
+                    ))}
+                    <Box sx={{ mt: 1, maxWidth: 420 }}>
+                      <TopTable title="Clicks per variant" rows={details.variants.map((v) => ({ label: v.variant, count: v.count }))} />
+                    </Box>
+                  </Box>
+                )}
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="subtitle2">Click events ({details.pagination?.total ?? details.clicks.length})</Typography>
+                  {details.clicks.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">No clicks yet</Typography>
+                  ) : (
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>At</TableCell>
+                          <TableCell>Referrer</TableCell>
+                          <TableCell>Device</TableCell>
+                          <TableCell>Geo</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {details.clicks.map((c, i) => (
+                          <TableRow key={i}>
+                            <TableCell>{new Date(c.timestamp).toLocaleString()}</TableCell>
+                            <TableCell sx={{ wordBreak: "break-all" }}>{c.referrer || "—"}</TableCell>
+                            <TableCell>
+                              {[c.ua?.browser, c.ua?.os, c.ua?.deviceType].filter(Boolean).join(" · ") || "—"}
+                              {c.isBot && <Chip size="small" label="bot" sx={{ ml: 1 }} />}
+                              {c.source === "qr" && <Chip size="small" label="QR" sx={{ ml: 1 }} />}
+                            </TableCell>
+                            <TableCell>{formatGeo(c.geo)}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                  {details.pagination?.pages > 1 && (
+                    <Pagination
+                      sx={{ mt: 1 }}
+                      size="small"
+                      count={details.pagination.pages}
+                      page={details.pagination.page}
+                      onChange={(e, page) => fetchDetails(details, page)}
+                    />
+                  )}
                 </Box>
               </CardContent>
             </Card>
@@ -384,29 +1421,129 @@ function StatsPage() {
   );
 }
 
-function TopBar() {
+function LoginPage({ onLogin }) {
+  const [mode, setMode] = useState("login");
+  const [form, setForm] = useState({ email: "", password: "", name: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      clientLog("frontend", "info", "auth", `${mode}_attempt`);
+      const res = await api.post(`/auth/${mode}`, form);
+      setApiKey(res.data.apiKey);
+      clientLog("frontend", "info", "auth", `${mode}_success`);
+      onLogin(res.data.user);
+    } catch (err) {
+      const msg = err?.response?.data?.error || err.message;
+      clientLog("frontend", "error", "auth", `${mode}_error ${msg}`, requestIdOf(err));
+      setError(msg);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <Container maxWidth="xs" sx={{ mt: 8 }}>
+      <Card>
+        <CardContent component="form" onSubmit={submit}>
+          <Typography variant="h6" gutterBottom>{mode === "login" ? "Sign in" : "Create account"}</Typography>
+          {mode === "register" && (
+            <TextField fullWidth size="small" margin="dense" label="Name" value={form.name}
+              onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
+          )}
+          <TextField fullWidth size="small" margin="dense" label="Email" type="email" value={form.email}
+            onChange={(e) => setForm((f) => ({ ...f, email: e.target.value }))} />
+          <TextField fullWidth size="small" margin="dense" label="Password" type="password" value={form.password}
+            onChange={(e) => setForm((f) => ({ ...f, password: e.target.value }))} />
+          {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+          <Box sx={{ mt: 2, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <Button size="small" onClick={() => setMode(mode === "login" ? "register" : "login")}>
+              {mode === "login" ? "Need an account?" : "Have an account?"}
+            </Button>
+            <Button type="submit" variant="contained" disabled={loading}
+              startIcon={loading ? <CircularProgress color="inherit" size={20} /> : null}>
+              {mode === "login" ? "Sign in" : "Register"}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Container>
+  );
+}
+
+function TopBar({ user, onLogout }) {
   return (
     <AppBar position="static" color="primary" elevation={4}>
       <Toolbar sx={{ minHeight: 64 }}>
         <Typography variant="h6" sx={{ flexGrow: 1 }}>URL Shortener</Typography>
-        <Button color="inherit" component={Link} to="/" sx={{ fontWeight: 600 }}>Shorten</Button>
-        <Button color="inherit" component={Link} to="/stats" sx={{ fontWeight: 600 }}>Stats</Button>
+        {user && (
+          <>
+            <Button color="inherit" component={Link} to="/" sx={{ fontWeight: 600 }}>Shorten</Button>
+            <Button color="inherit" component={Link} to="/stats" sx={{ fontWeight: 600 }}>Stats</Button>
+            <Tooltip title={user.email || ""}>
+              <Button color="inherit" onClick={onLogout} sx={{ ml: 1 }}>Sign out</Button>
+            </Tooltip>
+          </>
+        )}
       </Toolbar>
     </AppBar>
   );
 }
 
 export default function App() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(!!getApiKey());
+
   useEffect(() => { clientLog("frontend", "info", "component", "app_started"); }, []);
+
+  // resolve the stored key once, and drop it whenever the backend rejects it
+  useEffect(() => {
+    const id = api.interceptors.response.use(undefined, (err) => {
+      if (err?.response?.status === 401 && getApiKey()) {
+        setApiKey("");
+        setUser(null);
+      }
+      return Promise.reject(err);
+    });
+    if (getApiKey()) {
+      api.get("/auth/me")
+        .then((res) => setUser(res.data))
+        .catch(() => {})
+        .finally(() => setChecking(false));
+    }
+    return () => api.interceptors.response.eject(id);
+  }, []);
+
+  async function logout() {
+    try {
+      await api.post("/auth/logout");
+    } catch (e) {
+      // key is dropped locally either way
+    }
+    setApiKey("");
+    setUser(null);
+    clientLog("frontend", "info", "auth", "logout");
+  }
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <Router>
-        <TopBar />
-        <Routes>
-          <Route path="/" element={<ShortenerPage />} />
-          <Route path="/stats" element={<StatsPage />} />
-        </Routes>
+        <TopBar user={user} onLogout={logout} />
+        {checking ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}><CircularProgress /></Box>
+        ) : user ? (
+          <Routes>
+            <Route path="/" element={<ShortenerPage />} />
+            <Route path="/stats" element={<StatsPage />} />
+          </Routes>
+        ) : (
+          <LoginPage onLogin={setUser} />
+        )}
       </Router>
     </ThemeProvider>
   );
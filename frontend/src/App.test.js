@@ -1,8 +1,84 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
 import App from './App';
 
-test('renders learn react link', () => {
+jest.mock('axios', () => {
+  const api = {
+    get: jest.fn(),
+    post: jest.fn(),
+    interceptors: { request: { use: jest.fn() }, response: { use: jest.fn(), eject: jest.fn() } },
+  };
+  return { create: () => api, post: jest.fn(), api };
+});
+
+const API_KEY_STORAGE = 'urlShortener.apiKey';
+const { api } = axios;
+
+// GET responses by path; anything else fails like an unreachable backend
+function answerGets(routes) {
+  api.get.mockImplementation((path) => (path in routes
+    ? Promise.resolve({ data: routes[path], headers: {} })
+    : Promise.reject(new Error(`unexpected GET ${path}`))));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  axios.post.mockResolvedValue({});
+});
+
+test('asks for a sign-in when no API key is stored', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+  expect(screen.getByLabelText(/Email/)).toBeInTheDocument();
+  expect(api.get).not.toHaveBeenCalled();
+});
+
+test('signing in stores the API key and opens the shortener', async () => {
+  answerGets({ '/domains': [] });
+  api.post.mockResolvedValue({ data: { apiKey: 'sk_new', user: { email: 'me@example.com' } }, headers: {} });
+  render(<App />);
+
+  userEvent.type(screen.getByLabelText(/Email/), 'me@example.com');
+  userEvent.type(screen.getByLabelText(/Password/), 'secret-pass');
+  userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+  expect(await screen.findByRole('button', { name: 'Create Short Links' })).toBeInTheDocument();
+  expect(api.post).toHaveBeenCalledWith('/auth/login', expect.objectContaining({ email: 'me@example.com', password: 'secret-pass' }));
+  expect(localStorage.getItem(API_KEY_STORAGE)).toBe('sk_new');
+});
+
+test('creates links through the batch endpoint and lists each result', async () => {
+  localStorage.setItem(API_KEY_STORAGE, 'sk_stored');
+  answerGets({ '/auth/me': { email: 'me@example.com' }, '/domains': [] });
+  api.post.mockResolvedValue({
+    headers: {},
+    data: {
+      total: 1,
+      created: 1,
+      failed: 0,
+      results: [{ index: 0, success: true, url: 'https://example.com/page', shortcode: 'abc123', shortLink: 'http://sho.rt/abc123', expiry: new Date().toISOString() }],
+    },
+  });
+  render(<App />);
+
+  userEvent.type(await screen.findByLabelText('Original URL #1'), 'https://example.com/page');
+  userEvent.click(screen.getByRole('button', { name: 'Create Short Links' }));
+
+  expect(await screen.findByText('http://sho.rt/abc123')).toBeInTheDocument();
+  const [path, items] = api.post.mock.calls[0];
+  expect(path).toBe('/shorturls/batch');
+  expect(items).toEqual([expect.objectContaining({ url: 'https://example.com/page', validity: 30 })]);
+});
+
+test('an invalid URL is reported without calling the API', async () => {
+  localStorage.setItem(API_KEY_STORAGE, 'sk_stored');
+  answerGets({ '/auth/me': { email: 'me@example.com' }, '/domains': [] });
+  render(<App />);
+
+  userEvent.type(await screen.findByLabelText('Original URL #1'), 'not a url');
+  userEvent.click(screen.getByRole('button', { name: 'Create Short Links' }));
+
+  expect(await screen.findByText('Invalid URL: not a url')).toBeInTheDocument();
+  await waitFor(() => expect(api.post).not.toHaveBeenCalled());
 });
@@ -1,29 +1,167 @@
 // frontend/src/logger.js
+// The one client logging module: events are queued in localStorage (so they survive reloads and
+// offline periods), sent in batches to the backend's POST /client-logs, retried with exponential
+// backoff, and flushed with navigator.sendBeacon when the page is hidden or unloaded.
 import axios from 'axios';
 
-const LOG_ENDPOINT = 'http://20.244.56.144/evaluation-service/logs';
-const LOG_TOKEN = process.env.REACT_APP_LOGGING_AUTH_TOKEN || '';
+const BASE_API = process.env.REACT_APP_BASE_API || 'http://localhost:4000';
+const LOG_ENDPOINT = process.env.REACT_APP_LOG_ENDPOINT || `${BASE_API}/client-logs`;
 
-const allowedStacks = new Set(['frontend']);
-const allowedLevels = new Set(['debug','info','error','fatal']);
-const allowedPackages = new Set(['api','component','hook','page','state','style','auth','config','middleware','utils']);
+const QUEUE_STORAGE = 'urlShortener.logQueue';
+const MAX_QUEUE = 500;
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL_MS = 5000;
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+// sendBeacon payloads are capped by browsers (~64KB); stay well under it
+const BEACON_MAX_BYTES = 60000;
 
-function validate(stack, level, pkg) {
-  const s = (stack || '').toLowerCase();
-  const l = (level || '').toLowerCase();
-  const p = (pkg || '').toLowerCase();
-  if (!allowedStacks.has(s)) throw new Error('invalid stack for frontend logger');
-  if (!allowedLevels.has(l)) throw new Error('invalid level');
-  if (!allowedPackages.has(p)) throw new Error('invalid package');
-  return { stack: s, level: l, package: p };
+const allowedLevels = new Set(['debug', 'info', 'warn', 'error', 'fatal']);
+const allowedPackages = new Set(['api', 'component', 'hook', 'page', 'state', 'style', 'auth', 'config', 'middleware', 'utils']);
+
+let memoryQueue = [];
+let sending = false;
+// ids of the batch an axios request is delivering right now
+let inFlight = new Set();
+let failures = 0;
+let retryAt = 0;
+let timer = null;
+let started = false;
+
+function loadQueue() {
+  try {
+    const raw = localStorage.getItem(QUEUE_STORAGE);
+    return raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    // storage unavailable (private mode) or corrupted: fall back to memory
+    return memoryQueue;
+  }
+}
+
+function saveQueue(queue) {
+  memoryQueue = queue;
+  try {
+    localStorage.setItem(QUEUE_STORAGE, JSON.stringify(queue));
+  } catch (e) {
+    // quota exceeded or storage unavailable: the in-memory copy still holds the events
+  }
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function backoffDelay() {
+  const base = Math.min(MAX_BACKOFF_MS, MIN_BACKOFF_MS * 2 ** Math.max(0, failures - 1));
+  return base / 2 + Math.random() * (base / 2);
 }
 
-export async function clientLog(stack='frontend', level='info', pkg='component', message='') {
-  try { validate(stack, level, pkg); } catch (e) { return; }
-  if (!LOG_TOKEN) return;
+function schedule(delay = FLUSH_INTERVAL_MS, { replace = false } = {}) {
+  if (timer && !replace) return;
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    timer = null;
+    flushLogs();
+  }, delay);
+}
+
+/**
+ * Send queued events in batches until the queue is empty or a send fails.
+ * Failures back off exponentially; nothing is sent while the browser reports being offline.
+ */
+export async function flushLogs() {
+  if (sending || !isOnline()) return;
+  if (Date.now() < retryAt) {
+    // still backing off: make sure something wakes up when the wait is over
+    schedule(retryAt - Date.now());
+    return;
+  }
+  sending = true;
   try {
-    await axios.post(LOG_ENDPOINT, { stack: stack.toLowerCase(), level: level.toLowerCase(), package: pkg.toLowerCase(), message }, {
-      headers: { Authorization: `Bearer ${LOG_TOKEN}` }, timeout: 3000
-    });
-  } catch (e) { /* swallow */ }
+    for (;;) {
+      const batch = loadQueue().slice(0, BATCH_SIZE);
+      if (batch.length === 0) break;
+      const ids = new Set(batch.map((e) => e.id));
+      inFlight = ids;
+      // no credentials: /client-logs is public, and the API treats any Bearer value as an API key
+      await axios.post(LOG_ENDPOINT, { logs: batch }, { timeout: 10000 });
+      // drop exactly what was sent; events logged meanwhile stay queued
+      saveQueue(loadQueue().filter((e) => !ids.has(e.id)));
+      failures = 0;
+      retryAt = 0;
+    }
+  } catch (e) {
+    failures += 1;
+    const delay = backoffDelay();
+    retryAt = Date.now() + delay;
+    // a timer set for the regular interval would fire before the backoff is over
+    schedule(delay, { replace: true });
+  } finally {
+    sending = false;
+    inFlight = new Set();
+  }
+}
+
+// Last-chance delivery while the page goes away; axios requests would be cancelled here.
+// The batch an axios request is still sending is skipped, so it is not delivered twice; if that
+// request is cancelled, its events stay queued for the next visit.
+function beaconFlush() {
+  if (typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+  let pending = loadQueue().filter((e) => !inFlight.has(e.id));
+  while (pending.length > 0) {
+    let count = Math.min(pending.length, BATCH_SIZE);
+    let body = JSON.stringify({ logs: pending.slice(0, count) });
+    while (body.length > BEACON_MAX_BYTES && count > 1) {
+      count = Math.ceil(count / 2);
+      body = JSON.stringify({ logs: pending.slice(0, count) });
+    }
+    // text/plain keeps the beacon a CORS "simple" request; the backend parses it as JSON
+    if (!navigator.sendBeacon(LOG_ENDPOINT, new Blob([body], { type: 'text/plain' }))) break;
+    const sent = new Set(pending.slice(0, count).map((e) => e.id));
+    saveQueue(loadQueue().filter((e) => !sent.has(e.id)));
+    pending = pending.slice(count);
+  }
+}
+
+function start() {
+  if (started || typeof window === 'undefined') return;
+  started = true;
+  window.addEventListener('online', () => {
+    failures = 0;
+    retryAt = 0;
+    flushLogs();
+  });
+  window.addEventListener('pagehide', beaconFlush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') beaconFlush();
+  });
+  // deliver whatever an earlier visit left behind
+  if (loadQueue().length > 0) schedule(0);
+}
+
+/**
+ * Queue a log event. Never throws and never waits on the network.
+ * requestId ties a UI event to the backend log lines of the API call behind it.
+ */
+export function clientLog(stack = 'frontend', level = 'info', pkg = 'component', message = '', requestId = null) {
+  start();
+  const lvl = String(level).toLowerCase();
+  const p = String(pkg).toLowerCase();
+  if (String(stack).toLowerCase() !== 'frontend' || !allowedLevels.has(lvl) || !allowedPackages.has(p)) return;
+
+  const queue = loadQueue();
+  queue.push({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    ts: new Date().toISOString(),
+    level: lvl,
+    package: p,
+    message: String(message),
+    ...(requestId && { requestId }),
+    page: typeof window !== 'undefined' ? window.location.pathname : undefined,
+  });
+  // bounded: the oldest events go first when the backend stays unreachable
+  saveQueue(queue.length > MAX_QUEUE ? queue.slice(queue.length - MAX_QUEUE) : queue);
+
+  if (lvl === 'error' || lvl === 'fatal' || queue.length >= BATCH_SIZE) flushLogs();
+  else schedule();
 }
@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { clientLog, flushLogs } from './logger';
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const QUEUE_STORAGE = 'urlShortener.logQueue';
+
+async function settle() {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+}
+
+function queued() {
+  return JSON.parse(localStorage.getItem(QUEUE_STORAGE) || '[]').map((e) => e.message);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  axios.post.mockReset();
+});
+
+afterEach(async () => {
+  // leave an empty queue and no backoff for the next test
+  axios.post.mockResolvedValue({});
+  jest.advanceTimersByTime(60000);
+  await settle();
+  jest.useRealTimers();
+});
+
+test('a failed send retries after the backoff even with a regular flush pending', async () => {
+  axios.post.mockRejectedValueOnce(new Error('offline')).mockResolvedValue({});
+  clientLog('frontend', 'info', 'component', 'first');
+  clientLog('frontend', 'error', 'api', 'second');
+  await settle();
+  expect(axios.post).toHaveBeenCalledTimes(1);
+
+  // the first backoff is at most one second, well before the regular five second flush
+  jest.advanceTimersByTime(1000);
+  await settle();
+  expect(axios.post).toHaveBeenCalledTimes(2);
+  expect(queued()).toEqual([]);
+});
+
+test('a flush during the backoff waits for it instead of dropping the retry', async () => {
+  axios.post.mockRejectedValueOnce(new Error('offline')).mockResolvedValue({});
+  clientLog('frontend', 'error', 'api', 'lost?');
+  await settle();
+  await flushLogs();
+  expect(axios.post).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(1000);
+  await settle();
+  expect(axios.post).toHaveBeenCalledTimes(2);
+  expect(queued()).toEqual([]);
+});
+
+test('hiding the page does not beacon the batch an axios request is sending', async () => {
+  const sendBeacon = jest.fn(() => true);
+  Object.defineProperty(navigator, 'sendBeacon', { configurable: true, value: sendBeacon });
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => 'hidden' });
+  let finish;
+  axios.post.mockReturnValueOnce(new Promise((resolve) => { finish = resolve; }));
+
+  clientLog('frontend', 'error', 'api', 'in flight');
+  await settle();
+  clientLog('frontend', 'info', 'component', 'queued later');
+  document.dispatchEvent(new Event('visibilitychange'));
+
+  expect(sendBeacon).toHaveBeenCalledTimes(1);
+  const beaconed = JSON.parse(await new Response(sendBeacon.mock.calls[0][1]).text());
+  expect(beaconed.logs.map((e) => e.message)).toEqual(['queued later']);
+  expect(queued()).toEqual(['in flight']);
+
+  finish({});
+  await settle();
+  expect(queued()).toEqual([]);
+  delete document.visibilityState;
+});
+
+test('events carry the id of the API call they describe', async () => {
+  axios.post.mockResolvedValue({});
+  clientLog('frontend', 'error', 'api', 'create failed', 'req-123');
+  await settle();
+  expect(axios.post.mock.calls[0][1].logs[0]).toMatchObject({ level: 'error', message: 'create failed', requestId: 'req-123' });
+});
@@ -1,18 +1,33 @@
 // logging-middleware/index.js
-const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { consoleTransport, fileTransport, httpTransport, noopTransport } = require('./transports');
 
-const LOG_ENDPOINT = 'http://20.244.56.144/evaluation-service/logs';
-const FALLBACK_FILE = path.join(process.cwd(), 'app-logs.ndjson');
+const DEFAULT_ENDPOINT = 'http://20.244.56.144/evaluation-service/logs';
+const FALLBACK_FILE = process.env.LOG_FILE || path.join(process.cwd(), 'app-logs.ndjson');
 
 const ALLOWED_STACKS = new Set(['backend', 'frontend']);
-const ALLOWED_LEVELS = new Set(['debug', 'info', 'error', 'fatal']);
+// ordered by severity; LOG_LEVEL drops everything below it
+const LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
 
 const BACKEND_PACKAGES = new Set(['cache','controller','cron job','db','domain','handler','repository','route','service']);
 const FRONTEND_PACKAGES = new Set(['api','component','hook','page','state','style']);
 const BOTH_PACKAGES = new Set(['auth','config','middleware','utils']);
 
+// Per-request context ({ requestId }); every entry logged while handling a request carries its id
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// accept a caller-supplied id only if it is short and printable, so it is safe to log and echo
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// entry keys owned by the logger; meta fields with these names are ignored
+const RESERVED_KEYS = new Set(['ts', 'stack', 'level', 'package', 'pkg', 'message']);
+
 function normalizePackage(p) {
   if (!p) return '';
   let s = String(p).toLowerCase();
@@ -27,7 +42,7 @@ function validateAndNormalize(stack, level, pkg, message) {
   let p = normalizePackage(pkg);
 
   if (!ALLOWED_STACKS.has(s)) throw new Error(`invalid stack: ${stack}`);
-  if (!ALLOWED_LEVELS.has(l)) throw new Error(`invalid level: ${level}`);
+  if (!LEVELS.includes(l)) throw new Error(`invalid level: ${level}`);
 
   const allowed = new Set([...BOTH_PACKAGES, ...(s === 'backend' ? [...BACKEND_PACKAGES] : []), ...(s === 'frontend' ? [...FRONTEND_PACKAGES] : [])]);
   if (!allowed.has(p)) throw new Error(`invalid package '${pkg}' for stack '${stack}'`);
@@ -35,66 +50,221 @@ function validateAndNormalize(stack, level, pkg, message) {
   return { stack: s, level: l, package: p, message: message == null ? '' : String(message) };
 }
 
-function fallbackWrite(payload) {
-  try {
-    const line = JSON.stringify({ ts: new Date().toISOString(), ...payload }) + '\n';
-    fs.appendFileSync(FALLBACK_FILE, line);
-  } catch (e) { /* ignore */ }
+// Errors don't JSON-serialize; keep what is useful from them
+function serializeMeta(meta) {
+  const out = {};
+  for (const [key, value] of Object.entries(meta || {})) {
+    if (RESERVED_KEYS.has(key) || value === undefined) continue;
+    out[key] = value instanceof Error
+      ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+      : value;
+  }
+  return out;
 }
 
-async function Log(stack, level, pkg, message) {
-  let payload;
-  try {
-    payload = validateAndNormalize(stack, level, pkg, message);
-  } catch (err) {
-    // invalid args: write to fallback for diagnostics
-    fallbackWrite({ level: 'error', message: `invalid log args: ${err.message}`, meta: { stack, level, pkg, message }});
-    return;
+/**
+ * Build a logger that queues structured entries and delivers them to its transports in batches.
+ *
+ * Options:
+ *   transports       array of transports (see transports.js); default: none (no-op)
+ *   level            minimum level kept (default 'debug')
+ *   batchSize        entries per delivery (default 50)
+ *   flushIntervalMs  delivery period for partial batches (default 1000)
+ *   maxQueue         bound on buffered entries; the oldest are dropped beyond it (default 5000)
+ *
+ * Logging calls never throw and never wait on I/O; `fatal` entries trigger an immediate flush.
+ * Call close() on shutdown to deliver what is still queued.
+ */
+function createLogger({
+  transports = [noopTransport()],
+  level = 'debug',
+  batchSize = 50,
+  flushIntervalMs = 1000,
+  maxQueue = 5000
+} = {}) {
+  const minLevel = Math.max(0, LEVELS.indexOf(level));
+  let queue = [];
+  let dropped = 0;
+  let flushing = null;
+  let timer = null;
+  const lastFailureReport = new Map();
+
+  function reportFailure(transport, err) {
+    // at most one stderr line per transport per minute; the logger cannot log its own failures
+    const now = Date.now();
+    if (now - (lastFailureReport.get(transport.name) || 0) < 60000) return;
+    lastFailureReport.set(transport.name, now);
+    process.stderr.write(`[logging-middleware] ${transport.name} transport failed: ${err?.message || String(err)}\n`);
   }
 
-  const token = process.env.LOGGING_AUTH_TOKEN || process.env.LOGGING_ACCESS_TOKEN || '';
-  if (!token) {
-    // no token configured -> fallback file
-    fallbackWrite({ ...payload, note: 'no token configured' });
-    return;
+  function schedule() {
+    if (timer || flushIntervalMs <= 0) return;
+    timer = setTimeout(() => { timer = null; flush(); }, flushIntervalMs);
+    if (timer.unref) timer.unref();
   }
 
-  try {
-    const res = await axios.post(LOG_ENDPOINT, payload, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 4000
-    });
-    // also write a local record of success (optional)
-    try { fs.appendFileSync(FALLBACK_FILE, JSON.stringify({ ts: new Date().toISOString(), sent: true, payload, response: res.data }) + '\n'); } catch {}
-    return res.data;
-  } catch (err) {
-    fallbackWrite({ ...payload, remoteError: err.message || String(err) });
-    return;
+  function enqueue(entry) {
+    queue.push(entry);
+    if (queue.length > maxQueue) {
+      const over = queue.length - maxQueue;
+      queue.splice(0, over);
+      dropped += over;
+    }
+    if (entry.level === 'fatal' || queue.length >= batchSize) flush();
+    else schedule();
+  }
+
+  /**
+   * Validate and queue one entry. Invalid stack/level/package values are not discarded:
+   * the entry is kept as a 'warn' from the middleware package, with the rejected values attached.
+   */
+  function log(stack, lvl, pkg, message, meta = {}) {
+    let entry;
+    try {
+      entry = validateAndNormalize(stack, lvl, pkg, message);
+    } catch (err) {
+      entry = {
+        stack: ALLOWED_STACKS.has(String(stack).toLowerCase()) ? String(stack).toLowerCase() : 'backend',
+        level: 'warn',
+        package: 'middleware',
+        message: message == null ? '' : String(message),
+        invalidLogArgs: { reason: err.message, stack, level: lvl, package: pkg }
+      };
+    }
+    if (LEVELS.indexOf(entry.level) < minLevel) return;
+    const requestId = currentRequestId();
+    enqueue({ ts: new Date().toISOString(), ...entry, ...(requestId && { requestId }), ...serializeMeta(meta) });
+  }
+
+  function flush() {
+    if (flushing) return flushing.then(() => (queue.length ? flush() : undefined));
+    if (queue.length === 0 && dropped === 0) return Promise.resolve();
+    flushing = (async () => {
+      try {
+        while (queue.length > 0 || dropped > 0) {
+          const batch = queue.splice(0, batchSize);
+          if (dropped > 0) {
+            batch.push({ ts: new Date().toISOString(), stack: 'backend', level: 'warn', package: 'middleware', message: 'log queue full, entries dropped', dropped });
+            dropped = 0;
+          }
+          const results = await Promise.allSettled(transports.map(t => t.write(batch)));
+          results.forEach((r, i) => { if (r.status === 'rejected') reportFailure(transports[i], r.reason); });
+        }
+      } finally {
+        flushing = null;
+      }
+    })();
+    return flushing;
+  }
+
+  async function close() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    await flush();
+    await Promise.allSettled(transports.map(t => t.close()));
   }
+
+  const at = lvl => (msg, meta = {}) => log(meta.stack || 'backend', lvl, meta.package || meta.pkg || (lvl === 'error' || lvl === 'fatal' ? 'handler' : 'middleware'), msg, meta);
+
+  return {
+    log,
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    fatal: at('fatal'),
+    flush,
+    close,
+    pending: () => queue.length
+  };
 }
 
-const logger = {
-  info: (msg, meta = {}) => Log(meta.stack || 'backend', 'info', meta.package || meta.pkg || 'middleware', msg),
-  debug: (msg, meta = {}) => Log(meta.stack || 'backend', 'debug', meta.package || meta.pkg || 'middleware', msg),
-  error: (msg, meta = {}) => Log(meta.stack || 'backend', 'error', meta.package || meta.pkg || 'handler', msg),
-  fatal: (msg, meta = {}) => Log(meta.stack || 'backend', 'fatal', meta.package || meta.pkg || 'handler', msg)
-};
+/**
+ * Transports from the environment:
+ *   LOG_TRANSPORTS  comma list of console, file, http, none
+ *                   (default: file, plus http when LOGGING_AUTH_TOKEN is set)
+ *   LOG_ENDPOINT, LOGGING_AUTH_TOKEN, LOG_HTTP_BATCH, LOG_HTTP_TIMEOUT_MS
+ *   LOG_FILE, LOG_FILE_MAX_BYTES, LOG_FILE_MAX_FILES, LOG_CONSOLE_FORMAT
+ */
+function transportsFromEnv(env = process.env) {
+  const token = env.LOGGING_AUTH_TOKEN || env.LOGGING_ACCESS_TOKEN || '';
+  const names = (env.LOG_TRANSPORTS || (token ? 'file,http' : 'file'))
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  const transports = [];
+  for (const name of names) {
+    if (name === 'console') transports.push(consoleTransport({ format: env.LOG_CONSOLE_FORMAT || 'pretty' }));
+    else if (name === 'file') {
+      transports.push(fileTransport({
+        file: FALLBACK_FILE,
+        maxBytes: Number(env.LOG_FILE_MAX_BYTES) || 10 * 1024 * 1024,
+        maxFiles: Number(env.LOG_FILE_MAX_FILES) || 5
+      }));
+    } else if (name === 'http') {
+      transports.push(httpTransport({
+        endpoint: env.LOG_ENDPOINT || DEFAULT_ENDPOINT,
+        token,
+        timeout: Number(env.LOG_HTTP_TIMEOUT_MS) || 4000,
+        batch: env.LOG_HTTP_BATCH === 'true'
+      }));
+    } else if (name === 'none' || name === 'noop') transports.push(noopTransport());
+    else process.stderr.write(`[logging-middleware] unknown transport '${name}' ignored\n`);
+  }
+  return transports.length ? transports : [noopTransport()];
+}
+
+const logger = createLogger({
+  transports: transportsFromEnv(),
+  level: process.env.LOG_LEVEL || 'debug',
+  batchSize: Number(process.env.LOG_BATCH_SIZE) || 50,
+  flushIntervalMs: Number(process.env.LOG_FLUSH_INTERVAL_MS) || 1000,
+  maxQueue: Number(process.env.LOG_MAX_QUEUE) || 5000
+});
 
+// Kept for callers of the original API: Log(stack, level, package, message[, meta])
+function Log(stack, level, pkg, message, meta) {
+  logger.log(stack, level, pkg, message, meta);
+  return Promise.resolve();
+}
+
+/**
+ * Tag the request with an id (the caller's X-Request-Id when valid, else a new UUID), echo it in
+ * the response header and run the rest of the chain inside its context, then log start and finish.
+ */
 function requestLogger(req, res, next) {
   const start = Date.now();
-  // log start
-  try { Log('backend','info','route', `${req.method} ${req.originalUrl} - start`); } catch (e) {}
+  const incoming = req.get ? req.get(REQUEST_ID_HEADER) : req.headers[REQUEST_ID_HEADER.toLowerCase()];
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  requestContext.run({ requestId }, () => logRequest(req, res, start, next));
+}
+
+function logRequest(req, res, start, next) {
+  logger.debug(`${req.method} ${req.originalUrl} - start`, { package: 'route', method: req.method, url: req.originalUrl });
   res.on('finish', () => {
-    const dur = Date.now() - start;
-    try { Log('backend','info','route', `${req.method} ${req.originalUrl} -> ${res.statusCode} (${dur}ms)`); } catch (e) {}
+    const durationMs = Date.now() - start;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    logger[level](`${req.method} ${req.originalUrl} -> ${res.statusCode} (${durationMs}ms)`, {
+      package: 'route', method: req.method, url: req.originalUrl, status: res.statusCode, durationMs
+    });
   });
   res.on('error', (err) => {
-    try { Log('backend','error','route', `Response error ${req.method} ${req.originalUrl} - ${err?.message || String(err)}`); } catch (e) {}
+    logger.error(`Response error ${req.method} ${req.originalUrl}`, { package: 'route', method: req.method, url: req.originalUrl, error: err });
   });
   next();
 }
 
-module.exports = { Log, logger, requestLogger, FALLBACK_FILE };
+module.exports = {
+  Log,
+  logger,
+  requestLogger,
+  requestContext,
+  currentRequestId,
+  REQUEST_ID_HEADER,
+  createLogger,
+  transportsFromEnv,
+  transports: { consoleTransport, fileTransport, httpTransport, noopTransport },
+  LEVELS,
+  FALLBACK_FILE
+};